@@ -0,0 +1,145 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+
+const GENERATED_DIR = path.join(process.cwd(), 'generated');
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * A local stand-in for the parts of the Instagram Graph API we use:
+ * media containers, carousels, status checks, publishing, comments and token
+ * debug/refresh. Image URLs must point at a file that exists in
+ * generated/, like the real API needs to be able to fetch them.
+ *
+ * Returns { url, requests, close } - `requests` records every call made.
+ */
+export async function startGraphStub({ port = 0 } = {}) {
+  const containers = new Map();
+  const published = new Set();
+  const requests = [];
+  let nextId = 1000;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    const params = { ...Object.fromEntries(url.searchParams), ...body };
+    requests.push({ method: req.method, path: url.pathname, params });
+
+    const send = (statusCode, data) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const fail = (statusCode, code, message, subcode) => send(statusCode, {
+      error: { message, type: 'OAuthException', code, ...(subcode && { error_subcode: subcode }), fbtrace_id: 'offline' }
+    });
+
+    const [, first, second] = url.pathname.split('/');
+
+    if (first === 'debug_token') {
+      return send(200, {
+        data: { is_valid: true, expires_at: Math.floor(Date.now() / 1000) + 60 * DAY_SECONDS, scopes: ['instagram_content_publish'] }
+      });
+    }
+
+    if (first === 'oauth' && second === 'access_token') {
+      return send(200, { access_token: `offline-${Date.now()}`, token_type: 'bearer', expires_in: 60 * DAY_SECONDS });
+    }
+
+    if (!params.access_token) {
+      return fail(400, 190, 'An active access token must be used');
+    }
+
+    // Create a container (single image, carousel item or carousel parent)
+    if (req.method === 'POST' && second === 'media') {
+      if (params.media_type === 'CAROUSEL') {
+        const children = String(params.children || '').split(',').filter(Boolean);
+        if (children.length < 2 || children.some(id => !containers.has(id))) {
+          return fail(400, 100, 'Carousel children are missing or invalid');
+        }
+      } else if (!parseImageUrl(params.image_url)) {
+        return fail(400, 100, `Invalid parameter: image_url is not a valid URL (${params.image_url})`);
+      } else if (!imageExists(params.image_url)) {
+        return fail(400, 9004, `Media download has failed: ${params.image_url}`, 2207052);
+      }
+
+      const id = String(nextId++);
+      containers.set(id, { ...params, status_code: 'FINISHED' });
+      return send(200, { id });
+    }
+
+    if (req.method === 'POST' && second === 'media_publish') {
+      const container = containers.get(String(params.creation_id));
+      if (!container) {
+        return fail(400, 100, `Unknown creation_id ${params.creation_id}`);
+      }
+      container.status_code = 'PUBLISHED';
+      const id = `offline-post-${nextId++}`;
+      published.add(id);
+      return send(200, { id });
+    }
+
+    if (req.method === 'POST' && second === 'comments') {
+      if (!published.has(first)) {
+        return fail(400, 100, `Unknown media ${first}`);
+      }
+      if (!params.message || params.message.length > 2200) {
+        return fail(400, 100, 'Comment message is missing or too long');
+      }
+      return send(200, { id: `offline-comment-${nextId++}` });
+    }
+
+    // Container status
+    if (req.method === 'GET' && containers.has(first)) {
+      return send(200, { id: first, status_code: containers.get(first).status_code });
+    }
+
+    return fail(404, 100, `Unsupported request ${req.method} ${url.pathname}`);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Does the image URL point at something we've generated?
+ */
+function imageExists(imageUrl) {
+  const filename = path.basename(parseImageUrl(imageUrl).pathname);
+  return fs.existsSync(path.join(GENERATED_DIR, filename));
+}
+
+/**
+ * The image URL as a URL, or null when it's missing or malformed
+ */
+function parseImageUrl(imageUrl) {
+  try {
+    return new URL(imageUrl);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a JSON (or form-encoded) request body
+ */
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  if (!raw) return {};
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+}
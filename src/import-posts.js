@@ -0,0 +1,25 @@
+import { importLegacyPostLog, reportImport, LEGACY_POST_LOG } from './services/post-store.js';
+
+/**
+ * One-time import of logs/posts.jsonl into the post history store.
+ * Safe to re-run: posts that were already imported are skipped.
+ */
+async function importPosts() {
+  const logPath = process.argv[2] || LEGACY_POST_LOG;
+
+  try {
+    const result = await importLegacyPostLog(logPath);
+    reportImport(result);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.log(`\n📝 Nothing to import - ${logPath} doesn't exist.\n`);
+      return;
+    }
+    throw error;
+  }
+}
+
+importPosts().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
@@ -7,10 +7,30 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { generateBestWalk } from './services/ai-walk-generator.js';
-import { fetchWeatherSummary } from './services/weather.js';
-import { buildCaption, validateCaption } from './services/caption.js';
-import { generateIllustration } from './services/image.js';
-import { postToInstagram, logPost } from './services/instagram.js';
+import { describeWalkingConditions, fetchLondonForecast, fetchWeatherSummary, getPublishableWeatherSources } from './services/weather.js';
+import { composeCaption, validateCaption, CAPTION_BUDGET, CAPTION_LIMIT } from './services/caption.js';
+import { listCaptionStyles, resolveCaptionStyle } from './services/caption-templates.js';
+import { chooseHashtags } from './services/hashtags.js';
+import { generateIllustration, getPublicBaseUrl } from './services/image.js';
+import { brandIllustration } from './services/image-branding.js';
+import { resolveImageStyle } from './services/image-styles.js';
+import { renderWalkSlides, loadBrand } from './services/slides.js';
+import { getArchiveWalks, filterArchiveWalks, listArchiveAreas, parseArchiveFilters } from './services/walk-archive.js';
+import { renderArchivePage, renderWalkPage, renderWalkNotFoundPage } from './services/archive-pages.js';
+import { buildRouteFile, hasRoute, ROUTE_FORMATS } from './services/route-files.js';
+import { isOfflineMode, startOfflineServices } from './services/offline.js';
+import { postToInstagram, logPost, manageAccessToken, getTokenStatus } from './services/instagram.js';
+import {
+  createDraft,
+  listDrafts,
+  getDraft,
+  updateDraft,
+  approveDraft,
+  rejectDraft,
+  markDraftPublished,
+  getNextApprovedDraft,
+  DraftError
+} from './services/drafts.js';
 
 // Load environment variables
 dotenv.config();
@@ -36,47 +56,129 @@ async function generateSundayWalkContent() {
   console.log('\n=== Generating Sunday Pub Walk content ===');
   console.log(`Time: ${new Date().toISOString()}`);
 
-  // 1. Generate a walk with AI
-  console.log('\n[1/5] Generating walk with AI...');
-  const walk = await generateBestWalk(1); // Generate 1 walk (can increase for more options)
+  // 1. Check Sunday's London forecast first, so the walk can suit it
+  console.log('\n[1/6] Checking Sunday\'s London forecast...');
+  const outlook = describeWalkingConditions(await fetchLondonForecast());
+  console.log(`London (${outlook.source}): ${outlook.summary} - ${outlook.conditions.join(', ') || 'nothing notable'}`);
 
-  // 2. Fetch weather
-  console.log('\n[2/5] Fetching weather...');
-  const weather = await fetchWeatherSummary(walk);
-  console.log('Weather:', weather);
-
-  // 3. Build caption
-  console.log('\n[3/5] Building caption...');
-  const caption = buildCaption({ walk, weather });
-  const isValid = validateCaption(caption);
+  // 2. Generate a walk with AI, suited to the weather, then get its local forecast
+  console.log('\n[2/6] Generating walk with AI...');
+  const walk = await generateBestWalk(Number(process.env.WALK_CANDIDATES) || 1, { outlook }); // More candidates = better pick, more API credits
 
-  if (!isValid) {
-    console.warn('Caption may be too long, but continuing...');
+  const weather = await fetchWeatherSummary(walk);
+  console.log(`Weather for ${walk.area_short} (${weather.source}):`, weather.summary);
+  if (weather.bestWindow) {
+    console.log(`Best time to set off: ${weather.bestWindow.start}–${weather.bestWindow.end} (sunset ${weather.sunset}, ${weather.tempMin}–${weather.tempMax}°C, ${weather.rainChance}% chance of rain, wind up to ${weather.windMph} mph)`);
   }
 
+  // 3. Build caption, fitted to Instagram's length limit. Directions that
+  // don't fit go to the directions slide (or the first comment without slides)
+  console.log('\n[3/6] Building caption...');
+  const slidesEnabled = process.env.CAROUSEL_SLIDES !== 'false';
+  const style = await resolveCaptionStyle();
+  console.log(`Caption style: ${style}${process.env.CAPTION_STYLE === 'rotate' ? ' (rotating weekly)' : ''}`);
+  const hashtags = await chooseHashtags(walk);
+  const { caption, length, trimmed, firstComment, hashtags: usedTags } = await composeCaption(
+    { walk, weather },
+    { ...getCaptionOptions(slidesEnabled), style, hashtags: hashtags.map(h => h.tag) }
+  );
+  // Record which tags made it into the caption (and from which pool) to compare performance later
+  const captionFit = { style, length, trimmed, firstComment, hashtags: hashtags.filter(h => usedTags.includes(h.tag)) };
+  logCaptionFit(captionFit);
+
   console.log('Caption preview (first 200 chars):');
   console.log(caption.substring(0, 200) + '...\n');
 
-  // 4. Generate image
-  console.log('[4/5] Generating illustration...');
-  const image = await generateIllustration(walk, weather);
+  // 4. Generate image, then frame it with the walk details. The branded
+  // variant is published; the raw illustration is kept next to it
+  console.log('[4/6] Generating illustration...');
+  const imageStyle = await resolveImageStyle();
+  console.log(`Image style: ${imageStyle}${process.env.IMAGE_STYLE === 'rotate' ? ' (rotating weekly)' : ''}`);
+  let image = await generateIllustration(walk, weather, { style: imageStyle });
+  if (process.env.BRANDED_IMAGES !== 'false') {
+    try {
+      image = await brandIllustration(image, walk, weather);
+    } catch (error) {
+      console.warn('⚠️  Could not brand the illustration, publishing it unbranded:', error.message);
+    }
+  }
   console.log('Image generated:', image.url);
 
-  return { walk, weather, caption, image };
+  // 5. Render extra carousel slides (route map + route card + directions card)
+  let slides = [];
+  if (slidesEnabled) {
+    console.log('\n[5/6] Rendering carousel slides...');
+    slides = await renderWalkSlides(walk);
+  } else {
+    console.log('\n[5/6] Carousel slides disabled (CAROUSEL_SLIDES=false), single image post');
+  }
+
+  return { walk, weather, caption, captionFit, hashtags, image, slides };
+}
+
+/**
+ * Caption budget, where overflowing directions go (the directions slide,
+ * or the first comment when there are no carousel slides) and what always
+ * goes in the first comment (FIRST_COMMENT=hashtags,directions)
+ */
+function getCaptionOptions(slidesEnabled = process.env.CAROUSEL_SLIDES !== 'false') {
+  return {
+    budget: Math.min(Number(process.env.CAPTION_BUDGET) || CAPTION_BUDGET, CAPTION_LIMIT),
+    directionsOverflow: slidesEnabled ? 'carousel' : 'comment',
+    firstComment: (process.env.FIRST_COMMENT || '').split(',').map(section => section.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * First comment to post with the content. Drafts saved before first-comment
+ * support only carried overflowing directions.
+ */
+function getFirstComment(captionFit) {
+  if (!captionFit) return null;
+  if (captionFit.firstComment !== undefined) return captionFit.firstComment;
+  return captionFit.overflow?.target === 'comment' ? captionFit.overflow.text : null;
+}
+
+/**
+ * Log what was trimmed to fit the caption into its budget
+ */
+function logCaptionFit({ length, trimmed, firstComment }) {
+  console.log(`Caption length: ${length} characters`);
+  if (firstComment) {
+    console.log(`💬 First comment: ${firstComment.length} characters`);
+  }
+  if (trimmed.length === 0) return;
+
+  console.log('✂️  Trimmed to fit:');
+  trimmed.forEach(({ section, action, detail }) => console.log(`   • ${section} ${action}${detail ? ` (${detail})` : ''}`));
 }
 
 /**
- * Main job that creates and publishes a Sunday pub walk post
+ * Main job that creates and publishes a Sunday pub walk post.
+ * Pass previously generated content (e.g. an approved draft) to publish
+ * that instead of generating something new.
  */
-async function publishSundayWalkPost() {
+async function publishSundayWalkPost(content = null) {
   console.log('\n=== Starting Sunday Pub Walk post generation (PUBLISH) ===');
   console.log(`Time: ${new Date().toISOString()}`);
 
   try {
-    const { walk, weather, caption, image } = await generateSundayWalkContent();
+    const { walk, weather, caption, captionFit = null, image, slides = [] } = content || await generateSundayWalkContent();
+    const firstComment = getFirstComment(captionFit);
+
+    // Instagram rejects anything longer, so don't even try (e.g. an over-edited draft)
+    if (!validateCaption(caption)) {
+      throw new Error(`Caption is ${caption.length} characters, over Instagram's ${CAPTION_LIMIT} limit - shorten it before publishing`);
+    }
+
+    // Made-up weather must never go out as a forecast (e.g. a draft from before weather had a source)
+    const weatherSources = getPublishableWeatherSources();
+    if (process.env.NODE_ENV !== 'development' && !weatherSources.includes(weather?.source)) {
+      throw new Error(`Weather source is ${weather?.source ? `"${weather.source}"` : 'missing'} (expected ${weatherSources.join(', ')}) - regenerate the post before publishing`);
+    }
 
-    // 5. Post to Instagram
-    console.log('\n[5/5] Posting to Instagram...');
+    // 6. Post to Instagram
+    console.log('\n[6/6] Posting to Instagram...');
 
     // Check if we're in test mode
     if (process.env.NODE_ENV === 'development') {
@@ -84,6 +186,8 @@ async function publishSundayWalkPost() {
       console.log('To publish for real, set NODE_ENV=production in .env');
       console.log('\nGenerated content saved:');
       console.log('- Image:', image.localPath);
+      if (image.raw) console.log('- Raw illustration:', image.raw.localPath);
+      slides.forEach(slide => console.log(`- Slide (${slide.kind}):`, slide.localPath));
       console.log('- Caption length:', caption.length, 'characters');
 
       // Save caption to file for review
@@ -91,6 +195,14 @@ async function publishSundayWalkPost() {
       await fsp.writeFile(captionPath, caption, 'utf8');
       console.log('- Caption:', captionPath);
 
+      if (firstComment) {
+        const commentPath = image.localPath.replace(/\.png$/i, '-first-comment.txt');
+        await fsp.writeFile(commentPath, firstComment, 'utf8');
+        console.log('- First comment:', commentPath);
+      }
+
+      await recordPost({ walk, weather, caption, captionFit, image, slides }, null, 'development');
+
       return {
         success: true,
         mode: 'development',
@@ -100,24 +212,31 @@ async function publishSundayWalkPost() {
     }
 
     // Production: actually post to Instagram
+    // Hashtags and/or directions kept out of the caption go in the first comment
     const result = await postToInstagram({
       imageUrl: image.url,
+      imageUrls: [image.url, ...slides.map(slide => slide.url)],
       imagePath: image.localPath,
-      caption
+      caption,
+      firstComment
     });
 
     // Log the successful post
-    await logPost(walk, result);
+    await recordPost({ walk, weather, caption, captionFit, image, slides }, result, 'production');
 
     console.log('\n✅ Successfully published Sunday Pub Walk post!');
     console.log('Walk:', walk.walk_title);
     console.log('Instagram Post ID:', result.id);
+    if (result.commentId) {
+      console.log('First comment ID:', result.commentId);
+    }
 
     return {
       success: true,
       mode: 'production',
       walk: walk.walk_title,
-      postId: result.id
+      postId: result.id,
+      commentId: result.commentId ?? null
     };
 
   } catch (error) {
@@ -128,17 +247,55 @@ async function publishSundayWalkPost() {
   }
 }
 
+/**
+ * Save a post to the history store. The post has already gone out by now,
+ * so a failure here is reported loudly rather than failing the publish.
+ */
+async function recordPost(content, result, mode) {
+  try {
+    await logPost(content, result, mode);
+  } catch (error) {
+    console.error('❌ Could not save post to history - fix this before the next run or pubs may repeat:', error.message);
+  }
+}
+
+/**
+ * Scheduled job: publish the oldest approved draft from the review queue,
+ * falling back to generating a fresh post when nothing has been approved
+ */
+async function publishNextSundayWalkPost() {
+  const draft = await getNextApprovedDraft();
+
+  if (!draft) {
+    console.log('📭 No approved drafts in the queue - generating a new post instead');
+    return publishSundayWalkPost();
+  }
+
+  console.log(`📬 Publishing approved draft ${draft.id}: "${draft.walk.walk_title}"`);
+  const result = await publishSundayWalkPost(draft);
+
+  // A development run counts too, or every later run would pick the same draft again
+  await markDraftPublished(draft.id, { id: result.postId ?? null, mode: result.mode });
+
+  return { ...result, draftId: draft.id };
+}
+
 /**
  * Preview job that generates a full Instagram post
  * but DOES NOT publish it. Instead, it logs a neatly
- * formatted block you can copy/paste into Instagram.
+ * formatted block you can copy/paste into Instagram,
+ * and saves it as a draft for review.
+ * With `compareStyles`, the same walk is also rendered in every caption style.
  */
-async function previewSundayWalkPost() {
+async function previewSundayWalkPost({ compareStyles = false } = {}) {
   console.log('\n=== INSTAGRAM POST PREVIEW (NO PUBLISH) ===');
   console.log(`Time: ${new Date().toISOString()}`);
 
   try {
-    const { walk, weather, caption, image } = await generateSundayWalkContent();
+    const { walk, weather, caption, captionFit, hashtags, image, slides } = await generateSundayWalkContent();
+
+    // Queue it for review so it can be edited/approved before the scheduler publishes it
+    const draft = await createDraft({ walk, weather, caption, captionFit, image, slides });
 
     // Optional: save caption to file for reference
     const captionPath = image.localPath.replace(/\.png$/i, '-caption-preview.txt');
@@ -150,20 +307,46 @@ async function previewSundayWalkPost() {
     console.log('📸 IMAGE');
     console.log('Upload this image (or download it from this URL):');
     console.log(image.url);
+    if (slides.length > 0) {
+      console.log('\nThen add these carousel slides, in order:');
+      slides.forEach(slide => console.log(`${slide.kind}: ${slide.url}`));
+    }
     console.log('\n');
 
-    console.log('📝 CAPTION (copy everything below into Instagram):\n');
+    console.log(`📝 CAPTION (${captionFit.length} characters - copy everything below into Instagram):\n`);
     console.log(caption);
+
+    if (captionFit.trimmed.length > 0) {
+      console.log('\n✂️  TRIMMED TO FIT');
+      captionFit.trimmed.forEach(({ section, action, detail }) => console.log(`• ${section} ${action}${detail ? ` (${detail})` : ''}`));
+    }
+
+    if (captionFit.firstComment) {
+      console.log('\n💬 FIRST COMMENT (post this straight after publishing):\n');
+      console.log(captionFit.firstComment);
+    }
     console.log('\n================= END INSTAGRAM POST PREVIEW =============\n');
 
-    console.log('Preview caption saved to:', captionPath);
+    console.log(`Preview caption (${captionFit.style} style) saved to:`, captionPath);
+    console.log(`Draft ID: ${draft.id} (approve via POST /drafts/${draft.id}/approve)`);
+
+    const styles = compareStyles
+      ? await previewCaptionStyles({ walk, weather, hashtags, image, slides })
+      : undefined;
 
     return {
       success: true,
       mode: 'preview',
       walk: walk.walk_title,
+      weatherReason: walk.weather_fit?.reason ?? null,
       imageUrl: image.url,
-      captionPath
+      imageStyle: image.style,
+      slideUrls: slides.map(slide => slide.url),
+      captionPath,
+      captionStyle: captionFit.style,
+      captionTrimmed: captionFit.trimmed,
+      styles,
+      draftId: draft.id
     };
   } catch (error) {
     console.error('\n❌ Error generating preview:', error.message);
@@ -172,6 +355,222 @@ async function previewSundayWalkPost() {
   }
 }
 
+/**
+ * Render the walk's caption in every style for comparison. Each one is
+ * printed and saved next to the image as -caption-<style>.txt.
+ */
+async function previewCaptionStyles({ walk, weather, hashtags, image, slides }) {
+  const options = { ...getCaptionOptions(slides.length > 0), hashtags: hashtags.map(h => h.tag) };
+  const results = [];
+
+  for (const style of await listCaptionStyles()) {
+    const { caption, length, trimmed, firstComment } = await composeCaption({ walk, weather }, { ...options, style });
+    const captionPath = image.localPath.replace(/\.png$/i, `-caption-${style}.txt`);
+    await fsp.writeFile(captionPath, caption, 'utf8');
+
+    console.log(`\n================= STYLE: ${style.toUpperCase()} (${length} characters) =================\n`);
+    console.log(caption);
+    if (firstComment) {
+      console.log(`\n💬 FIRST COMMENT:\n\n${firstComment}`);
+    }
+
+    results.push({ style, length, trimmed, captionPath });
+  }
+
+  console.log('\n================= CAPTION STYLES =================\n');
+  results.forEach(({ style, length, trimmed, captionPath }) => {
+    const trimmedNote = trimmed.length > 0 ? `, trimmed: ${trimmed.map(t => `${t.section} ${t.action}`).join(', ')}` : '';
+    console.log(`• ${style.padEnd(10)} ${String(length).padStart(4)} chars${trimmedNote} → ${captionPath}`);
+  });
+
+  return results;
+}
+
+/**
+ * Check the request carries the trigger secret, either as ?secret=
+ * or as an "Authorization: Bearer <secret>" header
+ */
+function isAuthorized(req, url) {
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+  return (url.searchParams.get('secret') || bearer) === TRIGGER_SECRET;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body (empty body -> {}). Anything but a
+ * JSON object is a 400.
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8').trim();
+  if (!raw) {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (error) {
+    throw new DraftError('Request body must be valid JSON', 400);
+  }
+
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new DraftError('Request body must be a JSON object', 400);
+  }
+  return body;
+}
+
+/**
+ * Handle the draft review routes:
+ *   GET   /drafts[?status=pending]  - list drafts
+ *   GET   /drafts/:id               - view a draft
+ *   PATCH /drafts/:id               - edit caption/walk/weather (JSON body)
+ *   POST  /drafts/:id/approve       - approve for the next scheduled publish
+ *   POST  /drafts/:id/reject        - reject (optional JSON body { "reason": "..." })
+ */
+async function handleDraftRoutes(req, res, url) {
+  const [, , id, action] = url.pathname.split('/');
+
+  try {
+    if (!id) {
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method Not Allowed' });
+        return;
+      }
+      const status = url.searchParams.get('status') || undefined;
+      const drafts = await listDrafts({ status });
+      sendJson(res, 200, { count: drafts.length, drafts });
+      return;
+    }
+
+    if (!action) {
+      if (req.method === 'GET') {
+        const draft = await getDraft(id);
+        if (!draft) {
+          throw new DraftError(`Draft not found: ${id}`, 404);
+        }
+        sendJson(res, 200, draft);
+        return;
+      }
+
+      if (req.method === 'PATCH' || req.method === 'PUT') {
+        const changes = await readJsonBody(req);
+        const draft = await updateDraft(id, changes);
+        sendJson(res, 200, draft);
+        return;
+      }
+
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+
+    if (action === 'approve') {
+      const draft = await approveDraft(id);
+      console.log(`✅ Draft ${id} approved: "${draft.walk.walk_title}"`);
+      sendJson(res, 200, draft);
+      return;
+    }
+
+    if (action === 'reject') {
+      const { reason } = await readJsonBody(req);
+      const draft = await rejectDraft(id, reason || null);
+      console.log(`🗑️  Draft ${id} rejected${reason ? `: ${reason}` : ''}`);
+      sendJson(res, 200, draft);
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not Found', detail: `Unknown draft action: ${action}` });
+  } catch (error) {
+    if (error instanceof DraftError) {
+      sendJson(res, error.statusCode, { error: error.message });
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Public walk archive (the link-in-bio): GET /walks, filtered by
+ * ?area=&difficulty=&dog=1&kid=1&pram=1, GET /walks/<slug> and the
+ * route files at /walks/<slug>.gpx and /walks/<slug>.kml
+ */
+async function handleWalkRoutes(req, res, url) {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+
+  const [entries, brand] = await Promise.all([getArchiveWalks(), loadBrand()]);
+  const slug = url.pathname.replace(/^\/walks\/?/, '').replace(/\/$/, '');
+
+  if (!slug) {
+    const filters = parseArchiveFilters(url.searchParams);
+    sendHtml(res, 200, renderArchivePage({
+      entries: filterArchiveWalks(entries, filters),
+      total: entries.length,
+      areas: listArchiveAreas(entries),
+      filters
+    }, brand));
+    return;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(slug);
+  } catch {
+    decoded = slug;
+  }
+
+  const routeFile = decoded.match(/^(.+)\.(gpx|kml)$/);
+  if (routeFile) {
+    const [, routeSlug, format] = routeFile;
+    const entry = entries.find(e => e.slug === routeSlug);
+    if (!entry || !hasRoute(entry.walk)) {
+      sendJson(res, 404, { error: 'Not Found', detail: `No route file for walk "${routeSlug}"` });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': `${ROUTE_FORMATS[format].contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${routeSlug}.${format}"`
+    });
+    res.end(buildRouteFile(entry.walk, format, { url: `${getPublicBaseUrl()}/walks/${routeSlug}` }));
+    return;
+  }
+
+  const entry = entries.find(e => e.slug === decoded);
+  if (!entry) {
+    sendHtml(res, 404, renderWalkNotFoundPage(decoded, brand));
+    return;
+  }
+  sendHtml(res, 200, renderWalkPage(entry, brand));
+}
+
+/**
+ * Send an HTML page
+ */
+function sendHtml(res, statusCode, html) {
+  res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
 // Create simple HTTP server for Render health checks, manual triggers, preview, and images
 const server = http.createServer(async (req, res) => {
   try {
@@ -180,11 +579,19 @@ const server = http.createServer(async (req, res) => {
 
     // 1) Health check endpoint
     if (url.pathname === '/health') {
+      const token = await getTokenStatus();
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         status: 'healthy',
         service: 'Sunday Pub Walks Bot',
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        instagramToken: {
+          valid: token.valid ?? null,
+          expiresAt: token.expiresAt ?? null,
+          daysRemaining: token.daysRemaining ?? null,
+          checkedAt: token.checkedAt ?? null,
+          ...(token.error && { error: token.error })
+        }
       }));
       return;
     }
@@ -239,15 +646,31 @@ const server = http.createServer(async (req, res) => {
         message: 'Preview generation started! Check logs for the full Instagram post preview.'
       }));
 
-      console.log('🎯 Manual trigger received (PREVIEW only)!');
-      previewSundayWalkPost().catch(error => {
+      const compareStyles = url.searchParams.get('styles') === 'all';
+      console.log(`🎯 Manual trigger received (PREVIEW only${compareStyles ? ', all caption styles' : ''})!`);
+      previewSundayWalkPost({ compareStyles }).catch(error => {
         console.error('Manual trigger (preview) failed:', error);
       });
 
       return;
     }
 
-    // 4) Serve generated images from /images/*
+    // 4) Draft review queue (list, edit, approve, reject)
+    if (url.pathname === '/drafts' || url.pathname.startsWith('/drafts/')) {
+      if (!isAuthorized(req, url)) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: 'Unauthorized',
+          message: 'Invalid or missing secret token'
+        }));
+        return;
+      }
+
+      await handleDraftRoutes(req, res, url);
+      return;
+    }
+
+    // 5) Serve generated images (illustrations and carousel slides) from /images/*
     if (url.pathname.startsWith('/images/')) {
       const filename = path.basename(url.pathname); // strip any dirs
       const filePath = path.join(GENERATED_DIR, filename);
@@ -298,7 +721,19 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
-    // 5) Default response (simple HTML status page)
+    // 6) Public walk archive
+    if (url.pathname === '/walks' || url.pathname.startsWith('/walks/')) {
+      await handleWalkRoutes(req, res, url);
+      return;
+    }
+
+    // 7) Anything else that isn't the status page
+    if (url.pathname !== '/') {
+      sendJson(res, 404, { error: 'Not Found', detail: `No route for ${url.pathname}` });
+      return;
+    }
+
+    // 8) Default response (simple HTML status page)
     res.writeHead(200, { 'Content-Type': 'text/html' });
     res.end(`
       <!DOCTYPE html>
@@ -343,8 +778,10 @@ const server = http.createServer(async (req, res) => {
         <ul>
           <li><code>/health</code> - Health check</li>
           <li><code>/trigger?secret=YOUR_SECRET</code> - Manually generate & <strong>publish</strong> a post</li>
-          <li><code>/preview?secret=YOUR_SECRET</code> - Manually generate a <strong>preview only</strong> (no publish, logs full caption & image URL)</li>
-          <li><code>/images/&lt;filename&gt;</code> - Generated images</li>
+          <li><code>/preview?secret=YOUR_SECRET</code> - Manually generate a <strong>preview only</strong> (no publish, logs full caption & image URL, saves a draft for review). Add <code>&amp;styles=all</code> to also render the caption in every style</li>
+          <li><code>/drafts?secret=YOUR_SECRET</code> - List drafts awaiting review (<code>GET/PATCH /drafts/&lt;id&gt;</code>, <code>POST /drafts/&lt;id&gt;/approve</code>, <code>POST /drafts/&lt;id&gt;/reject</code>)</li>
+          <li><code>/images/&lt;filename&gt;</code> - Generated images (illustrations and carousel slides)</li>
+          <li><a href="/walks"><code>/walks</code></a> - Public archive of every walk posted (filter with <code>?area=&amp;difficulty=&amp;dog=1&amp;kid=1&amp;pram=1</code>), one page each at <code>/walks/&lt;slug&gt;</code> with route files at <code>/walks/&lt;slug&gt;.gpx</code> and <code>.kml</code>. Use this as the Instagram link-in-bio</li>
         </ul>
         
         <p>
@@ -372,10 +809,20 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`Health check server running on port ${PORT}`);
-  console.log(`Serving generated images from: ${GENERATED_DIR}`);
-});
+/**
+ * Start the HTTP server (not started on import, so tests can listen on their own port)
+ */
+function startServer(port = PORT) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      console.log(`Health check server running on port ${server.address().port}`);
+      console.log(`Serving generated images from: ${GENERATED_DIR}`);
+      console.log(`Walk archive (link-in-bio): ${getPublicBaseUrl()}/walks`);
+      resolve(server);
+    });
+  });
+}
 
 /**
  * Start the scheduler
@@ -386,7 +833,7 @@ function startScheduler() {
   console.log('🚀 Sunday Pub Walks Bot Started');
   console.log('Environment:', process.env.NODE_ENV || 'development');
   console.log('Schedule:', schedule);
-  console.log('Next run will generate and post a Sunday walk recommendation\n');
+  console.log('Next run will publish the oldest approved draft (or generate a new walk if none are approved)\n');
 
   // Validate schedule
   if (!cron.validate(schedule)) {
@@ -397,12 +844,18 @@ function startScheduler() {
   const task = cron.schedule(schedule, async () => {
     console.log('\n⏰ Scheduled job triggered');
     try {
-      await publishSundayWalkPost();
+      await publishNextSundayWalkPost();
     } catch (error) {
       console.error('Scheduled job failed:', error.message);
     }
   });
 
+  // Keep the Instagram token alive: check now, then every day at 06:00
+  manageAccessToken();
+  const tokenTask = cron.schedule('0 6 * * *', () => {
+    manageAccessToken();
+  });
+
   console.log('✅ Scheduler is running');
   console.log('Press Ctrl+C to stop\n');
 
@@ -410,6 +863,7 @@ function startScheduler() {
   process.on('SIGINT', () => {
     console.log('\n👋 Stopping scheduler...');
     task.stop();
+    tokenTask.stop();
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
@@ -419,6 +873,7 @@ function startScheduler() {
   process.on('SIGTERM', () => {
     console.log('\n👋 Received SIGTERM, stopping gracefully...');
     task.stop();
+    tokenTask.stop();
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
@@ -428,8 +883,12 @@ function startScheduler() {
 
 // Start the application
 if (import.meta.url === `file://${process.argv[1]}`) {
+  if (isOfflineMode()) {
+    await startOfflineServices();
+  }
+  await startServer();
   startScheduler();
 }
 
 // Export for testing
-export { publishSundayWalkPost, previewSundayWalkPost, startScheduler };
+export { publishSundayWalkPost, publishNextSundayWalkPost, previewSundayWalkPost, startScheduler, startServer, server };
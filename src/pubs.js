@@ -0,0 +1,173 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadPubRegistry, addPub, importPubs } from './services/pub-registry.js';
+
+const USAGE = `
+Usage:
+  npm run pubs -- list
+  npm run pubs -- add --name "The Spaniards Inn" --lat 51.5705 --lng -0.1735 \\
+                      [--alias "Spaniards Inn"]... [--area "Hampstead Heath"] \\
+                      [--instagram @handle] [--dog] [--food]
+  npm run pubs -- import <file.json|file.csv>
+
+CSV files need a header row with: name,lat,lng and optionally
+aliases (separated by |),area,instagram,dog_friendly,food
+`;
+
+/**
+ * List every pub in the registry
+ */
+async function listPubs() {
+  const registry = await loadPubRegistry();
+
+  console.log(`\n🍺 Pub registry (${registry.length} pubs)\n`);
+  registry
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(pub => {
+      const flags = [pub.dog_friendly && '🐕', pub.food && '🍽️'].filter(Boolean).join(' ');
+      console.log(`📍 ${pub.name}${pub.instagram ? ` (${pub.instagram})` : ''} ${flags}`);
+      console.log(`   ${pub.area || 'Unknown area'} · ${pub.lat}, ${pub.lng}`);
+      if (pub.aliases.length > 0) {
+        console.log(`   aka ${pub.aliases.join(', ')}`);
+      }
+    });
+  console.log('');
+}
+
+/**
+ * Add a single pub from command line options
+ */
+async function addPubFromArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      name: { type: 'string' },
+      lat: { type: 'string' },
+      lng: { type: 'string' },
+      alias: { type: 'string', multiple: true },
+      area: { type: 'string' },
+      instagram: { type: 'string' },
+      dog: { type: 'boolean' },
+      food: { type: 'boolean' }
+    }
+  });
+
+  const pub = await addPub({
+    name: values.name,
+    lat: values.lat,
+    lng: values.lng,
+    aliases: values.alias || [],
+    area: values.area,
+    instagram: values.instagram,
+    dog_friendly: Boolean(values.dog),
+    food: Boolean(values.food)
+  });
+
+  console.log(`✅ Added ${pub.name} (${pub.id})`);
+}
+
+/**
+ * Import pubs from a JSON array or CSV file
+ */
+async function importPubsFromFile(file) {
+  if (!file) {
+    throw new Error('Missing file to import');
+  }
+
+  const raw = await fs.readFile(file, 'utf-8');
+  const entries = path.extname(file).toLowerCase() === '.csv'
+    ? parseCsv(raw)
+    : JSON.parse(raw);
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Import file must contain an array of pubs');
+  }
+
+  const { added, skipped } = await importPubs(entries);
+
+  console.log(`✅ Imported ${added.length} pubs`);
+  skipped.forEach(({ name, reason }) => {
+    console.log(`   ⚠️  Skipped ${name}: ${reason}`);
+  });
+}
+
+/**
+ * Minimal CSV parser (handles quoted fields and escaped quotes)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim()));
+  const keys = (header || []).map(key => key.trim());
+
+  return records.map(record =>
+    Object.fromEntries(keys.map((key, i) => [key, (record[i] || '').trim()]))
+  );
+}
+
+/**
+ * Entry point
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'list':
+    case undefined:
+      await listPubs();
+      break;
+    case 'add':
+      await addPubFromArgs(args);
+      break;
+    case 'import':
+      await importPubsFromFile(args[0]);
+      break;
+    default:
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  console.log(USAGE);
+  process.exit(1);
+});
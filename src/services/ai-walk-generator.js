@@ -1,94 +1,170 @@
-import OpenAI from 'openai';
-import fs from 'fs/promises';
-import path from 'path';
+import { getPublishedPosts } from './post-store.js';
+import { loadScoringConfig, rankWalks, recordWalkRanking } from './walk-scoring.js';
+import { loadGeoConfig, validateWalkGeography } from './walk-validation.js';
+import { loadPubRegistry, findRegistryPub, isRegistryOnly } from './pub-registry.js';
+import { findMatchingPub } from './pub-matching.js';
+import { loadAreaConfig, chooseArea, findWalkArea } from './area-rotation.js';
+import { getTextProvider } from './llm/index.js';
+import { getSeason } from './calendar.js';
+import { isOfflineMode, createSeededRandom } from './offline.js';
 
-let openaiClient = null;
+// What to ask of the walk for each of Sunday's conditions (see describeWalkingConditions)
+const WEATHER_GUIDANCE = {
+  wet: 'Rain is likely - keep it short (under 5km) and sheltered (woodland, canal towpaths, streets, covered markets), finishing at a cosy pub with a fire. Avoid exposed heaths and hilltops.',
+  windy: 'Strong winds are forecast - avoid exposed heaths, hilltops and open commons; keep to sheltered streets, woodland or canals.',
+  cold: "It'll be cold - keep it moderate and finish somewhere cosy with a fire.",
+  sunny: 'It should be sunny - a riverside or canal route finishing at a pub with a terrace or beer garden would be ideal.'
+};
 
-/**
- * Get or create OpenAI client (lazy initialization)
- */
-function getOpenAIClient() {
-  if (!openaiClient) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openaiClient;
-}
+// What the weather scoring leans towards, for the rationale saved with the post
+const WEATHER_PREFERENCE_NOTES = {
+  wet: 'sheltered, shorter walks with a cosy pub',
+  windy: 'sheltered routes away from exposed heaths and hilltops',
+  cold: 'a cosy pub finish',
+  sunny: 'riverside walks and pub terraces'
+};
+
+// Seasonal colour for the walk prompt
+const SEASON_NOTES = {
+  winter: 'cosy pubs, crisp air, roaring fires',
+  spring: 'fresh blooms, mild weather, beer gardens opening',
+  summer: 'long days, sunny terraces, riverside pints',
+  autumn: 'golden leaves, mild temperatures, harvest season'
+};
 
 /**
- * Get list of pubs that have already been posted
+ * Get the pubs that have already been posted, one entry per post:
+ * { name, coords, timestamp, walkTitle }
  */
-async function getUsedPubs() {
-  const logPath = path.join(process.cwd(), 'logs', 'posts.jsonl');
-  
-  try {
-    const data = await fs.readFile(logPath, 'utf-8');
-    const lines = data.trim().split('\n');
-    const posts = lines.map(line => JSON.parse(line));
-    
-    // Extract unique pub names
-    const pubs = [...new Set(posts.map(p => p.pubName).filter(Boolean))];
-    console.log(`📋 Found ${pubs.length} previously used pubs`);
-    return pubs;
-  } catch (error) {
-    // No log file yet or empty
-    console.log('📋 No previous posts found - fresh start!');
-    return [];
-  }
+function getUsedPubs(posts) {
+  const pubs = posts.map(p => ({
+    name: p.pubName,
+    coords: p.pubCoords || null,
+    timestamp: p.timestamp,
+    walkTitle: p.walkTitle
+  }));
+
+  console.log(pubs.length > 0
+    ? `📋 Found ${pubs.length} previously used pubs`
+    : '📋 No previous posts found - fresh start!');
+  return pubs;
 }
 
 /**
- * Generate a complete Sunday pub walk using AI
+ * Generate a complete Sunday pub walk using AI.
+ * Walks that reuse a pub or fail geographic validation are regenerated;
+ * the reasons are collected in `rejections`. `outlook` (Sunday's walking
+ * conditions) steers the AI towards a walk that suits the weather.
  */
-export async function generateWalk(maxAttempts = 5, attempt = 1) {
+export async function generateWalk(maxAttempts = 5, attempt = 1, rejections = [], outlook = null) {
   console.log(`🤖 Generating a new walk with AI... (attempt ${attempt}/${maxAttempts})`);
   
   // Safety check
   if (attempt > maxAttempts) {
-    throw new Error('Failed to generate a unique pub after maximum attempts');
+    const error = new Error('Failed to generate a valid walk with a unique pub after maximum attempts');
+    error.rejections = rejections;
+    throw error;
   }
   
-  // Get pubs we've already used
-  const usedPubs = await getUsedPubs();
+  // Get pubs we've already used. An unreadable history throws rather than
+  // risk repeating a pub.
+  const postHistory = await getPublishedPosts();
+  const usedPubs = getUsedPubs(postHistory);
+
+  // Curated pubs we can ground the AI's choice against
+  const registry = await loadPubRegistry();
+  const allowedPubs = isRegistryOnly()
+    ? registry.filter(pub => !findMatchingPub({ name: pub.name, coords: { lat: pub.lat, lng: pub.lng } }, usedPubs))
+    : null;
+
+  if (allowedPubs && allowedPubs.length === 0) {
+    throw new Error('PUB_REGISTRY_ONLY is set but every registry pub has already been used - add more with "npm run pubs -- add"');
+  }
   
-  const prompt = buildWalkGenerationPrompt(usedPubs);
+  // Rotate areas so we don't post three Thames Path walks in a row
+  const areaConfig = await loadAreaConfig();
+  const area = chooseArea(areaConfig, postHistory, {
+    random: isOfflineMode() ? createSeededRandom('area') : Math.random
+  });
+  console.log(`🗺️  Area: ${area.label}`);
+  console.log(`   Why: ${area.reason}`);
+  
+  const prompt = buildWalkGenerationPrompt(usedPubs, allowedPubs, area.label, outlook);
   
   try {
-    const openai = getOpenAIClient();
-    const response = await openai.chat.completions.create({
-      model: "gpt-5", // Latest and most capable model
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert on London walks and traditional British pubs. You generate authentic, detailed walking routes that combine beautiful scenery with excellent pub destinations. You know real London geography, real pubs, and create engaging, walkable routes."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 1.0, // High creativity for variety
-      response_format: { type: "json_object" }
+    const llm = getTextProvider();
+    console.log(`🧠 Using ${llm.name} (${llm.textModel})`);
+    const walkData = await llm.generateJson({
+      system: "You are an expert on London walks and traditional British pubs. You generate authentic, detailed walking routes that combine beautiful scenery with excellent pub destinations. You know real London geography, real pubs, and create engaging, walkable routes.",
+      prompt
     });
 
-    const walkData = JSON.parse(response.choices[0].message.content);
+    // Resolve the AI's pub against the registry (canonical name, handle, coords)
+    const registryMatch = findRegistryPub(walkData.end_pub_name, registry, walkData.end_pub_coords);
+    if (registryMatch) {
+      const { pub } = registryMatch;
+      console.log(`📒 Matched "${walkData.end_pub_name}" to registry pub "${pub.name}"`);
+      walkData.end_pub_name = pub.name;
+      walkData.end_pub_handle = pub.instagram || walkData.end_pub_handle || null;
+      walkData.end_pub_coords = { lat: pub.lat, lng: pub.lng };
+      walkData.pub_registry_id = pub.id;
+      // The route ends at the registry pub, not wherever the AI put it
+      const pubWaypoint = walkData.waypoints?.[walkData.waypoints.length - 1];
+      if (pubWaypoint?.type === 'pub') {
+        Object.assign(pubWaypoint, { name: pub.name, lat: pub.lat, lng: pub.lng });
+      }
+    } else if (allowedPubs) {
+      console.warn(`⚠️  Pub "${walkData.end_pub_name}" is not in the registry. Regenerating...`);
+      rejections.push({
+        code: 'PUB_NOT_IN_REGISTRY',
+        message: `Pub "${walkData.end_pub_name}" is not in the pub registry`,
+        details: { pub: walkData.end_pub_name }
+      });
+      return await generateWalk(maxAttempts, attempt + 1, rejections, outlook);
+    }
     
-    // Check if this pub was already used
-    if (usedPubs.includes(walkData.end_pub_name)) {
-      console.warn(`⚠️  Pub "${walkData.end_pub_name}" was already used. Regenerating...`);
+    // Check if this pub (or a near-identical name/location) was already used
+    const previous = findMatchingPub(
+      { name: walkData.end_pub_name, coords: walkData.end_pub_coords },
+      usedPubs
+    );
+    if (previous) {
+      const postedOn = previous.timestamp ? new Date(previous.timestamp).toLocaleDateString('en-GB') : 'an earlier date';
+      const message = `Pub "${walkData.end_pub_name}" matches "${previous.name}" from "${previous.walkTitle}" (posted ${postedOn})`;
+      console.warn(`⚠️  ${message}. Regenerating...`);
+      rejections.push({
+        code: 'DUPLICATE_PUB',
+        message,
+        details: {
+          pub: walkData.end_pub_name,
+          matchedPub: previous.name,
+          matchedWalk: previous.walkTitle,
+          matchedTimestamp: previous.timestamp,
+          similarity: Math.round(previous.similarity * 100) / 100,
+          distanceKm: previous.distanceKm
+        }
+      });
       // Recursively try again with incremented attempt counter
-      return await generateWalk(maxAttempts, attempt + 1);
+      return await generateWalk(maxAttempts, attempt + 1, rejections, outlook);
     }
     
-    console.log('✅ Generated walk:', walkData.walk_title);
-    console.log('🍺 Pub:', walkData.end_pub_name, '(new!)');
-    
     // Validate and format the walk data
-    return formatWalkData(walkData);
+    const walk = formatWalkData(walkData);
+    walk.area_rotation = describeWalkArea(area, findWalkArea(walk, area.id, areaConfig.areas));
+    walk.generated_by = { provider: llm.name, model: llm.textModel };
+
+    // Reject walks in the sea, in the wrong part of town, or at an impossible pace
+    const geography = validateWalkGeography(walk, await loadGeoConfig());
+    if (!geography.valid) {
+      console.warn(`⚠️  Walk "${walk.walk_title}" rejected (${geography.reason.code}): ${geography.reason.message}. Regenerating...`);
+      rejections.push(geography.reason);
+      return await generateWalk(maxAttempts, attempt + 1, rejections, outlook);
+    }
+    
+    console.log('✅ Generated walk:', walk.walk_title);
+    console.log('🍺 Pub:', walk.end_pub_name, '(new!)');
+    
+    return walk;
     
   } catch (error) {
     console.error('Error generating walk:', error.message);
@@ -97,32 +173,73 @@ export async function generateWalk(maxAttempts = 5, attempt = 1) {
 }
 
 /**
- * Build the prompt for walk generation
+ * The area rotation record for a walk: the area it's actually in (so that's
+ * the one that goes on cooldown), and why, noting when it isn't the area
+ * the AI was asked for
  */
-function buildWalkGenerationPrompt(usedPubs = []) {
+export function describeWalkArea(chosen, actual) {
+  if (actual?.id === chosen.id) {
+    return { id: chosen.id, reason: chosen.reason };
+  }
+
+  const where = actual ? actual.id : 'none of the configured areas';
+  console.warn(`⚠️  Asked for ${chosen.id} but the walk is in ${where}`);
+  return {
+    id: actual?.id || null,
+    reason: `asked for ${chosen.id} (${chosen.reason}), but the walk is in ${where}`
+  };
+}
+
+/**
+ * Build the prompt for walk generation.
+ * If allowedPubs is given, the AI must pick one of those registry pubs;
+ * with an outlook, the walk should suit Sunday's weather.
+ */
+export function buildWalkGenerationPrompt(usedPubs = [], allowedPubs = null, area = 'London', outlook = null) {
   const season = getCurrentSeason();
-  const area = getRandomArea();
   
   // Build exclusion list for prompt
   let pubExclusion = '';
   if (usedPubs.length > 0) {
+    const usedNames = [...new Set(usedPubs.map(p => p.name))];
     pubExclusion = `\n\nIMPORTANT - DO NOT USE THESE PUBS (already posted):
-${usedPubs.map(p => `- ${p}`).join('\n')}
+${usedNames.map(p => `- ${p}`).join('\n')}
 
 You MUST choose a different pub that we haven't featured before.`;
   }
+
+  // Restrict to curated registry pubs
+  let pubRestriction = '';
+  if (allowedPubs) {
+    pubRestriction = `\n\nIMPORTANT - THE PUB MUST BE ONE OF THESE (use the exact name):
+${allowedPubs.map(p => `- ${p.name}${p.area ? ` (${p.area})` : ''}`).join('\n')}
+
+Plan the walk so it finishes at your chosen pub, even if that means picking a different area.`;
+  }
+
+  // Suit the walk to Sunday's forecast
+  let weatherGuidance = '';
+  if (outlook?.conditions.length > 0) {
+    const guidance = outlook.conditions.map(condition => `- ${WEATHER_GUIDANCE[condition]}`);
+    if (outlook.bad) {
+      guidance.push('- Keep the difficulty "easy" or "moderate", not "challenging".');
+    }
+    weatherGuidance = `\n\nSUNDAY'S FORECAST: ${outlook.summary}. Choose a walk that suits it:
+${guidance.join('\n')}`;
+  }
   
   return `Generate a complete Sunday pub walk in ${area}, London that would be perfect for ${season}.
 
 CRITICAL REQUIREMENTS:
 - Use REAL locations, REAL pub names, REAL landmarks that actually exist in London
-- Provide accurate GPS coordinates (lat/lng) for the walk's midpoint
+- Provide accurate GPS coordinates (lat/lng) for the walk's midpoint and for the pub itself
 - The pub MUST be a real pub that exists - check your knowledge
 - Create a fun, punchy, slightly cheeky walk title (e.g. "Heath to Hearth", "Pints Above the Park")
 - Make it sound inviting and achievable
 - Include 3-5 clear highlights that sell the walk
 - Provide 5-7 step-by-step directions that are actually followable
-- List 3-5 landmarks for AI image generation (visual elements: bridges, parks, ponds, hills, buildings)${pubExclusion}
+- List 3-5 landmarks for AI image generation (visual elements: bridges, parks, ponds, hills, buildings)
+- List the route as 4-8 ordered waypoints with accurate coordinates: the start point first, then the landmarks you pass in walking order, then the pub last${pubExclusion}${pubRestriction}${weatherGuidance}
 
 Return a JSON object with this EXACT structure:
 
@@ -133,6 +250,10 @@ Return a JSON object with this EXACT structure:
   "start_point": "Specific starting location (tube/train station or landmark)",
   "end_pub_name": "REAL pub name (e.g., The Spaniards Inn)",
   "end_pub_handle": "Instagram handle if known (or null if unknown)",
+  "end_pub_coords": {
+    "lat": 51.5705,
+    "lng": -0.1735
+  },
   "distance_km": 4.5,
   "duration_minutes": 75,
   "terrain": "Brief terrain description",
@@ -156,6 +277,12 @@ Return a JSON object with this EXACT structure:
     "lat": 51.560,
     "lng": -0.170
   },
+  "waypoints": [
+    { "name": "Hampstead tube station", "type": "start", "lat": 51.5566, "lng": -0.1780 },
+    { "name": "Parliament Hill viewpoint", "type": "landmark", "lat": 51.5586, "lng": -0.1510 },
+    { "name": "Kenwood House", "type": "landmark", "lat": 51.5712, "lng": -0.1675 },
+    { "name": "The Spaniards Inn", "type": "pub", "lat": 51.5705, "lng": -0.1735 }
+  ],
   "directions": [
     "Step 1: Start from [place]...",
     "Step 2: Walk towards...",
@@ -168,7 +295,7 @@ Return a JSON object with this EXACT structure:
 
 IMPORTANT: 
 - All locations must be REAL and in London
-- GPS coordinates must be accurate for the area
+- GPS coordinates must be accurate for the area, including every waypoint
 - The pub must actually exist
 - Distance should be 3-8km (30-120 minutes walking)
 - Make it sound fun and inviting, not clinical
@@ -178,11 +305,11 @@ IMPORTANT:
 /**
  * Format and validate walk data from AI
  */
-function formatWalkData(walkData) {
+export function formatWalkData(walkData) {
   // Add generated metadata
   const walk = {
     id: `walk-${Date.now()}`,
-    slug: walkData.walk_title
+    slug: String(walkData.walk_title || '')
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/(^-|-$)/g, ''),
@@ -223,43 +350,46 @@ function formatWalkData(walkData) {
  * Get current season for context
  */
 function getCurrentSeason() {
-  const month = new Date().getMonth() + 1;
-  if ([12, 1, 2].includes(month)) return "winter (cosy pubs, crisp air, roaring fires)";
-  if ([3, 4, 5].includes(month)) return "spring (fresh blooms, mild weather, beer gardens opening)";
-  if ([6, 7, 8].includes(month)) return "summer (long days, sunny terraces, riverside pints)";
-  return "autumn (golden leaves, mild temperatures, harvest season)";
+  const season = getSeason();
+  return `${season} (${SEASON_NOTES[season]})`;
 }
 
 /**
- * Get a random London area for variety
+ * Why the weather favoured this walk, saved with the post, e.g.
+ * "Sunday looks sunny (Clear sky, 19°C) - preferring riverside walks and pub terraces. Weather fit 1"
  */
-function getRandomArea() {
-  const areas = [
-    "North London (Hampstead, Highgate, or Primrose Hill)",
-    "South West London (Richmond, Barnes, or Wimbledon)",
-    "East London (Victoria Park, Hackney, or Walthamstow)",
-    "West London (Chiswick, Kew, or Ealing)",
-    "South London (Greenwich, Dulwich, or Clapham Common)",
-    "Central London parks (Regent's Park, Hyde Park, or Battersea Park)",
-    "Thames Path (anywhere along the river through London)",
-    "Regent's Canal (from Angel to Victoria Park or beyond)"
-  ];
-  
-  return areas[Math.floor(Math.random() * areas.length)];
+export function describeWeatherRationale(outlook, weatherScore = null) {
+  if (!outlook) return null;
+
+  const source = outlook.source && outlook.source !== 'live' ? `, ${outlook.source} forecast` : '';
+  if (outlook.conditions.length === 0) {
+    return outlook.source === 'climatology'
+      ? 'No forecast for Sunday yet - walk chosen without regard to weather'
+      : `Nothing notable about Sunday's weather (${outlook.summary}${source}) - no weather preference`;
+  }
+
+  const conditions = outlook.conditions.join(' and ');
+  const preferring = outlook.conditions.map(condition => WEATHER_PREFERENCE_NOTES[condition]).join(', ');
+  let rationale = `Sunday looks ${conditions} (${outlook.summary}${source}) - preferring ${preferring}`;
+  if (outlook.bad) rationale += '; no challenging walks';
+  if (weatherScore !== null) rationale += `. Weather fit ${weatherScore}`;
+  return rationale;
 }
 
 /**
  * Generate multiple walk options and select the best one
- * This ensures quality by giving us choice
+ * This ensures quality by giving us choice - candidates are ranked
+ * by the weights in config/scoring.json (including how well they suit
+ * Sunday's weather, when there's an outlook)
  */
-export async function generateBestWalk(options = 2) {
+export async function generateBestWalk(options = 2, { outlook = null } = {}) {
   console.log(`🎲 Generating ${options} walk options to choose from...`);
   
   const walks = [];
   
   for (let i = 0; i < options; i++) {
     try {
-      const walk = await generateWalk();
+      const walk = await generateWalk(5, 1, [], outlook);
       walks.push(walk);
       
       // Small delay to avoid rate limits
@@ -275,10 +405,31 @@ export async function generateBestWalk(options = 2) {
     throw new Error('Failed to generate any walks');
   }
   
-  // For now, just return the first successful one
-  // Could add scoring logic here to pick the "best" one
-  const selectedWalk = walks[0];
+  // Score every candidate and pick the highest
+  const config = await loadScoringConfig();
+  const recentPosts = await getPublishedPosts();
+  const ranked = rankWalks(walks, { config, recentPosts, outlook });
+
+  console.log('📊 Walk scores:');
+  ranked.forEach(({ walk, score }, i) => {
+    const parts = Object.entries(score.breakdown)
+      .map(([component, value]) => `${component}=${value}`)
+      .join(' ');
+    console.log(`   ${i + 1}. ${score.total} "${walk.walk_title}" (${walk.end_pub_name}) - ${parts}`);
+  });
+
+  await recordWalkRanking(ranked, config);
+
+  const selectedWalk = ranked[0].walk;
+  if (outlook) {
+    selectedWalk.weather_fit = {
+      conditions: outlook.conditions,
+      score: ranked[0].score.breakdown.weather ?? null,
+      reason: describeWeatherRationale(outlook, ranked[0].score.breakdown.weather ?? null)
+    };
+    console.log(`🌦  Why: ${selectedWalk.weather_fit.reason}`);
+  }
   
-  console.log(`✅ Selected: "${selectedWalk.walk_title}"`);
+  console.log(`✅ Selected: "${selectedWalk.walk_title}" (score ${ranked[0].score.total})`);
   return selectedWalk;
 }
@@ -0,0 +1,226 @@
+import { escapeXml as escapeHtml } from './slides.js';
+import { describeWeatherSource } from './weather.js';
+import { ARCHIVE_FLAGS, DIFFICULTIES } from './walk-archive.js';
+import { hasRoute, ROUTE_FORMATS } from './route-files.js';
+import { isValidCoordinate } from './geo.js';
+
+/**
+ * The archive index: a filter form and a card per walk
+ */
+export function renderArchivePage({ entries, total, areas, filters }, brand) {
+  const cards = entries.length > 0
+    ? entries.map(renderWalkCard).join('\n')
+    : '<p class="empty">No walks match those filters yet. <a href="/walks">Show every walk</a></p>';
+
+  const areaOptions = areas
+    .map(area => `<option value="${escapeHtml(area.id)}"${filters.area === area.id ? ' selected' : ''}>${escapeHtml(area.label)} (${area.count})</option>`)
+    .join('');
+  const difficultyOptions = DIFFICULTIES
+    .map(difficulty => `<option value="${difficulty}"${filters.difficulty === difficulty ? ' selected' : ''}>${capitalize(difficulty)}</option>`)
+    .join('');
+  const flagBoxes = Object.entries(ARCHIVE_FLAGS)
+    .map(([flag, { label }]) => `<label><input type="checkbox" name="${flag}" value="1"${filters.flags.includes(flag) ? ' checked' : ''}> ${label}</label>`)
+    .join('\n        ');
+
+  const showing = entries.length === total ? `${total} walk${total === 1 ? '' : 's'}` : `${entries.length} of ${total} walks`;
+
+  return layout('Every walk', brand, `
+    <header>
+      <h1>🥾 ${escapeHtml(brand.name)} 🍺</h1>
+      <p>Every London pub walk we've posted, with full directions. ${showing}.</p>
+    </header>
+
+    <form class="filters" method="get" action="/walks">
+      <select name="area" aria-label="Area"><option value="">All areas</option>${areaOptions}</select>
+      <select name="difficulty" aria-label="Difficulty"><option value="">Any difficulty</option>${difficultyOptions}</select>
+      <span class="flags">
+        ${flagBoxes}
+      </span>
+      <button type="submit">Filter</button>
+    </form>
+
+    <main class="cards">
+${cards}
+    </main>`);
+}
+
+/**
+ * One walk in full: stats, highlights, directions, the pub and the forecast it went out with
+ */
+export function renderWalkPage(entry, brand) {
+  const { walk, weather } = entry;
+  const steps = (walk.directions || []).map(step => `<li>${escapeHtml(String(step).replace(/^Step \d+:\s*/i, ''))}</li>`).join('\n        ');
+  const highlights = (walk.highlights || []).map(h => `<li>${escapeHtml(h)}</li>`).join('\n        ');
+
+  return layout(walk.walk_title, brand, `
+    <p class="back"><a href="/walks">← Every walk</a></p>
+    <article>
+      <h1>${escapeHtml(walk.walk_title)}</h1>
+      <p class="meta">${escapeHtml(walk.area || entry.area.label)} · posted ${formatDate(entry.postedAt)}</p>
+      ${entry.imageUrl ? `<img class="hero" src="${escapeHtml(entry.imageUrl)}" alt="${escapeHtml(`Illustration of ${walk.walk_title}`)}">` : ''}
+
+      <ul class="stats">
+        ${renderStats(walk).map(stat => `<li>${stat}</li>`).join('\n        ')}
+      </ul>
+      ${renderFlags(walk)}
+      ${walk.best_for ? `<p>${escapeHtml(walk.best_for)}</p>` : ''}
+
+      <h2>✨ Highlights</h2>
+      <ul>
+        ${highlights}
+      </ul>
+
+      <h2>🗺️ Directions</h2>
+      <p>Start at <strong>${escapeHtml(walk.start_point)}</strong></p>
+      <ol class="directions">
+        ${steps}
+      </ol>
+      ${entry.mapUrl ? `<img class="hero" src="${escapeHtml(entry.mapUrl)}" alt="${escapeHtml(`Route map of ${walk.walk_title}`)}">` : ''}
+      ${renderRouteLinks(entry)}
+
+      <h2>🍻 The pub</h2>
+      ${renderPub(walk)}
+      ${weather ? renderWeather(weather) : ''}
+    </article>`);
+}
+
+/**
+ * 404 page for an unknown walk
+ */
+export function renderWalkNotFoundPage(slug, brand) {
+  return layout('Walk not found', brand, `
+    <p class="back"><a href="/walks">← Every walk</a></p>
+    <h1>Walk not found</h1>
+    <p>We haven't posted a walk called "${escapeHtml(slug)}". Have a look through <a href="/walks">every walk</a> instead.</p>`);
+}
+
+/**
+ * Summary card for the index
+ */
+function renderWalkCard(entry) {
+  const { walk } = entry;
+  return `      <a class="card" href="/walks/${encodeURIComponent(entry.slug)}">
+        ${entry.imageUrl ? `<img src="${escapeHtml(entry.imageUrl)}" alt="" loading="lazy">` : ''}
+        <h2>${escapeHtml(walk.walk_title)}</h2>
+        <p class="meta">${escapeHtml(walk.area_short || entry.area.label)} → ${escapeHtml(walk.end_pub_name)}</p>
+        <p class="meta">${renderStats(walk).slice(0, 3).join(' · ')} · ${formatDate(entry.postedAt)}</p>
+        ${renderFlags(walk)}
+      </a>`;
+}
+
+/**
+ * Distance, time, difficulty and terrain, as escaped HTML snippets
+ */
+function renderStats(walk) {
+  return [
+    typeof walk.distance_km === 'number' ? `${walk.distance_km.toFixed(1)} km` : null,
+    walk.duration_minutes ? `~${escapeHtml(walk.duration_minutes)} mins` : null,
+    walk.difficulty ? escapeHtml(capitalize(walk.difficulty)) : null,
+    walk.terrain ? escapeHtml(walk.terrain) : null
+  ].filter(Boolean);
+}
+
+/**
+ * Badges for dog/kid/pram friendly walks
+ */
+function renderFlags(walk) {
+  const flags = Object.values(ARCHIVE_FLAGS).filter(({ field }) => walk[field] === true);
+  if (flags.length === 0) return '';
+  return `<p class="badges">${flags.map(({ label }) => `<span>${label}</span>`).join(' ')}</p>`;
+}
+
+/**
+ * Download links for the route files, when the walk has waypoints
+ */
+function renderRouteLinks(entry) {
+  if (!hasRoute(entry.walk)) return '';
+  const links = Object.entries(ROUTE_FORMATS)
+    .map(([format, { label }]) => `<a href="/walks/${encodeURIComponent(entry.slug)}.${format}" download>${label}</a>`)
+    .join(' · ');
+  return `<p>📲 Download the route for your maps app: ${links}</p>`;
+}
+
+/**
+ * The finishing pub, with its Instagram and a map link when known
+ */
+function renderPub(walk) {
+  const handle = walk.end_pub_handle?.replace(/^@/, '');
+  const coords = walk.end_pub_coords;
+  // Stored walks come from the model, so only link to real coordinates
+  const lat = isValidCoordinate(coords) ? escapeHtml(String(coords.lat)) : null;
+  const lng = lat ? escapeHtml(String(coords.lng)) : null;
+  const links = [
+    handle ? `<a href="https://www.instagram.com/${encodeURIComponent(handle)}/">@${escapeHtml(handle)}</a>` : null,
+    lat ? `<a href="https://www.openstreetmap.org/?mlat=${lat}&amp;mlon=${lng}#map=17/${lat}/${lng}">Map</a>` : null
+  ].filter(Boolean);
+
+  return `<p><strong>${escapeHtml(walk.end_pub_name)}</strong>${links.length > 0 ? ` · ${links.join(' · ')}` : ''}</p>
+      ${walk.pub_description ? `<p>${escapeHtml(walk.pub_description)}</p>` : ''}`;
+}
+
+/**
+ * The forecast the walk was posted with
+ */
+function renderWeather(weather) {
+  const lines = [
+    weather.summary,
+    weather.bestWindow ? `Best time to set off: ${weather.bestWindow.start}–${weather.bestWindow.end}${weather.sunset ? ` (sunset ${weather.sunset})` : ''}` : null,
+    weather.tip ? `Tip: ${weather.tip}` : null
+  ].filter(Boolean);
+
+  return `
+      <h2>🌤 ${escapeHtml(describeWeatherSource(weather))}</h2>
+      <p class="meta">As posted - check the latest forecast before you go.</p>
+      ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n      ')}`;
+}
+
+/**
+ * Page shell in the brand colours and fonts
+ */
+function layout(title, brand, body) {
+  const { colours, fonts } = brand;
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} · ${escapeHtml(brand.name)}</title>
+  <style>
+    body { font-family: ${fonts.body}; background: ${colours.background}; color: ${colours.text}; max-width: 960px; margin: 0 auto; padding: 24px; line-height: 1.6; }
+    h1, h2 { font-family: ${fonts.heading}; color: ${colours.primary}; }
+    a { color: ${colours.path}; }
+    .meta, .empty { color: ${colours.muted}; }
+    .filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin: 16px 0 24px; }
+    .filters button { background: ${colours.primary}; color: ${colours.background}; border: 0; border-radius: 6px; padding: 6px 16px; cursor: pointer; }
+    .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 20px; }
+    .card { display: block; background: #fff; border-radius: 10px; padding: 12px; color: inherit; text-decoration: none; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+    .card img, .hero { width: 100%; border-radius: 8px; }
+    .card h2 { font-size: 1.2em; margin: 8px 0 4px; }
+    .card p { margin: 4px 0; }
+    .badges span { display: inline-block; background: ${colours.green}; border-radius: 12px; padding: 0 10px; font-size: 0.85em; margin-right: 4px; }
+    .stats { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 8px 20px; font-weight: 600; }
+    .directions li { margin-bottom: 8px; }
+  </style>
+</head>
+<body>
+${body}
+  <footer class="meta"><p>${escapeHtml(brand.handle)} on Instagram · a new walk every Sunday</p></footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * "2024-11-09T10:00:00Z" -> "9 November 2024"
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/London' });
+}
+
+/**
+ * "easy" -> "Easy"
+ */
+function capitalize(value) {
+  const text = String(value);
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
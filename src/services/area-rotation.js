@@ -0,0 +1,124 @@
+import path from 'path';
+import { readJsonFile } from './json-store.js';
+
+const AREAS_CONFIG_PATH = path.join(process.cwd(), 'config', 'areas.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the area list and rotation settings
+ */
+export async function loadAreaConfig() {
+  const config = await readJsonFile(AREAS_CONFIG_PATH, null);
+  if (!config?.areas?.length) {
+    throw new Error(`No areas configured in ${AREAS_CONFIG_PATH}`);
+  }
+
+  return {
+    defaultCooldownDays: 21,
+    recentPostWindow: 20,
+    ...config
+  };
+}
+
+/**
+ * Pick the next area to feature.
+ *
+ * Areas used within their cooldown are skipped; the rest are picked at
+ * random, weighted towards areas that have featured least in recent posts.
+ * Returns { id, label, reason }.
+ */
+export function chooseArea(config, posts = [], { now = new Date(), random = Math.random } = {}) {
+  const recentPosts = posts.slice(-config.recentPostWindow);
+
+  const stats = config.areas.map(area => {
+    const matching = recentPosts.filter(post => matchPostArea(post, config.areas)?.id === area.id);
+    const lastUsed = matching.length > 0
+      ? new Date(matching[matching.length - 1].timestamp)
+      : null;
+    const daysSince = lastUsed ? Math.floor((now - lastUsed) / DAY_MS) : null;
+    const cooldownDays = area.cooldownDays ?? config.defaultCooldownDays;
+
+    return {
+      area,
+      count: matching.length,
+      daysSince,
+      cooldownLeft: daysSince === null ? 0 : Math.max(0, cooldownDays - daysSince),
+      weight: (area.weight ?? 1) / (1 + matching.length)
+    };
+  });
+
+  let eligible = stats.filter(s => s.cooldownLeft === 0);
+  const onCooldown = stats.filter(s => s.cooldownLeft > 0);
+
+  // Everything's been used recently - take whichever comes off cooldown first
+  if (eligible.length === 0) {
+    const soonest = Math.min(...stats.map(s => s.cooldownLeft));
+    eligible = stats.filter(s => s.cooldownLeft === soonest);
+  }
+
+  const totalWeight = eligible.reduce((sum, s) => sum + s.weight, 0);
+  let roll = random() * totalWeight;
+  const chosen = eligible.find(s => (roll -= s.weight) < 0) || eligible[eligible.length - 1];
+
+  const history = chosen.daysSince === null
+    ? `not featured in the last ${recentPosts.length} posts`
+    : `featured ${chosen.count}x in the last ${recentPosts.length} posts, most recently ${chosen.daysSince} days ago`;
+  const odds = Math.round((chosen.weight / totalWeight) * 100);
+  const cooldowns = onCooldown.length > 0
+    ? `; on cooldown: ${onCooldown.map(s => `${s.area.id} (${s.cooldownLeft}d left)`).join(', ')}`
+    : '';
+
+  return {
+    id: chosen.area.id,
+    label: chosen.area.label,
+    reason: `${chosen.area.id} ${history}; ${odds}% chance among ${eligible.length} eligible areas${cooldowns}`
+  };
+}
+
+/**
+ * Work out which configured area a logged post belongs to.
+ * Uses the recorded areaId, or keyword-matches the area name for older posts.
+ */
+export function matchPostArea(post, areas) {
+  if (post.areaId) {
+    return areas.find(area => area.id === post.areaId) || null;
+  }
+
+  return matchAreaKeywords(post.area, areas);
+}
+
+/**
+ * Work out which configured area a generated walk is actually in, so the
+ * rotation counts the right one even when the AI wandered off the area it
+ * was asked for. The chosen area wins whenever the walk matches it (say, a
+ * Richmond riverside walk for the Thames Path); otherwise it's the best
+ * keyword match, or null when the walk is in no configured area.
+ */
+export function findWalkArea(walk, chosenId, areas) {
+  const text = [walk.area, walk.area_short].filter(Boolean).join(' ');
+  const chosen = areas.find(area => area.id === chosenId);
+
+  if (chosen && matchAreaKeywords(text, [chosen])) return chosen;
+  return matchAreaKeywords(text, areas);
+}
+
+/**
+ * The area whose longest keyword appears in the text, or null
+ */
+function matchAreaKeywords(value, areas) {
+  const text = (value || '').toLowerCase();
+  if (!text) return null;
+
+  let best = null;
+  let bestLength = 0;
+  for (const area of areas) {
+    for (const keyword of area.keywords || []) {
+      if (text.includes(keyword.toLowerCase()) && keyword.length > bestLength) {
+        best = area;
+        bestLength = keyword.length;
+      }
+    }
+  }
+
+  return best;
+}
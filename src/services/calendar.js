@@ -0,0 +1,24 @@
+import { getNextSunday } from './weather.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const SEASONS = ['winter', 'spring', 'summer', 'autumn'];
+
+/**
+ * Take `items` in turn, one per Sunday: every run ahead of a given Sunday
+ * gets the same item, so a preview matches what gets published. `shift`
+ * starts each full cycle that many steps further on, so two rotations of
+ * the same length (caption styles and image styles, say) don't stay paired.
+ */
+export function pickForSunday(items, today = new Date(), { shift = 0 } = {}) {
+  const week = Math.floor(getNextSunday(today).getTime() / WEEK_MS);
+  const cycle = Math.floor(week / items.length);
+  return items[(week + cycle * shift) % items.length];
+}
+
+/**
+ * The season a date falls in: 'winter' (Dec-Feb), 'spring', 'summer' or 'autumn'
+ */
+export function getSeason(date = new Date()) {
+  return SEASONS[Math.floor(((date.getMonth() + 1) % 12) / 3)];
+}
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pickForSunday } from './calendar.js';
+
+const TEMPLATES_DIR = path.join(process.cwd(), 'templates', 'captions');
+
+export const DEFAULT_CAPTION_STYLE = 'classic';
+
+/**
+ * Caption styles available in templates/captions (one .txt file each), sorted by name
+ */
+export async function listCaptionStyles() {
+  const files = await fs.readdir(TEMPLATES_DIR);
+  return files
+    .filter(file => file.endsWith('.txt'))
+    .map(file => path.basename(file, '.txt'))
+    .sort();
+}
+
+/**
+ * Work out which style to use from CAPTION_STYLE: a style name, or "rotate"
+ * to take each style in turn, week by week (see pickForSunday)
+ */
+export async function resolveCaptionStyle(setting = process.env.CAPTION_STYLE, today = new Date()) {
+  if (!setting) return DEFAULT_CAPTION_STYLE;
+  if (setting !== 'rotate') return setting;
+
+  const styles = await listCaptionStyles();
+  if (styles.length === 0) {
+    throw new Error(`No caption templates found in ${TEMPLATES_DIR}`);
+  }
+  return pickForSunday(styles, today);
+}
+
+/**
+ * Load and parse a caption template by style name
+ */
+export async function loadCaptionTemplate(style = DEFAULT_CAPTION_STYLE) {
+  let text;
+  try {
+    text = await fs.readFile(path.join(TEMPLATES_DIR, `${path.basename(style)}.txt`), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const styles = await listCaptionStyles().catch(() => []);
+    throw new Error(`Unknown caption style "${style}" (available: ${styles.join(', ') || 'none'})`);
+  }
+  return parseCaptionTemplate(text, style);
+}
+
+/**
+ * Split a template into its sections. Each section starts with a `[section-id]`
+ * line; the known ids (directions, hashtags, call-to-action...) get the
+ * trimming rules in caption.js, anything else is always kept.
+ * Returns [{ id, template }] in caption order.
+ */
+export function parseCaptionTemplate(text, style = 'template') {
+  const sections = [];
+  let current = null;
+
+  text.replace(/\r\n/g, '\n').split('\n').forEach((line, index) => {
+    const header = line.match(/^\[([a-z0-9-]+)\]\s*$/);
+    if (header) {
+      if (sections.some(section => section.id === header[1])) {
+        throw new Error(`Caption template "${style}" has section [${header[1]}] twice (line ${index + 1})`);
+      }
+      current = { id: header[1], lines: [] };
+      sections.push(current);
+      return;
+    }
+
+    if (!current) {
+      if (line.trim()) {
+        throw new Error(`Caption template "${style}" has text before its first [section] (line ${index + 1})`);
+      }
+      return;
+    }
+    current.lines.push(line);
+  });
+
+  if (sections.length === 0) {
+    throw new Error(`Caption template "${style}" has no sections`);
+  }
+
+  return sections.map(({ id, lines }) => ({ id, template: lines.join('\n').trim() }));
+}
+
+/**
+ * Fill in {{placeholders}}. Plain names come from `values`; `walk.x` and
+ * `weather.x` read fields of the walk and forecast. A line with an empty
+ * placeholder is left out, so it never goes out half-filled; mark a
+ * placeholder optional with `?` (`{{walk.pub_description?}}`) to render it
+ * empty instead. Unknown names throw, so a typo in a template can't go out.
+ */
+export function renderTemplate(template, values) {
+  return template
+    .split('\n')
+    .map(line => renderLine(line, values))
+    .filter(line => line !== null)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Fill in one line, or null if a required placeholder is empty (or they all are)
+ */
+function renderLine(line, values) {
+  let placeholders = 0;
+  let empty = 0;
+  let missingRequired = false;
+
+  const filled = line.replace(/\{\{\s*([\w.]+)(\?)?\s*\}\}/g, (placeholder, name, optional) => {
+    const value = lookup(placeholder, name, values);
+    placeholders++;
+    if (value === '') {
+      empty++;
+      if (!optional) missingRequired = true;
+    }
+    return value;
+  });
+
+  if (missingRequired || (placeholders > 0 && empty === placeholders)) return null;
+
+  // Empty placeholders can leave stray spaces at line ends
+  return filled.trimEnd();
+}
+
+/**
+ * Value for a placeholder, as text
+ */
+function lookup(placeholder, name, values) {
+  const [scope, field] = name.split('.');
+
+  if (field !== undefined) {
+    if (!['walk', 'weather'].includes(scope)) {
+      throw new Error(`Unknown caption placeholder ${placeholder}`);
+    }
+    return stringify(values[scope]?.[field]);
+  }
+
+  if (!(name in values)) {
+    throw new Error(`Unknown caption placeholder ${placeholder}`);
+  }
+  return stringify(values[name]);
+}
+
+/**
+ * Placeholder value as text (lists become comma-separated)
+ */
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
@@ -1,220 +1,274 @@
-/**
- * Build the Instagram caption for a walk post
- */
-export function buildCaption({ walk, weather }) {
-  const {
-    walk_title,
-    area,
-    area_short,
-    start_point,
-    end_pub_name,
-    end_pub_handle,
-    distance_km,
-    duration_minutes,
-    highlights,
-    best_for,
-    directions,
-    dog_friendly,
-    kid_friendly,
-    pram_friendly,
-    terrain,
-    difficulty,
-    seasonality
-  } = walk;
-
-  // Format highlights (take first 3)
-  const highlightLines = (highlights || [])
-    .slice(0, 3)
-    .map(h => `• ${h}`)
-    .join('\n');
-
-  // Format directions with an extra line break between steps
-  const directionsText = (directions || [])
-    .map((step, i) => `${i + 1}. ${step}`)
-    .join('\n\n');
-
-  // Base caption (no hashtags yet)
-  const baseCaption = `🥾 SUNDAY PUB WALK: ${walk_title}
+import { loadCaptionTemplate, renderTemplate, DEFAULT_CAPTION_STYLE } from './caption-templates.js';
+import { chooseHashtags, extractHashtags, MAX_HASHTAGS } from './hashtags.js';
+import { describeWeatherSource } from './weather.js';
+import { hasRoute, ROUTE_FORMATS } from './route-files.js';
 
-📍 Where: ${area_short}
-⏱️ Time & distance: ~${duration_minutes} mins · ${distance_km.toFixed(1)} km
-🍻 Finish: ${end_pub_name}${end_pub_handle ? ` (${end_pub_handle})` : ''}
+// Instagram rejects captions longer than this
+export const CAPTION_LIMIT = 2200;
 
-🌤 Sunday forecast for ${area_short}:
-${weather.summary}
-Tip: ${weather.tip}
+// What we aim for, leaving some headroom under the hard limit
+export const CAPTION_BUDGET = 2100;
 
-✨ Why you'll love it
-${highlightLines}
+// Never trim the hashtag block below this many tags
+const MIN_HASHTAGS = 5;
 
-💡 Perfect for
-${best_for}
+const SECTION_SEPARATOR = '\n\n';
 
-Tag your Sunday crew & save this for later ❤️
+// What can go in the first comment instead of the caption
+export const FIRST_COMMENT_SECTIONS = ['hashtags', 'directions'];
 
-————————
-🗺️ How to do the walk
+// What the caption says in place of directions that went to the first comment
+const DIRECTIONS_IN_COMMENT = '🗺️ Full step-by-step directions in the first comment 👇';
 
-Start at: ${start_point}
+// Sections that can be left out when space is tight (lowest priority goes first).
+// Any other section in a template is always kept.
+const OPTIONAL_SECTIONS = {
+  'call-to-action': { label: 'call to action', dropPriority: 1 },
+  'perfect-for': { label: 'Perfect for', dropPriority: 2 },
+  'safety-note': { label: 'safety note', dropPriority: 3 },
+  'route-file': { label: 'route file note', dropPriority: 4 }
+};
 
-${directionsText}
-
-Always check local signs and paths on the day, and take a map app as backup. 🍺`;
-
-  // Build a hashtag block tailored to this walk
-  const hashtags = buildHashtags({
-    area,
-    area_short,
-    end_pub_name,
-    distance_km,
-    dog_friendly,
-    kid_friendly,
-    pram_friendly,
-    terrain,
-    difficulty,
-    seasonality,
-    highlights
-  });
-
-  const hashtagBlock = hashtags.length ? `\n\n${hashtags.join(' ')}` : '';
-
-  return `${baseCaption}${hashtagBlock}`;
+/**
+ * Build the Instagram caption for a walk post (see composeCaption for options)
+ */
+export async function buildCaption({ walk, weather }, options = {}) {
+  return (await composeCaption({ walk, weather }, options)).caption;
 }
 
 /**
- * Build a set of relevant Instagram hashtags for this walk
+ * Build the caption from a style template (templates/captions/<style>.txt)
+ * and fit it into the budget. If it's too long we:
+ *   1. condense the directions (one line per step, no "Step 1:" prefixes)
+ *   2. drop lower-priority sections (call to action, "Perfect for", safety note)
+ *   3. trim hashtags from the end (down to MIN_HASHTAGS)
+ *   4. move the full directions out of the caption - to the directions
+ *      carousel card (`directionsOverflow: 'carousel'`) or the first comment
+ *      (`'comment'`)
+ *
+ * `hashtags` is the ordered tag list to use (picked by chooseHashtags if not given).
+ * `firstComment` lists sections to always post as the first comment instead
+ * of in the caption: 'hashtags' and/or 'directions'.
+ *
+ * Returns { caption, style, length, fits, hashtags, trimmed: [{ section, action, detail }], firstComment }
+ * where `hashtags` are the tags posted (in the caption or first comment) and
+ * `firstComment` is the comment text for the publisher to post, or null.
  */
-function buildHashtags({
-  area,
-  area_short,
-  end_pub_name,
-  distance_km,
-  dog_friendly,
-  kid_friendly,
-  pram_friendly,
-  terrain,
-  difficulty,
-  seasonality,
-  highlights
-}) {
-  const tags = [];
-
-  // Core / brand tags
-  const globalTags = [
-    '#SundayPubWalks',
-    '#sundaywalk',
-    '#pubwalk',
-    '#londonwalks',
-    '#londonpubs',
-    '#sundayvibes',
-    '#cosysunday',
-    '#weekendplans'
-  ];
-  tags.push(...globalTags);
-
-  // Area-based tags
-  if (area_short) {
-    tags.push(toHashtag(area_short)); // e.g. "Hampstead Heath" -> #hampsteadheath
+export async function composeCaption(
+  { walk, weather },
+  {
+    budget = CAPTION_BUDGET,
+    directionsOverflow = 'comment',
+    style = DEFAULT_CAPTION_STYLE,
+    hashtags: tags = null,
+    firstComment: commentSections = []
+  } = {}
+) {
+  const unknown = commentSections.filter(section => !FIRST_COMMENT_SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    throw new Error(`Can't put ${unknown.join(', ')} in the first comment (choose from: ${FIRST_COMMENT_SECTIONS.join(', ')})`);
   }
 
-  if (area) {
-    const match = area.match(/(North|South|East|West|Central)\s+London/i);
-    if (match && match[1]) {
-      tags.push(`#${match[1].toLowerCase()}london`);
-    }
+  const template = await loadCaptionTemplate(style);
+  const steps = walk.directions || [];
+  const state = {
+    condensed: false,
+    movedTo: null,
+    tags: [...(tags || (await chooseHashtags(walk)).map(h => h.tag))].slice(0, MAX_HASHTAGS),
+    dropped: new Set()
+  };
+  const trimmed = [];
+
+  const sections = template.map(section => ({ ...section, ...OPTIONAL_SECTIONS[section.id] }));
+  const directions = sections.find(section => section.id === 'directions');
+  const hashtags = sections.find(section => section.id === 'hashtags');
+
+  // Sections that always go in the first comment
+  const hashtagsInComment = Boolean(hashtags) && commentSections.includes('hashtags');
+  if (hashtagsInComment) {
+    state.dropped.add(hashtags.id);
   }
-
-  // Pub tags
-  if (end_pub_name) {
-    tags.push(toHashtag(end_pub_name)); // e.g. "The Spaniards Inn" -> #thespaniardsinn
-    tags.push('#londonpub');
+  if (directions && steps.length > 0 && commentSections.includes('directions')) {
+    state.movedTo = 'comment';
   }
 
-  // Distance tags (e.g. #5kmwalk)
-  if (typeof distance_km === 'number' && !Number.isNaN(distance_km)) {
-    const approxKm = Math.round(distance_km);
-    if (approxKm > 0) {
-      tags.push(`#${approxKm}kmwalk`);
+  const renderSection = section => {
+    if (section === directions && state.movedTo) {
+      return state.movedTo === 'carousel'
+        ? '🗺️ Full step-by-step directions on the last slide ➡️'
+        : DIRECTIONS_IN_COMMENT;
     }
+    return renderTemplate(section.template, captionValues(walk, weather, steps, state));
+  };
+  const render = () => sections
+    .filter(section => !state.dropped.has(section.id))
+    .map(renderSection)
+    .filter(Boolean)
+    .join(SECTION_SEPARATOR);
+  const fits = () => render().length <= budget;
+
+  // 1. Condense the directions (unless the template already uses the short form)
+  if (!fits() && directions && steps.length > 0 && !state.movedTo && /\{\{\s*directions\s*\}\}/.test(directions.template)) {
+    const before = renderSection(directions).length;
+    state.condensed = true;
+    trimmed.push({ section: 'directions', action: 'condensed', detail: `${before} → ${renderSection(directions).length} chars` });
   }
 
-  // Accessibility / audience tags
-  if (dog_friendly) {
-    tags.push('#dogfriendly', '#dogfriendlypub', '#dogwalk');
-  }
-  if (kid_friendly) {
-    tags.push('#familyfriendly', '#kidfriendly', '#familydayout');
-  }
-  if (pram_friendly) {
-    tags.push('#buggyfriendly', '#pramfriendly');
+  // 2. Drop optional sections, least important first
+  for (const section of sections.filter(s => s.dropPriority).sort((a, b) => a.dropPriority - b.dropPriority)) {
+    if (fits()) break;
+    if (!renderSection(section)) continue; // nothing to drop (e.g. no route file)
+    state.dropped.add(section.id);
+    trimmed.push({ section: section.id, action: 'dropped', detail: section.label });
   }
 
-  // Terrain / difficulty tags
-  if (terrain) {
-    const t = terrain.toLowerCase();
-    if (t.includes('canal')) tags.push('#canalwalks');
-    if (t.includes('river') || t.includes('thames')) tags.push('#riversidewalk');
-    if (t.includes('park')) tags.push('#parkwalk');
-    if (t.includes('heath')) tags.push('#heathwalk');
+  // 3. Trim hashtags from the end
+  if (!fits() && hashtags && !hashtagsInComment && state.tags.length > MIN_HASHTAGS) {
+    const before = state.tags.length;
+    while (!fits() && state.tags.length > MIN_HASHTAGS) {
+      state.tags.pop();
+    }
+    trimmed.push({ section: 'hashtags', action: 'trimmed', detail: `${before} → ${state.tags.length} tags` });
   }
 
-  if (difficulty) {
-    const diff = difficulty.toLowerCase();
-    if (diff === 'easy') tags.push('#easywalk');
-    if (diff === 'moderate') tags.push('#moderatewalk');
-    if (diff === 'challenging') tags.push('#hillywalk');
+  // 4. Move the directions out of the caption altogether
+  if (!fits() && directions && steps.length > 0 && !state.movedTo) {
+    state.movedTo = directionsOverflow === 'carousel' ? 'carousel' : 'comment';
+    trimmed.push({ section: 'directions', action: 'moved', detail: state.movedTo === 'carousel' ? 'to the directions slide' : 'to the first comment' });
   }
 
-  // Seasonality tags
-  if (seasonality) {
-    const s = seasonality.toLowerCase();
-    if (s.includes('winter')) tags.push('#winterwalks');
-    if (s.includes('spring')) tags.push('#springwalks');
-    if (s.includes('summer')) tags.push('#summerwalks');
-    if (s.includes('autumn') || s.includes('fall')) tags.push('#autumnwalks');
-  }
+  const caption = render();
+  const used = new Set(extractHashtags(caption));
+  return {
+    caption,
+    style,
+    length: caption.length,
+    fits: caption.length <= CAPTION_LIMIT,
+    hashtags: hashtagsInComment ? state.tags : state.tags.filter(tag => used.has(tag)),
+    trimmed,
+    firstComment: buildFirstComment({
+      startPoint: walk.start_point,
+      steps: state.movedTo === 'comment' ? steps : [],
+      tags: hashtagsInComment ? state.tags : []
+    })
+  };
+}
 
-  // Highlight-derived tags (based on keywords)
-  if (highlights && highlights.length) {
-    const text = highlights.join(' ').toLowerCase();
-    if (text.includes('view')) tags.push('#cityviews');
-    if (text.includes('wood') || text.includes('forest')) tags.push('#woodlandwalk');
-    if (text.includes('hill') || text.includes('viewpoint')) tags.push('#scenicviews');
-    if (text.includes('canal')) tags.push('#canalwalks');
-    if (text.includes('park')) tags.push('#parkwalk');
-  }
+/**
+ * Rebuild the first comment for an edited caption or walk (see updateDraft):
+ * the walk's current directions while the caption still points to them in
+ * the comment, then whichever of `commentTags` the caption doesn't already
+ * have. Returns the comment text, or null.
+ */
+export function refreshFirstComment(caption, walk, commentTags = []) {
+  const inCaption = new Set(extractHashtags(caption));
 
-  // De-dupe, strip empties, and keep it reasonable
-  const unique = [...new Set(tags.filter(Boolean))];
+  return buildFirstComment({
+    startPoint: walk.start_point,
+    steps: caption.includes(DIRECTIONS_IN_COMMENT) ? walk.directions || [] : [],
+    tags: [...new Set(commentTags)].filter(tag => !inCaption.has(tag))
+  });
+}
+
+/**
+ * First comment: directions that aren't in the caption, then the hashtag block.
+ * Comments have the same length limit as captions, so long directions are condensed.
+ */
+function buildFirstComment({ startPoint, steps, tags }) {
+  const tagBlock = tags.join(' ');
+  const parts = condensed => [
+    steps.length > 0 ? formatDirections(startPoint, steps, { condensed }) : '',
+    tagBlock
+  ].filter(Boolean).join(SECTION_SEPARATOR);
+
+  const comment = parts(false);
+  if (!comment) return null;
+  return comment.length <= CAPTION_LIMIT ? comment : parts(true);
+}
 
-  // Hard cap to avoid going too wild – tweak if you want more/less
-  return unique.slice(0, 20);
+/**
+ * Values for the template placeholders. Templates can also use any walk or
+ * weather field directly ({{walk.area_short}}, {{weather.tip}}).
+ */
+function captionValues(walk, weather, steps, { condensed, tags }) {
+  const { end_pub_name, end_pub_handle, distance_km, highlights } = walk;
+
+  return {
+    walk,
+    weather,
+    pub: `${end_pub_name}${end_pub_handle ? ` (${end_pub_handle})` : ''}`,
+    distance: typeof distance_km === 'number' ? distance_km.toFixed(1) : '',
+    // First 3 highlights as bullets
+    highlights: (highlights || [])
+      .slice(0, 3)
+      .map(h => `• ${h}`)
+      .join('\n'),
+    // Says whether it's a live forecast, a cached one or just typical weather
+    forecast_label: describeWeatherSource(weather),
+    // Route file formats on the archive page ("GPX & KML"), when the walk has waypoints
+    route_file: hasRoute(walk) ? Object.values(ROUTE_FORMATS).map(f => f.label).join(' & ') : '',
+    best_time: weather.bestWindow ? `${weather.bestWindow.start}–${weather.bestWindow.end}` : '',
+    directions: formatSteps(steps, { condensed }),
+    directions_short: formatSteps(steps, { condensed: true }),
+    hashtags: tags.join(' ')
+  };
 }
 
 /**
- * Turn a phrase into a hashtag: "Hampstead Heath" -> "#hampsteadheath"
+ * Numbered steps. Condensed: one line per step, without "Step 1:" prefixes
+ * and only the first sentence of each step.
  */
-function toHashtag(value) {
-  return (
-    '#' +
-    String(value)
-      .toLowerCase()
-      .replace(/&/g, 'and')
-      .replace(/[^a-z0-9]+/g, '')
-      .trim()
-  );
+function formatSteps(steps, { condensed = false } = {}) {
+  if (!condensed) {
+    // Extra line break between steps
+    return steps
+      .map((step, i) => `${i + 1}. ${step}`)
+      .join('\n\n');
+  }
+
+  return steps
+    .map(step => step.replace(/^step\s*\d+\s*[:.-]\s*/i, ''))
+    .map(step => step.match(/^.*?[.!?](?=\s|$)/)?.[0] || step)
+    .map((step, i) => `${i + 1}. ${step}`)
+    .join('\n');
 }
 
 /**
- * Validate caption length (Instagram has a 2,200 character limit)
+ * Standalone directions block, for the first comment
+ */
+function formatDirections(startPoint, steps, { condensed = false } = {}) {
+  if (!condensed) {
+    return `🗺️ How to do the walk
+
+Start at: ${startPoint}
+
+${formatSteps(steps)}`;
+  }
+
+  return `🗺️ How to do the walk (from ${startPoint})
+${formatSteps(steps, { condensed: true })}`;
+}
+
+/**
+ * Validate caption length (Instagram has a 2,200 character limit) and
+ * hashtag count (30). Warns when over budget; returns false only when
+ * Instagram would reject it.
  */
 export function validateCaption(caption) {
-  const maxLength = 2100;
+  if (caption.length > CAPTION_LIMIT) {
+    console.warn(`Caption is ${caption.length} characters - Instagram rejects anything over ${CAPTION_LIMIT}.`);
+    return false;
+  }
 
-  if (caption.length > maxLength) {
-    console.warn(`Caption is ${caption.length} characters (max ${maxLength}). Consider shortening.`);
+  const hashtagCount = extractHashtags(caption).length;
+  if (hashtagCount > MAX_HASHTAGS) {
+    console.warn(`Caption has ${hashtagCount} hashtags - Instagram allows at most ${MAX_HASHTAGS}.`);
     return false;
   }
 
+  if (caption.length > CAPTION_BUDGET) {
+    console.warn(`Caption is ${caption.length} characters (budget ${CAPTION_BUDGET}). Consider shortening.`);
+  }
+
   return true;
 }
@@ -0,0 +1,261 @@
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { readJsonFile, updateJsonFile } from './json-store.js';
+import { CAPTION_LIMIT, refreshFirstComment } from './caption.js';
+import { extractHashtags, MAX_HASHTAGS } from './hashtags.js';
+import { renderWalkSlides } from './slides.js';
+import { brandIllustration } from './image-branding.js';
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected', 'published'];
+
+// Fields a reviewer is allowed to change on a draft
+const EDITABLE_FIELDS = ['caption', 'walk', 'weather'];
+
+// Walk fields drawn on the carousel slides and the branded illustration
+const RENDERED_WALK_FIELDS = [
+  'walk_title', 'start_point', 'end_pub_name', 'distance_km', 'duration_minutes',
+  'difficulty', 'landmarks_for_prompt', 'directions', 'waypoints'
+];
+
+/**
+ * Location of the draft queue file
+ */
+function getDraftsPath() {
+  return process.env.DRAFTS_FILE || path.join(process.cwd(), 'data', 'drafts.json');
+}
+
+/**
+ * Save generated content as a new draft awaiting review
+ */
+export async function createDraft({ walk, weather, caption, captionFit = null, image, slides = [] }) {
+  const now = new Date().toISOString();
+  const draft = {
+    id: uuidv4(),
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now,
+    walk,
+    weather,
+    caption,
+    captionFit,
+    image,
+    slides
+  };
+
+  await updateJsonFile(getDraftsPath(), [], drafts => {
+    drafts.push(draft);
+  });
+
+  console.log(`📝 Draft ${draft.id} saved for review: "${walk.walk_title}"`);
+  return draft;
+}
+
+/**
+ * List drafts, oldest first, optionally filtered by status
+ */
+export async function listDrafts({ status } = {}) {
+  if (status && !DRAFT_STATUSES.includes(status)) {
+    throw new DraftError(`Unknown draft status: ${status} (expected one of ${DRAFT_STATUSES.join(', ')})`, 400);
+  }
+
+  const drafts = await readJsonFile(getDraftsPath(), []);
+  return status ? drafts.filter(d => d.status === status) : drafts;
+}
+
+/**
+ * Get a single draft by ID (or null if it doesn't exist)
+ */
+export async function getDraft(id) {
+  const drafts = await readJsonFile(getDraftsPath(), []);
+  return drafts.find(d => d.id === id) || null;
+}
+
+/**
+ * Edit a draft's caption, walk or weather.
+ * Editing an approved draft sends it back for review. Editing the caption
+ * or walk rebuilds the first comment and caption details to match, and
+ * editing what the slides or branded illustration show renders them again.
+ */
+export async function updateDraft(id, changes = {}) {
+  if (!isPlainObject(changes)) {
+    throw new DraftError('Draft changes must be an object', 400);
+  }
+  const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new DraftError(`Cannot edit draft field(s): ${unknown.join(', ')}`, 400);
+  }
+  if (changes.caption !== undefined && typeof changes.caption !== 'string') {
+    throw new DraftError('caption must be a string', 400);
+  }
+  for (const field of ['walk', 'weather']) {
+    if (changes[field] !== undefined && !isPlainObject(changes[field])) {
+      throw new DraftError(`${field} must be an object of fields to change`, 400);
+    }
+  }
+  if (typeof changes.caption === 'string' && changes.caption.length > CAPTION_LIMIT) {
+    throw new DraftError(`Caption is ${changes.caption.length} characters - Instagram allows at most ${CAPTION_LIMIT}`, 400);
+  }
+  if (typeof changes.caption === 'string' && extractHashtags(changes.caption).length > MAX_HASHTAGS) {
+    throw new DraftError(`Caption has ${extractHashtags(changes.caption).length} hashtags - Instagram allows at most ${MAX_HASHTAGS}`, 400);
+  }
+
+  const renders = changes.walk && RENDERED_WALK_FIELDS.some(field => field in changes.walk)
+    ? await rerenderDraft(id, changes.walk)
+    : null;
+
+  return modifyDraft(id, draft => {
+    if (draft.status !== 'pending' && draft.status !== 'approved') {
+      throw new DraftError(`Draft is ${draft.status} and can no longer be edited`, 409);
+    }
+    if (renders) {
+      Object.assign(draft, renders);
+    }
+
+    if (typeof changes.caption === 'string') {
+      draft.caption = changes.caption;
+    }
+    if (changes.walk) {
+      draft.walk = { ...draft.walk, ...changes.walk };
+    }
+    if (draft.captionFit && (typeof changes.caption === 'string' || changes.walk)) {
+      refreshCaptionFit(draft);
+    }
+    if (changes.weather) {
+      draft.weather = { ...draft.weather, ...changes.weather };
+    }
+
+    draft.status = 'pending';
+  });
+}
+
+/**
+ * Approve a draft so the scheduler can publish it
+ */
+export async function approveDraft(id) {
+  return modifyDraft(id, draft => {
+    if (draft.status !== 'pending') {
+      throw new DraftError(`Only pending drafts can be approved (draft is ${draft.status})`, 409);
+    }
+    draft.status = 'approved';
+    draft.approvedAt = new Date().toISOString();
+  });
+}
+
+/**
+ * Reject a draft, optionally recording why
+ */
+export async function rejectDraft(id, reason = null) {
+  return modifyDraft(id, draft => {
+    if (draft.status !== 'pending' && draft.status !== 'approved') {
+      throw new DraftError(`Draft is ${draft.status} and can no longer be rejected`, 409);
+    }
+    draft.status = 'rejected';
+    draft.rejectedAt = new Date().toISOString();
+    draft.rejectionReason = reason;
+  });
+}
+
+/**
+ * Mark an approved draft as published once it's been through the publisher.
+ * `result.mode` records whether it went live ('production') or was only
+ * written to generated/ ('development', no Instagram post ID).
+ */
+export async function markDraftPublished(id, result) {
+  return modifyDraft(id, draft => {
+    draft.status = 'published';
+    draft.publishedAt = new Date().toISOString();
+    draft.publishMode = result.mode || 'production';
+    draft.instagramPostId = result.id;
+  });
+}
+
+/**
+ * Get the oldest approved draft (the next one to publish), or null
+ */
+export async function getNextApprovedDraft() {
+  const approved = await listDrafts({ status: 'approved' });
+  if (approved.length === 0) {
+    return null;
+  }
+
+  return approved.reduce((oldest, draft) =>
+    draft.createdAt < oldest.createdAt ? draft : oldest
+  );
+}
+
+/**
+ * Render a draft's slides and branded illustration again for an edited walk,
+ * so the carousel doesn't show the old title, route or directions.
+ * Returns { slides, image }, or null when there's no such draft.
+ */
+async function rerenderDraft(id, walkChanges) {
+  const draft = await getDraft(id);
+  if (!draft) return null;
+
+  const walk = { ...draft.walk, ...walkChanges };
+  try {
+    const slides = draft.slides?.length > 0 ? await renderWalkSlides(walk) : draft.slides;
+    // Only a branded image has the raw illustration to frame again
+    const image = draft.image?.raw
+      ? await brandIllustration({ ...draft.image, ...draft.image.raw }, walk, draft.weather)
+      : draft.image;
+    return { slides, image };
+  } catch (error) {
+    throw new DraftError(`Could not render the edited walk's slides and image: ${error.message}`, 409);
+  }
+}
+
+/**
+ * Bring a draft's captionFit back in line with its (edited) caption and walk:
+ * the length, the first comment and the hashtags actually posted
+ */
+function refreshCaptionFit(draft) {
+  const fit = draft.captionFit;
+  // Drafts from before first-comment support only carried overflowing directions
+  const previousComment = fit.firstComment !== undefined ? fit.firstComment : fit.overflow?.text;
+
+  fit.length = draft.caption.length;
+  fit.firstComment = refreshFirstComment(draft.caption, draft.walk, extractHashtags(previousComment || ''));
+  delete fit.overflow;
+
+  if (fit.hashtags) {
+    // Keep the recorded tags in step with what's now posted
+    const picked = new Map(fit.hashtags.map(h => [h.tag, h]));
+    fit.hashtags = [...new Set([...extractHashtags(draft.caption), ...extractHashtags(fit.firstComment || '')])]
+      .map(tag => picked.get(tag) || { tag, category: null, source: 'edited' });
+  }
+}
+
+/**
+ * Apply a change to one draft and persist it
+ */
+async function modifyDraft(id, change) {
+  return updateJsonFile(getDraftsPath(), [], drafts => {
+    const draft = drafts.find(d => d.id === id);
+    if (!draft) {
+      throw new DraftError(`Draft not found: ${id}`, 404);
+    }
+
+    change(draft);
+    draft.updatedAt = new Date().toISOString();
+    return draft;
+  });
+}
+
+/**
+ * Is this a JSON object (not null, an array or a primitive)?
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Error raised for invalid draft operations, carrying the HTTP status to respond with
+ */
+export class DraftError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DraftError';
+    this.statusCode = statusCode;
+  }
+}
@@ -0,0 +1,44 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance in km between two { lat, lng } points
+ */
+export function haversineKm(a, b) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Ray-casting point-in-polygon test.
+ * Polygon is an array of [lng, lat] pairs (GeoJSON order).
+ */
+export function isPointInPolygon({ lat, lng }, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Check a value looks like a usable { lat, lng } coordinate
+ */
+export function isValidCoordinate(coords) {
+  return Boolean(coords) &&
+    typeof coords.lat === 'number' && Number.isFinite(coords.lat) && Math.abs(coords.lat) <= 90 &&
+    typeof coords.lng === 'number' && Number.isFinite(coords.lng) && Math.abs(coords.lng) <= 180;
+}
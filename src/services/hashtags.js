@@ -0,0 +1,184 @@
+import path from 'path';
+import { readJsonFile } from './json-store.js';
+import { getPublishedPosts } from './post-store.js';
+import { getNextSunday } from './weather.js';
+import { getSeason } from './calendar.js';
+import { isOfflineMode, createSeededRandom } from './offline.js';
+
+const HASHTAGS_CONFIG_PATH = path.join(process.cwd(), 'config', 'hashtags.json');
+
+// Instagram ignores (or refuses) posts with more hashtags than this
+export const MAX_HASHTAGS = 30;
+
+/**
+ * Load the hashtag pools, rules and denylist
+ */
+export async function loadHashtagConfig() {
+  const config = await readJsonFile(HASHTAGS_CONFIG_PATH, null);
+  if (!config?.categories || Object.keys(config.categories).length === 0) {
+    throw new Error(`No hashtag categories configured in ${HASHTAGS_CONFIG_PATH}`);
+  }
+
+  const merged = {
+    maxTags: 24,
+    recentPostWindow: 6,
+    denylist: [],
+    ...config
+  };
+
+  if (merged.maxTags > MAX_HASHTAGS) {
+    console.warn(`⚠️  maxTags in ${HASHTAGS_CONFIG_PATH} is ${merged.maxTags} - Instagram allows ${MAX_HASHTAGS}, using ${MAX_HASHTAGS}`);
+    merged.maxTags = MAX_HASHTAGS;
+  }
+
+  return merged;
+}
+
+/**
+ * Pick this week's hashtags for a walk, rotating against recently published posts.
+ * Returns [{ tag, category, source }] (see pickHashtags).
+ */
+export async function chooseHashtags(walk, { now = new Date() } = {}) {
+  const config = await loadHashtagConfig();
+  const posts = await getPublishedPosts();
+  const hashtags = pickHashtags(walk, config, posts, {
+    now,
+    random: isOfflineMode() ? createSeededRandom('hashtags') : Math.random
+  });
+
+  const counts = Object.keys(config.categories)
+    .map(category => `${category} ${hashtags.filter(h => h.category === category).length}`)
+    .join(', ');
+  console.log(`#️⃣  ${hashtags.length} hashtags (${counts})`);
+
+  return hashtags;
+}
+
+/**
+ * Build the hashtag set for a walk from the configured categories.
+ *
+ * Each category contributes, up to its `max`:
+ *   - `always` tags
+ *   - tags derived from the walk (`derive`: area_short, end_pub_name, region, distance)
+ *   - tags from `rules` matching walk fields
+ *   - a weighted random pick from its `pool` (entries can be limited to
+ *     `seasons`), with each weight divided by 1 + the number of times the tag
+ *     was used in the last `recentPostWindow` posts, so the set rotates
+ *
+ * Fixed and walk-specific tags come first and pool picks last, so trimming
+ * from the end drops the generic tags first. Denylisted tags are never used.
+ * Returns [{ tag, category, source: 'always'|'walk'|'rule'|'pool' }].
+ */
+export function pickHashtags(walk, config, posts = [], { now = new Date(), random = Math.random } = {}) {
+  const denied = new Set(config.denylist.map(tag => tag.toLowerCase()));
+  const chosen = new Map();
+  const season = getSeason(getNextSunday(now));
+
+  const recentTags = posts
+    .slice(-config.recentPostWindow)
+    .flatMap(post => post.hashtags?.map(h => h.tag) ?? extractHashtags(post.caption))
+    .map(tag => tag.toLowerCase());
+  const usage = tag => recentTags.filter(used => used === tag.toLowerCase()).length;
+
+  const categories = Object.entries(config.categories).map(([name, category]) => ({
+    name,
+    max: category.max ?? Infinity,
+    count: 0,
+    category
+  }));
+
+  const add = (entry, tag, source) => {
+    const key = tag.toLowerCase();
+    if (tag === '#' || denied.has(key) || chosen.has(key)) return;
+    if (entry.count >= entry.max || chosen.size >= config.maxTags) return;
+    chosen.set(key, { tag, category: entry.name, source });
+    entry.count++;
+  };
+
+  // 1. Fixed tags
+  categories.forEach(entry => {
+    (entry.category.always || []).forEach(tag => add(entry, tag, 'always'));
+  });
+
+  // 2. Tags specific to this walk
+  categories.forEach(entry => {
+    (entry.category.derive || []).forEach(field => {
+      const tag = deriveHashtag(walk, field);
+      if (tag) add(entry, tag, 'walk');
+    });
+    (entry.category.rules || [])
+      .filter(rule => matchesRule(walk, rule))
+      .forEach(rule => rule.tags.forEach(tag => add(entry, tag, 'rule')));
+  });
+
+  // 3. Weighted rotation through the pools
+  categories.forEach(entry => {
+    let candidates = (entry.category.pool || [])
+      .filter(item => !item.seasons || item.seasons.includes(season))
+      .filter(item => !denied.has(item.tag.toLowerCase()) && !chosen.has(item.tag.toLowerCase()))
+      .map(item => ({ tag: item.tag, weight: (item.weight ?? 1) / (1 + usage(item.tag)) }));
+
+    while (candidates.length > 0 && entry.count < entry.max && chosen.size < config.maxTags) {
+      const totalWeight = candidates.reduce((sum, c) => sum + c.weight, 0);
+      let roll = random() * totalWeight;
+      const pick = candidates.find(c => (roll -= c.weight) < 0) || candidates[candidates.length - 1];
+      add(entry, pick.tag, 'pool');
+      candidates = candidates.filter(c => c !== pick);
+    }
+  });
+
+  const order = { always: 0, walk: 1, rule: 1, pool: 2 };
+  return [...chosen.values()].sort((a, b) => order[a.source] - order[b.source]);
+}
+
+/**
+ * Tag built from a walk field: "Hampstead Heath" -> #hampsteadheath,
+ * plus "region" (#northlondon) and "distance" (#5kmwalk)
+ */
+function deriveHashtag(walk, field) {
+  if (field === 'region') {
+    const match = walk.area?.match(/(North|South|East|West|Central)\s+London/i);
+    return match ? `#${match[1].toLowerCase()}london` : null;
+  }
+
+  if (field === 'distance') {
+    const approxKm = Math.round(walk.distance_km);
+    return typeof walk.distance_km === 'number' && approxKm > 0 ? `#${approxKm}kmwalk` : null;
+  }
+
+  return walk[field] ? toHashtag(walk[field]) : null;
+}
+
+/**
+ * Does a walk match a rule? Without `includes`/`equals` the field just has to be truthy.
+ */
+function matchesRule(walk, { field, includes, equals }) {
+  const value = walk[field];
+  if (!value) return false;
+
+  const text = (Array.isArray(value) ? value.join(' ') : String(value)).toLowerCase();
+  if (equals !== undefined) return text === String(equals).toLowerCase();
+  if (includes) return includes.some(keyword => text.includes(keyword.toLowerCase()));
+  return true;
+}
+
+/**
+ * Hashtags in a piece of text, in order
+ */
+export function extractHashtags(text) {
+  return String(text || '').match(/#[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Turn a phrase into a hashtag: "Hampstead Heath" -> "#hampsteadheath"
+ */
+export function toHashtag(value) {
+  return (
+    '#' +
+    String(value)
+      .toLowerCase()
+      .replace(/&/g, 'and')
+      .replace(/[^a-z0-9]+/g, '')
+      .trim()
+  );
+}
@@ -0,0 +1,179 @@
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import path from 'path';
+import { loadBrand, escapeXml, truncate, wrapText } from './slides.js';
+import { getPublicImageUrl } from './image.js';
+
+// Layout is designed at 1080px and scaled to the illustration's size
+const DESIGN_SIZE = 1080;
+
+/**
+ * Composite the brand frame onto an illustration: walk title, distance/time
+ * badge, pub name, logo and (optionally) a weather icon. Saves a separate
+ * `-branded.png` next to the raw image and returns it in the same
+ * { url, localPath } shape, with the raw illustration under `raw`.
+ */
+export async function brandIllustration(image, walk, weather) {
+  const brand = await loadBrand();
+  const style = getOverlayStyle(brand);
+
+  const raw = sharp(image.localPath);
+  const { width, height } = await raw.metadata();
+
+  const layers = [{ input: Buffer.from(buildOverlaySvg({ width, height }, walk, weather, brand)) }];
+  const logo = await loadLogo(style.logo, Math.round(150 * (width / DESIGN_SIZE)));
+  if (logo) {
+    const inset = Math.round(44 * (width / DESIGN_SIZE));
+    layers.push({ input: logo.buffer, top: inset, left: width - inset - logo.size });
+  }
+
+  const localPath = getBrandedPath(image.localPath);
+  await raw.composite(layers).png().toFile(localPath);
+  console.log('🖼️  Branded illustration saved to:', localPath);
+
+  return {
+    ...image,
+    url: getPublicImageUrl(localPath),
+    localPath,
+    raw: { url: image.url, localPath: image.localPath }
+  };
+}
+
+/**
+ * The overlay for a width x height illustration, as SVG: a frame, a
+ * distance/time badge (plus weather icon) top left, and a band along the
+ * bottom with the walk title and the pub. The logo is composited separately.
+ */
+export function buildOverlaySvg({ width, height }, walk, weather, brand) {
+  const { colours, fonts, weatherIcon } = getOverlayStyle(brand);
+  const s = width / DESIGN_SIZE;
+  const px = value => Math.round(value * s);
+
+  const border = px(20);
+  const inset = px(44);
+
+  // Distance/time badge
+  const stats = [
+    typeof walk.distance_km === 'number' ? `${walk.distance_km.toFixed(1)} km` : null,
+    walk.duration_minutes ? `~${walk.duration_minutes} mins` : null
+  ].filter(Boolean).join(' · ');
+  const badgeHeight = px(64);
+  const badgeWidth = Math.round(stats.length * px(30) * 0.58) + px(48);
+  const badge = stats ? `
+    <rect x="${inset}" y="${inset}" width="${badgeWidth}" height="${badgeHeight}" rx="${badgeHeight / 2}" fill="${colours.badge}"/>
+    <text x="${inset + badgeWidth / 2}" y="${inset + px(43)}" text-anchor="middle" font-family="${fonts.body}" font-size="${px(30)}" font-weight="700" fill="${colours.badgeText}">${escapeXml(stats)}</text>` : '';
+
+  const icon = weatherIcon ? chooseWeatherIcon(weather) : null;
+  const iconRadius = px(32);
+  const iconX = stats ? inset + badgeWidth + px(16) + iconRadius : inset + iconRadius;
+  const iconMarkup = icon ? drawWeatherIcon(icon, iconX, inset + badgeHeight / 2, iconRadius, colours) : '';
+
+  // Title band along the bottom
+  const titleLines = wrapText(walk.walk_title, 26);
+  const shownLines = titleLines.slice(0, 2);
+  if (titleLines.length > 2) shownLines[1] = truncate(`${shownLines[1]} ${titleLines.slice(2).join(' ')}`, 26);
+  const bandHeight = px(36) + shownLines.length * px(70) + px(52) + px(36) + border;
+  const bandTop = height - bandHeight;
+  const firstBaseline = bandTop + px(36) + px(56);
+  const pubBaseline = firstBaseline + (shownLines.length - 1) * px(70) + px(52);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <rect x="0" y="${bandTop}" width="${width}" height="${bandHeight}" fill="${colours.frame}" fill-opacity="0.9"/>
+    ${shownLines.map((line, i) => `<text x="${inset}" y="${firstBaseline + i * px(70)}" font-family="${fonts.title}" font-size="${px(60)}" font-weight="700" fill="${colours.text}">${escapeXml(line)}</text>`).join('')}
+    <text x="${inset}" y="${pubBaseline}" font-family="${fonts.body}" font-size="${px(30)}" font-weight="700" fill="${colours.badge}">${escapeXml(truncate(`Finishing at ${walk.end_pub_name}`, 48))}</text>
+    <rect x="${border / 2}" y="${border / 2}" width="${width - border}" height="${height - border}" fill="none" stroke="${colours.frame}" stroke-width="${border}"/>
+    ${badge}
+    ${iconMarkup}
+  </svg>`;
+}
+
+/**
+ * Which weather icon to show: 'rain', 'sun' or 'cloud' for the slot the
+ * forecast summary describes (so the icon matches the caption), or null for
+ * typical monthly weather (it isn't a forecast)
+ */
+export function chooseWeatherIcon(weather) {
+  if (!weather || weather.source === 'climatology' || !weather.condition) return null;
+
+  if (['rain', 'drizzle', 'thunderstorm'].includes(weather.condition)) return 'rain';
+  if (weather.condition === 'clear') return 'sun';
+  return 'cloud';
+}
+
+/**
+ * Overlay colours, fonts and options from brand.json's `overlay`, falling back
+ * to the main brand colours and fonts
+ */
+function getOverlayStyle(brand) {
+  const overlay = brand.overlay || {};
+  return {
+    logo: overlay.logo || null,
+    weatherIcon: overlay.weatherIcon !== false,
+    colours: {
+      frame: brand.colours.primary,
+      text: brand.colours.background,
+      badge: brand.colours.accent,
+      badgeText: brand.colours.text,
+      ...overlay.colours
+    },
+    fonts: {
+      title: brand.fonts.heading,
+      body: brand.fonts.body,
+      ...overlay.fonts
+    }
+  };
+}
+
+/**
+ * A weather icon in a light roundel centred on (cx, cy)
+ */
+function drawWeatherIcon(icon, cx, cy, r, colours) {
+  const roundel = `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${colours.text}"/>`;
+  const cloud = (dy, fill) => `
+    <circle cx="${cx - r * 0.28}" cy="${cy + dy}" r="${r * 0.26}" fill="${fill}"/>
+    <circle cx="${cx + r * 0.08}" cy="${cy + dy - r * 0.12}" r="${r * 0.34}" fill="${fill}"/>
+    <rect x="${cx - r * 0.54}" y="${cy + dy}" width="${r * 1.04}" height="${r * 0.26}" rx="${r * 0.13}" fill="${fill}"/>`;
+
+  if (icon === 'sun') {
+    const rays = Array.from({ length: 8 }, (_, i) => {
+      const dx = Math.cos((i * Math.PI) / 4) * r;
+      const dy = Math.sin((i * Math.PI) / 4) * r;
+      return `<line x1="${cx + dx * 0.5}" y1="${cy + dy * 0.5}" x2="${cx + dx * 0.72}" y2="${cy + dy * 0.72}" stroke="${colours.badge}" stroke-width="${r * 0.1}" stroke-linecap="round"/>`;
+    }).join('');
+    return `${roundel}<circle cx="${cx}" cy="${cy}" r="${r * 0.34}" fill="${colours.badge}"/>${rays}`;
+  }
+
+  if (icon === 'rain') {
+    const drops = [-0.3, 0, 0.3].map(dx => `<line x1="${cx + dx * r}" y1="${cy + r * 0.3}" x2="${cx + dx * r - r * 0.1}" y2="${cy + r * 0.55}" stroke="${colours.frame}" stroke-width="${r * 0.1}" stroke-linecap="round"/>`).join('');
+    return `${roundel}${cloud(-r * 0.2, colours.frame)}${drops}`;
+  }
+
+  return `${roundel}${cloud(0, colours.frame)}`;
+}
+
+/**
+ * The logo (any image sharp can read, path relative to the project root)
+ * as a size x size PNG, or null when none is configured or it's missing
+ */
+async function loadLogo(logoPath, size) {
+  if (!logoPath) return null;
+
+  const file = path.resolve(process.cwd(), logoPath);
+  try {
+    await fs.access(file);
+  } catch {
+    console.warn(`⚠️  Logo not found (${file}), branding without it`);
+    return null;
+  }
+
+  const buffer = await sharp(file).resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+  return { buffer, size };
+}
+
+/**
+ * generated/walk-123.png -> generated/walk-123-branded.png
+ */
+function getBrandedPath(localPath) {
+  const { dir, name } = path.parse(localPath);
+  return path.join(dir, `${name}-branded.png`);
+}
@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile } from './json-store.js';
+import { pickForSunday, SEASONS } from './calendar.js';
+
+const STYLES_DIR = path.join(process.cwd(), 'config', 'image-styles');
+const REQUIRED_FIELDS = ['name', 'artStyle', 'palette', 'composition'];
+
+export const DEFAULT_IMAGE_STYLE = 'travel-poster';
+
+/**
+ * Image style packs available in config/image-styles (one .json file each), sorted by id
+ */
+export async function listImageStyles() {
+  const files = await fs.readdir(STYLES_DIR);
+  return files
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Work out which style pack to use from IMAGE_STYLE: a pack id, or "rotate"
+ * to take each pack in turn, week by week
+ */
+export async function resolveImageStyle(setting = process.env.IMAGE_STYLE, today = new Date()) {
+  if (!setting) return DEFAULT_IMAGE_STYLE;
+  if (setting !== 'rotate') return setting;
+
+  const styles = await listImageStyles();
+  if (styles.length === 0) {
+    throw new Error(`No image style packs found in ${STYLES_DIR}`);
+  }
+  // Shifted so the look doesn't always come round with the same caption style
+  return pickForSunday(styles, today, { shift: 1 });
+}
+
+/**
+ * Load and check a style pack by id. Returns the pack with its `id`,
+ * `avoid` defaulting to [] and `seasons` to {}.
+ */
+export async function loadImageStyle(id = DEFAULT_IMAGE_STYLE) {
+  const pack = await readJsonFile(path.join(STYLES_DIR, `${path.basename(id)}.json`), null);
+  if (!pack) {
+    const styles = await listImageStyles().catch(() => []);
+    throw new Error(`Unknown image style "${id}" (available: ${styles.join(', ') || 'none'})`);
+  }
+
+  const errors = validateImageStyle(pack);
+  if (errors.length > 0) {
+    throw new Error(`Image style "${id}" is invalid: ${errors.join('; ')}`);
+  }
+
+  return { id, avoid: [], seasons: {}, ...pack };
+}
+
+/**
+ * Problems with a style pack, as a list of messages (empty when it's fine)
+ */
+export function validateImageStyle(pack) {
+  const errors = REQUIRED_FIELDS
+    .filter(field => typeof pack[field] !== 'string' || !pack[field].trim())
+    .map(field => `missing ${field}`);
+
+  if (pack.avoid !== undefined && !(Array.isArray(pack.avoid) && pack.avoid.every(item => typeof item === 'string'))) {
+    errors.push('avoid must be a list of strings');
+  }
+  if (pack.seasons !== undefined) {
+    if (typeof pack.seasons !== 'object' || pack.seasons === null || Array.isArray(pack.seasons)) {
+      errors.push('seasons must map a season to its art direction');
+    } else {
+      const unknown = Object.keys(pack.seasons).filter(season => !SEASONS.includes(season));
+      if (unknown.length > 0) errors.push(`unknown seasons: ${unknown.join(', ')} (use ${SEASONS.join(', ')})`);
+    }
+  }
+
+  return errors;
+}
@@ -1,64 +1,56 @@
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
-
-let openaiClient = null;
-
-/**
- * Get or create OpenAI client (lazy initialization)
- */
-function getOpenAIClient() {
-  if (!openaiClient) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openaiClient;
-}
+import { getImageProvider } from './llm/index.js';
+import { DEFAULT_IMAGE_STYLE, loadImageStyle } from './image-styles.js';
+import { describeWalkingConditions, getNextSunday } from './weather.js';
+import { getSeason } from './calendar.js';
+
+// Used when a style pack has no art direction of its own for the season
+const SEASON_HINTS = {
+  winter: 'crisp winter',
+  spring: 'fresh spring',
+  summer: 'bright summer',
+  autumn: 'golden autumn'
+};
+
+// What each walking condition looks like in the picture
+const WEATHER_SCENES = {
+  wet: 'wet paths and puddles, walkers in waterproofs',
+  windy: 'trees and coats blowing in a stiff breeze',
+  cold: 'cold air, walkers wrapped up in hats and scarves',
+  sunny: 'a clear blue sky and crisp shadows'
+};
 
 /**
- * Generate an illustration for the walk
+ * Generate an illustration for the walk in a style pack (config/image-styles).
+ * Returns { url, localPath, style } with the id of the pack used.
  */
-export async function generateIllustration(walk, weather) {
-  const prompt = buildImagePrompt(walk, weather);
+export async function generateIllustration(walk, weather, { style = DEFAULT_IMAGE_STYLE } = {}) {
+  const pack = await loadImageStyle(style);
+  const prompt = buildImagePrompt(walk, weather, pack);
   
-  console.log('Generating image with gpt-image-1...');
+  const llm = getImageProvider();
+  console.log(`Generating image with ${llm.name} (${llm.imageModel}) in the "${pack.name}" style...`);
   console.log('Prompt:', prompt);
 
   try {
-    const openai = getOpenAIClient();
-
-    // Use gpt-image-1 for superior quality
-    const response = await openai.images.generate({
-      model: "gpt-image-1",
-      prompt,
-      n: 1,
-      // Change to square so feed posts don't get cropped
-      size: "1024x1024",      // 1:1 aspect ratio for Instagram feed
-      quality: "high",
-      output_format: "png"
-    });
-
-    const imageBase64 = response.data[0].b64_json;
-    console.log('✅ Image generated successfully with gpt-image-1');
+    // Square so feed posts don't get cropped (1:1 aspect ratio for Instagram feed)
+    const imageBase64 = await llm.generateImage({ prompt, size: '1024x1024' });
+    console.log(`✅ Image generated successfully with ${llm.imageModel}`);
 
     // Save the base64 image locally
     const imagePath = await saveBase64Image(imageBase64, walk.slug);
     
     // Build public URL that Instagram can access
-    const baseUrl = process.env.PUBLIC_URL || process.env.BASE_URL || 'https://sundaypubwalks.onrender.com';
-    const filename = path.basename(imagePath);
-    const publicUrl = `${baseUrl}/images/${filename}`;
+    const publicUrl = getPublicImageUrl(imagePath);
 
     console.log('Image saved to:', imagePath);
     console.log('Public URL:', publicUrl);
 
     return {
-      url: publicUrl,      // Public URL for Instagram to fetch
-      localPath: imagePath // Local path for backup
+      url: publicUrl,       // Public URL for Instagram to fetch
+      localPath: imagePath, // Local path for backup
+      style: pack.id        // Style pack, saved with the post
     };
 
   } catch (error) {
@@ -68,34 +60,79 @@ export async function generateIllustration(walk, weather) {
 }
 
 /**
- * Build the image generation prompt
+ * Where the bot's server can be reached from the outside world
+ */
+export function getPublicBaseUrl() {
+  return process.env.PUBLIC_URL || process.env.BASE_URL || 'https://sundaypubwalks.onrender.com';
+}
+
+/**
+ * Public URL for a file saved in generated/, served by the /images/ route
+ */
+export function getPublicImageUrl(imagePath) {
+  return `${getPublicBaseUrl()}/images/${path.basename(imagePath)}`;
+}
+
+/**
+ * Build the image generation prompt from a style pack (art style, palette,
+ * composition, seasonal art direction and things to avoid), the walk's
+ * landmarks, the forecast and the light at the time the walk is done
+ */
+export function buildImagePrompt(walk, weather, pack, today = new Date()) {
+  const { area, end_pub_name, landmarks_for_prompt = [], seasonality } = walk;
+  const season = getSeason(getNextSunday(today));
+  const seasonal = pack.seasons?.[season] || SEASON_HINTS[season];
+
+  return [
+    `${pack.artStyle}.`,
+    `A couple of hikers with backpacks walking along a path in ${area} towards a cosy English pub called ${end_pub_name}.`,
+    landmarks_for_prompt.length > 0 ? `Show ${landmarks_for_prompt.join(', ')} along the way.` : null,
+    `Palette: ${pack.palette}.`,
+    `Composition: ${pack.composition}.`,
+    `Season: ${seasonal}${seasonality ? ` (${seasonality})` : ''}.`,
+    `Weather: ${describeWeatherScene(weather)}.`,
+    `Light: ${describeTimeOfDay(walk, weather)}.`,
+    'Square format, 1:1 aspect ratio, full-bleed, suitable for an Instagram feed post.',
+    pack.avoid?.length > 0 ? `Avoid: ${pack.avoid.join('; ')}.` : null
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * The forecast as something to draw: the summary plus what the walking
+ * conditions (wet, windy, cold, sunny) look like. Typical monthly weather
+ * is only a hint, so it's described as such.
+ */
+function describeWeatherScene(weather) {
+  if (!weather) return 'a fine day for a walk';
+  if (weather.source === 'climatology') return `typical weather for the time of year (${weather.summary})`;
+
+  const { conditions } = describeWalkingConditions(weather);
+  return [weather.summary, ...conditions.map(condition => WEATHER_SCENES[condition])].join(', ');
+}
+
+/**
+ * The light while the walk is done, from the best time to set off, the
+ * walk's length and sunset: golden hour when it finishes close to sunset
  */
-function buildImagePrompt(walk, weather) {
-  const { area, end_pub_name, landmarks_for_prompt, seasonality } = walk;
-  const landmarksText = landmarks_for_prompt.join(", ");
-  const seasonHint = getSeasonHint();
-
-  return `Bright, flat-colour vector illustration in a modern travel-poster style. \
-A couple of hikers with backpacks walking along a green path in ${area} \
-towards a cosy English pub called ${end_pub_name}. \
-Show ${landmarksText} in the distance. \
-Rich greens and blues, warm light in the pub windows, clean shapes, minimal shading, \
-stylised figures with no facial details. \
-Weather feels like ${weather.summary.toLowerCase()}. \
-Seasonal vibe: ${seasonHint} (${seasonality}). \
-Square format, 1:1 aspect ratio, centred composition, full-bleed, suitable for an Instagram feed post. \
-British countryside aesthetic with warm, inviting atmosphere.`;
+function describeTimeOfDay(walk, weather) {
+  const start = toMinutes(weather?.bestWindow?.start);
+  if (start === null) return 'soft daytime light';
+
+  const finish = start + (Number(walk.duration_minutes) || 0);
+  const sunset = toMinutes(weather.sunset);
+  if (sunset !== null && finish >= sunset - 45) return 'late-afternoon golden hour, a low sun and the pub windows glowing';
+  if (start < 10 * 60) return 'early-morning light with long soft shadows';
+  if (start < 12 * 60) return 'bright late-morning light';
+  if (start < 15 * 60) return 'clear midday light';
+  return 'low afternoon sun';
 }
 
 /**
- * Determine season hint based on current date
+ * "14:30" -> 870, or null
  */
-function getSeasonHint(date = new Date()) {
-  const month = date.getMonth() + 1;
-  if ([12, 1, 2].includes(month)) return "crisp winter";
-  if ([3, 4, 5].includes(month)) return "fresh spring";
-  if ([6, 7, 8].includes(month)) return "bright summer";
-  return "golden autumn";
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
 }
 
 /**
@@ -0,0 +1,113 @@
+// Graph API error codes, see
+// https://developers.facebook.com/docs/graph-api/guides/error-handling
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80001, 80002];
+const AUTH_CODES = [102, 190, 463, 467];
+const TRANSIENT_CODES = [1, 2];
+const MEDIA_FETCH_CODES = [9004];
+const MEDIA_FETCH_SUBCODES = [2207003, 2207052];
+
+/**
+ * Base class for anything that goes wrong talking to the Graph API.
+ * `transient` errors are worth retrying.
+ */
+export class InstagramApiError extends Error {
+  constructor(message, { status = null, code = null, subcode = null, fbtraceId = null, transient = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'InstagramApiError';
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.fbtraceId = fbtraceId;
+    this.transient = transient;
+  }
+}
+
+/**
+ * Too many calls - back off and try again
+ */
+export class InstagramRateLimitError extends InstagramApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, transient: true });
+    this.name = 'InstagramRateLimitError';
+  }
+}
+
+/**
+ * Access token is invalid, expired or missing permissions - retrying won't help
+ */
+export class InstagramAuthError extends InstagramApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, transient: false });
+    this.name = 'InstagramAuthError';
+  }
+}
+
+/**
+ * Instagram couldn't download the image from our /images/ URL.
+ * Often the server was still waking up, so it's worth another go.
+ */
+export class InstagramMediaFetchError extends InstagramApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, transient: true });
+    this.name = 'InstagramMediaFetchError';
+  }
+}
+
+/**
+ * A media container finished in ERROR/EXPIRED, or never finished at all
+ */
+export class InstagramContainerError extends InstagramApiError {
+  constructor(message, { containerId, statusCode, ...details } = {}) {
+    super(message, { ...details, transient: false });
+    this.name = 'InstagramContainerError';
+    this.containerId = containerId;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Turn an axios error from the Graph API into one of the typed errors above
+ */
+export function classifyGraphError(error) {
+  if (error instanceof InstagramApiError) {
+    return error;
+  }
+
+  const status = error.response?.status ?? null;
+  const graphError = error.response?.data?.error;
+
+  // No response at all: network trouble, worth retrying
+  if (!error.response) {
+    return new InstagramApiError(`Graph API request failed: ${error.message}`, {
+      transient: true,
+      cause: error
+    });
+  }
+
+  const details = {
+    status,
+    code: graphError?.code ?? null,
+    subcode: graphError?.error_subcode ?? null,
+    fbtraceId: graphError?.fbtrace_id ?? null,
+    cause: error
+  };
+  const message = graphError?.error_user_msg || graphError?.message || error.message;
+
+  if (RATE_LIMIT_CODES.includes(details.code) || status === 429) {
+    return new InstagramRateLimitError(`Instagram rate limit hit: ${message}`, details);
+  }
+
+  if (AUTH_CODES.includes(details.code) || (graphError?.type === 'OAuthException' && status === 401)) {
+    return new InstagramAuthError(`Instagram access token rejected: ${message}`, details);
+  }
+
+  if (MEDIA_FETCH_CODES.includes(details.code) || MEDIA_FETCH_SUBCODES.includes(details.subcode)) {
+    return new InstagramMediaFetchError(`Instagram could not fetch the image: ${message}`, details);
+  }
+
+  const transient = Boolean(graphError?.is_transient) ||
+    TRANSIENT_CODES.includes(details.code) ||
+    status >= 500;
+
+  return new InstagramApiError(`Graph API error: ${message}`, { ...details, transient });
+}
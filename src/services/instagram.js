@@ -1,15 +1,51 @@
 import axios from 'axios';
-import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+import { addPost, toPubCoords } from './post-store.js';
+import {
+  classifyGraphError,
+  InstagramContainerError,
+  InstagramRateLimitError
+} from './instagram-errors.js';
 
 const GRAPH_API_VERSION = 'v18.0';
-const BASE_URL = `https://graph.facebook.com/${GRAPH_API_VERSION}`;
+
+// Refresh the long-lived token when it has this many days or fewer left
+// (override with INSTAGRAM_TOKEN_REFRESH_DAYS)
+const DEFAULT_TOKEN_REFRESH_DAYS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Instagram allows up to 10 images in a carousel
+const MAX_CAROUSEL_ITEMS = 10;
+
+// How long to wait for containers and how hard to retry.
+// Override per call, e.g. with tiny intervals against a local stub server.
+const DEFAULT_PUBLISH_OPTIONS = {
+  pollIntervalMs: 1000,       // first status check, doubling each time...
+  maxPollIntervalMs: 10000,   // ...up to this
+  pollTimeoutMs: 5 * 60 * 1000,
+  retries: 3,
+  retryDelayMs: 2000
+};
 
 /**
- * Post an image with caption to Instagram
+ * Graph API base URL (INSTAGRAM_GRAPH_URL points it at a local stub for testing)
  */
-export async function postToInstagram({ imageUrl, imagePath, caption }) {
-  const accessToken = process.env.INSTAGRAM_ACCESS_TOKEN;
+function getGraphBaseUrl() {
+  return process.env.INSTAGRAM_GRAPH_URL || `https://graph.facebook.com/${GRAPH_API_VERSION}`;
+}
+
+/**
+ * Post an image with caption to Instagram.
+ * Pass imageUrls (2-10 public URLs) to post a carousel instead, and
+ * firstComment to comment on the new post straight away (e.g. the hashtags).
+ * Returns { id, commentId } - commentId is null if the comment failed.
+ */
+export async function postToInstagram({ imageUrl, imageUrls, imagePath, caption, firstComment = null }, options = {}) {
+  const accessToken = await getAccessToken();
   const accountId = process.env.INSTAGRAM_ACCOUNT_ID;
+  const opts = { ...DEFAULT_PUBLISH_OPTIONS, ...options };
 
   if (!accessToken || !accountId) {
     throw new Error('Instagram credentials not configured. Set INSTAGRAM_ACCESS_TOKEN and INSTAGRAM_ACCOUNT_ID in .env');
@@ -21,81 +57,394 @@ export async function postToInstagram({ imageUrl, imagePath, caption }) {
     // Step 1: Create media container
     // Instagram requires the image to be publicly accessible
     // In production, you'd upload to a CDN or hosting service
-    const containerId = await createMediaContainer({
-      accountId,
-      accessToken,
-      imageUrl, // Must be a publicly accessible URL
-      caption
-    });
+    const containerId = imageUrls && imageUrls.length > 1
+      ? await createCarouselContainer({
+        accountId,
+        accessToken,
+        imageUrls,
+        caption
+      }, opts)
+      : await withRetry('Create media container', () => createMediaContainer({
+        accountId,
+        accessToken,
+        imageUrl: imageUrl || imageUrls?.[0], // Must be a publicly accessible URL
+        caption
+      }), opts);
 
     console.log('Media container created:', containerId);
 
-    // Step 2: Wait a moment for processing
-    await sleep(2000);
+    // Step 2: Wait for Instagram to finish processing it
+    await waitForContainer({ containerId, accessToken }, opts);
 
     // Step 3: Publish the container
+    // Only rate limits are retried here - after a network blip we can't tell
+    // whether the post went live, and a duplicate post is worse than a failure
     console.log('Publishing media container...');
-    const result = await publishMediaContainer({
+    const result = await withRetry('Publish media container', () => publishMediaContainer({
       accountId,
       accessToken,
       containerId
-    });
+    }), { ...opts, isRetryable: error => error instanceof InstagramRateLimitError });
 
     console.log('Successfully posted to Instagram:', result);
+
+    // Step 4: First comment. The post is already live, so a failed comment
+    // is reported rather than failing the publish.
+    if (firstComment) {
+      result.commentId = null;
+      try {
+        result.commentId = await postComment(result.id, firstComment, options);
+      } catch (error) {
+        console.error(`❌ Could not post the first comment (${error.name}) - add it by hand:`, error.message);
+        console.error(firstComment);
+      }
+    }
+
     return result;
 
   } catch (error) {
-    console.error('Error posting to Instagram:', error.response?.data || error.message);
+    console.error(`Error posting to Instagram (${error.name}):`, error.message);
     throw error;
   }
 }
 
+/**
+ * Comment on a published post (e.g. hashtags or directions kept out of the caption).
+ * Returns the comment ID.
+ */
+export async function postComment(mediaId, message, options = {}) {
+  const accessToken = await getAccessToken();
+  const opts = { ...DEFAULT_PUBLISH_OPTIONS, ...options };
+
+  // Like publishing, only rate limits are retried so we never double-comment
+  const data = await withRetry('Post comment', () => graphPost(`/${mediaId}/comments`, {
+    message,
+    access_token: accessToken
+  }), { ...opts, isRetryable: error => error instanceof InstagramRateLimitError });
+
+  console.log('Comment posted:', data.id);
+  return data.id;
+}
+
 /**
  * Create an Instagram media container
  */
 async function createMediaContainer({ accountId, accessToken, imageUrl, caption }) {
-  const response = await axios.post(
-    `${BASE_URL}/${accountId}/media`,
-    {
+  const data = await graphPost(`/${accountId}/media`, {
+    image_url: imageUrl,
+    caption: caption,
+    access_token: accessToken
+  });
+
+  return data.id;
+}
+
+/**
+ * Create a carousel container: one child container per image
+ * (flagged is_carousel_item), then a CAROUSEL parent holding the caption
+ */
+async function createCarouselContainer({ accountId, accessToken, imageUrls, caption }, opts) {
+  if (imageUrls.length > MAX_CAROUSEL_ITEMS) {
+    throw new Error(`Carousel posts can have at most ${MAX_CAROUSEL_ITEMS} images (got ${imageUrls.length})`);
+  }
+
+  const childIds = [];
+  for (const imageUrl of imageUrls) {
+    const data = await withRetry(`Create carousel item ${childIds.length + 1}`, () => graphPost(`/${accountId}/media`, {
       image_url: imageUrl,
-      caption: caption,
+      is_carousel_item: true,
       access_token: accessToken
-    }
-  );
+    }), opts);
+    childIds.push(data.id);
+    console.log(`Carousel item ${childIds.length}/${imageUrls.length} created:`, data.id);
+  }
+
+  // Every child has to be processed before the parent can reference it
+  for (const childId of childIds) {
+    await waitForContainer({ containerId: childId, accessToken }, opts);
+  }
+
+  const data = await withRetry('Create carousel container', () => graphPost(`/${accountId}/media`, {
+    media_type: 'CAROUSEL',
+    children: childIds.join(','),
+    caption: caption,
+    access_token: accessToken
+  }), opts);
 
-  return response.data.id;
+  return data.id;
 }
 
 /**
  * Publish a media container to Instagram feed
  */
 async function publishMediaContainer({ accountId, accessToken, containerId }) {
-  const response = await axios.post(
-    `${BASE_URL}/${accountId}/media_publish`,
-    {
-      creation_id: containerId,
-      access_token: accessToken
-    }
-  );
-
-  return response.data;
+  return graphPost(`/${accountId}/media_publish`, {
+    creation_id: containerId,
+    access_token: accessToken
+  });
 }
 
 /**
  * Check status of a media container
  */
 async function checkMediaStatus({ containerId, accessToken }) {
-  const response = await axios.get(
-    `${BASE_URL}/${containerId}`,
-    {
-      params: {
-        fields: 'status_code',
-        access_token: accessToken
+  return graphGet(`/${containerId}`, {
+    fields: 'status_code,status',
+    access_token: accessToken
+  });
+}
+
+/**
+ * Poll a container's status_code until it's FINISHED, backing off between checks.
+ * Throws InstagramContainerError on ERROR/EXPIRED or if it takes too long.
+ */
+async function waitForContainer({ containerId, accessToken }, opts) {
+  const deadline = Date.now() + opts.pollTimeoutMs;
+  let delay = opts.pollIntervalMs;
+
+  while (true) {
+    await sleep(delay);
+
+    const { status_code: statusCode, status } = await withRetry(
+      'Check container status',
+      () => checkMediaStatus({ containerId, accessToken }),
+      opts
+    );
+    console.log(`Container ${containerId} status: ${statusCode}`);
+
+    if (statusCode === 'FINISHED' || statusCode === 'PUBLISHED') {
+      return statusCode;
+    }
+
+    if (statusCode === 'ERROR' || statusCode === 'EXPIRED') {
+      throw new InstagramContainerError(
+        `Media container ${containerId} ${statusCode === 'ERROR' ? 'failed' : 'expired'}${status ? `: ${status}` : ''}`,
+        { containerId, statusCode }
+      );
+    }
+
+    if (Date.now() + delay > deadline) {
+      throw new InstagramContainerError(
+        `Media container ${containerId} still ${statusCode} after ${Math.round(opts.pollTimeoutMs / 1000)}s`,
+        { containerId, statusCode }
+      );
+    }
+
+    delay = Math.min(delay * 2, opts.maxPollIntervalMs);
+  }
+}
+
+/**
+ * Run a Graph API call, retrying transient failures with exponential backoff
+ */
+async function withRetry(label, fn, { retries, retryDelayMs, isRetryable = error => error.transient }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
       }
+
+      const delay = retryDelayMs * 2 ** attempt;
+      console.warn(`${label} failed (${error.name}: ${error.message}). Retrying in ${delay}ms (${attempt + 1}/${retries})...`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * POST to the Graph API, converting failures into typed errors
+ */
+async function graphPost(path, body) {
+  try {
+    const response = await axios.post(`${getGraphBaseUrl()}${path}`, body);
+    return response.data;
+  } catch (error) {
+    throw classifyGraphError(error);
+  }
+}
+
+/**
+ * GET from the Graph API, converting failures into typed errors
+ */
+async function graphGet(path, params) {
+  try {
+    const response = await axios.get(`${getGraphBaseUrl()}${path}`, { params });
+    return response.data;
+  } catch (error) {
+    throw classifyGraphError(error);
+  }
+}
+
+/**
+ * Location of the stored access token (with its expiry)
+ */
+function getTokenPath() {
+  return process.env.INSTAGRAM_TOKEN_FILE || path.join(process.cwd(), 'data', 'instagram-token.json');
+}
+
+/**
+ * Fingerprint of a token, so we can tell when INSTAGRAM_ACCESS_TOKEN has been
+ * replaced by hand without storing the env value twice
+ */
+function fingerprint(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load the stored token record. If INSTAGRAM_ACCESS_TOKEN has changed since we
+ * last stored a token (someone pasted in a fresh one), start again from that.
+ */
+async function loadTokenRecord() {
+  const envToken = process.env.INSTAGRAM_ACCESS_TOKEN;
+  const record = await readJsonFile(getTokenPath(), null);
+
+  if (record && (!envToken || record.seededFrom === fingerprint(envToken))) {
+    return record;
+  }
+
+  if (!envToken) {
+    return null;
+  }
+
+  return {
+    accessToken: envToken,
+    seededFrom: fingerprint(envToken),
+    expiresAt: null,
+    checkedAt: null,
+    refreshedAt: null
+  };
+}
+
+/**
+ * The access token to use: the latest refreshed one, else INSTAGRAM_ACCESS_TOKEN
+ */
+export async function getAccessToken() {
+  const record = await loadTokenRecord();
+  return record?.accessToken || null;
+}
+
+/**
+ * Ask the Graph API when the current token expires (debug_token) and store it.
+ * Returns the token status (see describeToken).
+ */
+export async function checkAccessToken() {
+  const record = await loadTokenRecord();
+  if (!record) {
+    throw new Error('Instagram access token not configured. Set INSTAGRAM_ACCESS_TOKEN in .env');
+  }
+
+  // An app token (id|secret) can inspect any token; otherwise the token inspects itself
+  const { INSTAGRAM_APP_ID: appId, INSTAGRAM_APP_SECRET: appSecret } = process.env;
+  const inspector = appId && appSecret ? `${appId}|${appSecret}` : record.accessToken;
+
+  const { data } = await graphGet('/debug_token', {
+    input_token: record.accessToken,
+    access_token: inspector
+  });
+
+  record.valid = Boolean(data.is_valid);
+  // expires_at of 0 means the token never expires
+  record.expiresAt = data.expires_at ? new Date(data.expires_at * 1000).toISOString() : null;
+  record.checkedAt = new Date().toISOString();
+  await writeJsonFile(getTokenPath(), record);
+
+  return describeToken(record);
+}
+
+/**
+ * Swap the current long-lived token for a fresh one (another 60 days).
+ * Needs INSTAGRAM_APP_ID and INSTAGRAM_APP_SECRET.
+ */
+export async function refreshAccessToken() {
+  const { INSTAGRAM_APP_ID: appId, INSTAGRAM_APP_SECRET: appSecret } = process.env;
+  if (!appId || !appSecret) {
+    throw new Error('Cannot refresh Instagram token: set INSTAGRAM_APP_ID and INSTAGRAM_APP_SECRET in .env');
+  }
+
+  const record = await loadTokenRecord();
+  if (!record) {
+    throw new Error('Instagram access token not configured. Set INSTAGRAM_ACCESS_TOKEN in .env');
+  }
+
+  const data = await graphGet('/oauth/access_token', {
+    grant_type: 'fb_exchange_token',
+    client_id: appId,
+    client_secret: appSecret,
+    fb_exchange_token: record.accessToken
+  });
+
+  const now = Date.now();
+  record.accessToken = data.access_token;
+  record.valid = true;
+  record.expiresAt = data.expires_in ? new Date(now + data.expires_in * 1000).toISOString() : null;
+  record.refreshedAt = new Date(now).toISOString();
+  record.checkedAt = record.refreshedAt;
+  await writeJsonFile(getTokenPath(), record);
+
+  console.log(`🔑 Instagram token refreshed, now expires ${record.expiresAt || 'never'}`);
+  return describeToken(record);
+}
+
+/**
+ * Check the token and refresh it if it's close to expiring.
+ * Run on startup and daily; never throws (failures are logged and returned).
+ */
+export async function manageAccessToken() {
+  try {
+    let status = await checkAccessToken();
+
+    if (!status.valid) {
+      console.error('❌ Instagram access token is INVALID - posts will fail until it is replaced');
+      return status;
+    }
+
+    const refreshWithinDays = Number(process.env.INSTAGRAM_TOKEN_REFRESH_DAYS) || DEFAULT_TOKEN_REFRESH_DAYS;
+    if (status.daysRemaining !== null && status.daysRemaining <= refreshWithinDays) {
+      console.log(`🔑 Instagram token expires in ${status.daysRemaining} days, refreshing...`);
+      status = await refreshAccessToken();
+    } else {
+      console.log(`🔑 Instagram token OK (${status.daysRemaining === null ? 'never expires' : `${status.daysRemaining} days remaining`})`);
     }
-  );
 
-  return response.data;
+    return status;
+  } catch (error) {
+    console.error('⚠️  Instagram token check failed:', error.message);
+    return { ...(await getTokenStatus()), error: error.message };
+  }
+}
+
+/**
+ * Last known token status, without calling the API (for /health).
+ * A token file that can't be read counts as an invalid token, with the error.
+ */
+export async function getTokenStatus() {
+  let record;
+  try {
+    record = await loadTokenRecord();
+  } catch (error) {
+    return { configured: true, valid: false, error: `Could not read ${getTokenPath()}: ${error.message}` };
+  }
+  return record ? describeToken(record) : { configured: false };
+}
+
+/**
+ * Summarise a token record without exposing the token itself
+ */
+function describeToken(record) {
+  const daysRemaining = record.expiresAt
+    ? Math.floor((new Date(record.expiresAt) - Date.now()) / DAY_MS)
+    : null;
+
+  return {
+    configured: true,
+    valid: record.valid ?? null,
+    expiresAt: record.expiresAt,
+    daysRemaining,
+    checkedAt: record.checkedAt,
+    refreshedAt: record.refreshedAt
+  };
 }
 
 /**
@@ -106,28 +455,33 @@ function sleep(ms) {
 }
 
 /**
- * Log a post to local storage (for tracking)
+ * Record a post in the post history store (data/posts.json).
+ * `mode` is 'production' for real posts, 'development' for local test runs.
  */
-export async function logPost(walk, result) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
+export async function logPost({ walk, weather, caption, captionFit = null, image, slides = [] }, result, mode = 'production') {
+  const post = await addPost({
+    mode,
     walkId: walk.id,
     walkTitle: walk.walk_title,
     slug: walk.slug,
     pubName: walk.end_pub_name, // Track pub name to avoid duplicates
+    pubCoords: toPubCoords(walk.end_pub_coords), // ...and location, to catch renamed/misspelt pubs
     area: walk.area_short,
-    instagramPostId: result.id,
-    success: true
-  };
+    areaId: walk.area_rotation?.id || null,
+    areaReason: walk.area_rotation?.reason || null,
+    weatherReason: walk.weather_fit?.reason || null,
+    instagramPostId: result?.id || null,
+    commentId: result?.commentId || null,
+    walk,
+    caption,
+    captionStyle: captionFit?.style || null,
+    imageStyle: image?.style || null,
+    hashtags: captionFit?.hashtags || [],
+    image: image ? { url: image.url, localPath: image.localPath, raw: image.raw || null } : null,
+    slides,
+    weather
+  });
 
-  const logDir = 'logs';
-  const logFile = `${logDir}/posts.jsonl`;
-
-  try {
-    await fs.mkdir(logDir, { recursive: true });
-    await fs.appendFile(logFile, JSON.stringify(logEntry) + '\n');
-    console.log('Post logged to:', logFile);
-  } catch (error) {
-    console.error('Error logging post:', error.message);
-  }
+  console.log(`Post logged to history (${mode}):`, post.id);
+  return post;
 }
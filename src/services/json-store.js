@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Read a JSON file, returning the fallback if it doesn't exist yet
+ */
+export async function readJsonFile(filePath, fallback) {
+  try {
+    const data = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename over the original)
+ * so a crash mid-write never leaves a half-written file behind
+ */
+export async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+  await fs.rename(tmpPath, filePath);
+}
+
+// Pending read-modify-write operations per file, so concurrent
+// HTTP requests can't clobber each other's changes
+const fileQueues = new Map();
+
+/**
+ * Read a JSON file, apply an update function and write the result back.
+ * Updates to the same file run one at a time. Resolves with whatever
+ * the updater returns.
+ */
+export function updateJsonFile(filePath, fallback, updater) {
+  const previous = fileQueues.get(filePath) || Promise.resolve();
+
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const data = await readJsonFile(filePath, fallback);
+      const result = await updater(data);
+      await writeJsonFile(filePath, data);
+      return result;
+    });
+
+  fileQueues.set(filePath, next);
+  return next;
+}
@@ -0,0 +1,21 @@
+import OpenAI from 'openai';
+
+// One client per endpoint, shared by text and image generation
+const clients = new Map();
+
+/**
+ * Get or create an OpenAI SDK client (lazy initialization).
+ * Pass a baseURL to talk to any OpenAI-compatible endpoint.
+ */
+export function getOpenAIClient({ apiKey, baseURL } = {}) {
+  const key = `${baseURL || 'openai'}|${apiKey || ''}`;
+
+  if (!clients.has(key)) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+    clients.set(key, new OpenAI({ apiKey, ...(baseURL && { baseURL }) }));
+  }
+
+  return clients.get(key);
+}
@@ -0,0 +1,60 @@
+import sharp from 'sharp';
+import crypto from 'crypto';
+import path from 'path';
+import { readJsonFile } from '../json-store.js';
+
+const FIXTURE_WALKS_PATH = path.join(process.cwd(), 'fixtures', 'llm', 'walks.json');
+
+/**
+ * Deterministic stand-in for a real model, for offline runs.
+ * Walks come from fixtures/llm/walks.json, picked by how many times we've
+ * been asked (not the prompt, which includes the randomly rotated area), so
+ * the same run always produces the same output - but regenerating after a
+ * rejection gets a different walk.
+ */
+export function createFixtureProvider() {
+  let calls = 0;
+
+  return {
+    name: 'fixture',
+    textModel: 'fixture',
+    imageModel: 'fixture',
+
+    async generateJson({ prompt }) {
+      const walks = await readJsonFile(FIXTURE_WALKS_PATH, []);
+      if (walks.length === 0) {
+        throw new Error(`No fixture walks found in ${FIXTURE_WALKS_PATH}`);
+      }
+
+      // Prefer walks whose pub the prompt hasn't told us to avoid
+      const fresh = walks.filter(walk => !prompt.includes(`- ${walk.end_pub_name}\n`));
+      const choices = fresh.length > 0 ? fresh : walks;
+
+      const walk = choices[hashToIndex(`walk-${calls++}`, choices.length)];
+      return structuredClone(walk);
+    },
+
+    async generateImage({ prompt, size = '1024x1024' }) {
+      const [width, height] = size.split('x').map(Number);
+      const hue = hashToIndex(prompt, 360);
+
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect width="100%" height="100%" fill="hsl(${hue}, 45%, 82%)"/>
+        <path d="M0 ${height * 0.7} Q ${width / 2} ${height * 0.55} ${width} ${height * 0.72} V ${height} H 0 Z" fill="hsl(${(hue + 120) % 360}, 40%, 45%)"/>
+        <circle cx="${width * 0.75}" cy="${height * 0.25}" r="${width * 0.08}" fill="hsl(45, 90%, 65%)"/>
+        <text x="50%" y="${height * 0.9}" text-anchor="middle" font-family="sans-serif" font-size="${Math.round(width / 20)}" fill="#ffffff">fixture image</text>
+      </svg>`;
+
+      const buffer = await sharp(Buffer.from(svg)).png().toBuffer();
+      return buffer.toString('base64');
+    }
+  };
+}
+
+/**
+ * Stable index in [0, length) for a string
+ */
+function hashToIndex(value, length) {
+  const digest = crypto.createHash('sha256').update(value).digest();
+  return digest.readUInt32BE(0) % length;
+}
@@ -0,0 +1,107 @@
+import { createOpenAIProvider } from './openai.js';
+import { createLocalProvider, DEFAULT_LOCAL_BASE_URL } from './local.js';
+import { createFixtureProvider } from './fixture.js';
+import { isOfflineMode } from '../offline.js';
+
+const PROVIDERS = ['openai', 'local', 'fixture'];
+
+const DEFAULT_TEXT_MODELS = {
+  openai: 'gpt-5',
+  local: 'llama3.1',
+  fixture: 'fixture'
+};
+
+const DEFAULT_IMAGE_MODELS = {
+  openai: 'gpt-image-1',
+  local: 'stable-diffusion',
+  fixture: 'fixture'
+};
+
+const providers = new Map();
+
+/**
+ * Which providers and models to use, from the environment:
+ *
+ *   LLM_PROVIDER        openai (default), local or fixture
+ *   LLM_IMAGE_PROVIDER  provider for images (defaults to LLM_PROVIDER)
+ *   LLM_TEXT_MODEL      e.g. gpt-5, llama3.1
+ *   LLM_IMAGE_MODEL     e.g. gpt-image-1
+ *   LLM_TEMPERATURE     defaults to 1.0 (high creativity for variety)
+ *   LLM_BASE_URL        local endpoint, defaults to Ollama on localhost
+ *   LLM_API_KEY         key for the local endpoint, if it needs one
+ *
+ * OFFLINE_MODE=true always uses the fixture provider.
+ */
+export function getLLMConfig() {
+  const offline = isOfflineMode();
+  const textProvider = offline ? 'fixture' : parseProvider('LLM_PROVIDER', process.env.LLM_PROVIDER || 'openai');
+  const imageProvider = offline ? 'fixture' : parseProvider('LLM_IMAGE_PROVIDER', process.env.LLM_IMAGE_PROVIDER || textProvider);
+
+  const temperature = process.env.LLM_TEMPERATURE !== undefined ? Number(process.env.LLM_TEMPERATURE) : 1.0;
+  if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+    throw new Error(`LLM_TEMPERATURE must be a number between 0 and 2, got "${process.env.LLM_TEMPERATURE}"`);
+  }
+
+  return {
+    textProvider,
+    imageProvider,
+    textModel: offline ? DEFAULT_TEXT_MODELS.fixture : process.env.LLM_TEXT_MODEL || DEFAULT_TEXT_MODELS[textProvider],
+    imageModel: offline ? DEFAULT_IMAGE_MODELS.fixture : process.env.LLM_IMAGE_MODEL || DEFAULT_IMAGE_MODELS[imageProvider],
+    temperature,
+    baseURL: process.env.LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL
+  };
+}
+
+/**
+ * Provider used to generate walks
+ */
+export function getTextProvider() {
+  const config = getLLMConfig();
+  return getProvider(config.textProvider, config);
+}
+
+/**
+ * Provider used to generate illustrations
+ */
+export function getImageProvider() {
+  const config = getLLMConfig();
+  return getProvider(config.imageProvider, config);
+}
+
+/**
+ * Get or create a provider (lazy initialization, one per configuration)
+ */
+function getProvider(name, config) {
+  const options = {
+    textModel: config.textModel,
+    imageModel: config.imageModel,
+    temperature: config.temperature
+  };
+  const key = `${name}|${JSON.stringify(options)}|${config.baseURL}`;
+
+  if (!providers.has(key)) {
+    switch (name) {
+      case 'openai':
+        providers.set(key, createOpenAIProvider({ ...options, apiKey: process.env.OPENAI_API_KEY }));
+        break;
+      case 'local':
+        providers.set(key, createLocalProvider({ ...options, apiKey: process.env.LLM_API_KEY, baseURL: config.baseURL }));
+        break;
+      case 'fixture':
+        providers.set(key, createFixtureProvider());
+        break;
+    }
+  }
+
+  return providers.get(key);
+}
+
+/**
+ * Check a provider name from the environment
+ */
+function parseProvider(variable, value) {
+  if (!PROVIDERS.includes(value)) {
+    throw new Error(`${variable} must be one of ${PROVIDERS.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
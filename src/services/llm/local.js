@@ -0,0 +1,19 @@
+import { createOpenAIProvider } from './openai.js';
+
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * A local model server with an OpenAI-compatible API (Ollama, llama.cpp
+ * server, LocalAI...). Most don't need a real API key. Images are asked for
+ * as base64 in the older API's terms, without OpenAI's quality and format
+ * settings, which these servers reject or ignore.
+ */
+export function createLocalProvider({ apiKey, baseURL, ...options }) {
+  return createOpenAIProvider({
+    ...options,
+    name: 'local',
+    apiKey: apiKey || 'local',
+    baseURL: baseURL || DEFAULT_LOCAL_BASE_URL,
+    imageOptions: { response_format: 'b64_json' }
+  });
+}
@@ -0,0 +1,66 @@
+import { getOpenAIClient } from './client.js';
+
+// Image settings only OpenAI's own image models understand
+const HOSTED_IMAGE_OPTIONS = { quality: 'high', output_format: 'png' };
+
+/**
+ * Text and image generation through the OpenAI API, or any endpoint that
+ * speaks the same protocol (pass `baseURL`, and the `imageOptions` that
+ * endpoint accepts in place of OpenAI's).
+ */
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, textModel, imageModel, temperature, imageOptions = HOSTED_IMAGE_OPTIONS }) {
+  const client = () => getOpenAIClient({ apiKey, baseURL });
+
+  return {
+    name,
+    textModel,
+    imageModel,
+
+    /**
+     * Ask for a JSON object and return it parsed
+     */
+    async generateJson({ system, prompt }) {
+      const response = await client().chat.completions.create({
+        model: textModel,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        response_format: { type: 'json_object' }
+      });
+
+      return parseJsonReply(response.choices[0].message.content);
+    },
+
+    /**
+     * Generate a square PNG, returned as base64
+     */
+    async generateImage({ prompt, size = '1024x1024' }) {
+      const response = await client().images.generate({
+        model: imageModel,
+        prompt,
+        n: 1,
+        size,
+        ...imageOptions
+      });
+
+      return response.data[0].b64_json;
+    }
+  };
+}
+
+/**
+ * Parse a JSON reply, tolerating the ```json fences some local models add
+ */
+export function parseJsonReply(content) {
+  const text = String(content || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Model did not return valid JSON: ${error.message}`);
+  }
+}
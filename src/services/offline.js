@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { startGraphStub } from '../dev/graph-stub.js';
+
+// Throwaway state for offline runs, so they never touch real history or tokens
+const OFFLINE_STATE_DIR = path.join(process.cwd(), 'data', 'offline');
+
+/**
+ * Is the pipeline running fully offline (OFFLINE_MODE=true)?
+ * Walks and images come from the fixture LLM provider, weather from a
+ * recorded forecast, and Instagram publishing goes to a local Graph API stub.
+ */
+export function isOfflineMode() {
+  return process.env.OFFLINE_MODE === 'true';
+}
+
+/**
+ * A stand-in for Math.random that gives the same numbers every run, so
+ * offline choices (the area, the hashtags) are repeatable. `seed` is any string.
+ */
+export function createSeededRandom(seed) {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32BE(0);
+
+  // mulberry32
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Set up everything an offline run needs: a fresh state directory and the
+ * local Graph API stub. Returns { graphUrl, stop }.
+ */
+export async function startOfflineServices() {
+  process.env.OFFLINE_MODE = 'true';
+
+  await fs.rm(OFFLINE_STATE_DIR, { recursive: true, force: true });
+  await fs.mkdir(OFFLINE_STATE_DIR, { recursive: true });
+
+  process.env.POST_STORE_FILE = path.join(OFFLINE_STATE_DIR, 'posts.json');
+  process.env.DRAFTS_FILE = path.join(OFFLINE_STATE_DIR, 'drafts.json');
+  process.env.INSTAGRAM_TOKEN_FILE = path.join(OFFLINE_STATE_DIR, 'instagram-token.json');
+  process.env.INSTAGRAM_ACCESS_TOKEN = 'offline-access-token';
+  process.env.INSTAGRAM_ACCOUNT_ID = 'offline-account';
+
+  const stub = await startGraphStub();
+  process.env.INSTAGRAM_GRAPH_URL = stub.url;
+
+  console.log('📴 OFFLINE MODE - no network calls will be made');
+  console.log('   Walks & images: fixture provider (fixtures/llm/)');
+  console.log('   Weather: recorded forecast (fixtures/weather/)');
+  console.log(`   Instagram: local Graph API stub at ${stub.url}`);
+  console.log(`   State: ${OFFLINE_STATE_DIR} (reset every run)\n`);
+
+  return {
+    graphUrl: stub.url,
+    requests: stub.requests,
+    stop: stub.close
+  };
+}
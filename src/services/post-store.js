@@ -0,0 +1,287 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { readJsonFile, updateJsonFile } from './json-store.js';
+import { isValidCoordinate } from './geo.js';
+
+const STORE_VERSION = 1;
+const POST_MODES = ['production', 'development', 'imported'];
+
+// The old append-only log, kept around for the one-time import
+export const LEGACY_POST_LOG = path.join('logs', 'posts.jsonl');
+
+/**
+ * A stored post.
+ *
+ * @typedef {object} PostRecord
+ * @property {string} id                  Unique ID for this record
+ * @property {string} timestamp           ISO time it was published (or generated, in development)
+ * @property {'production'|'development'|'imported'} mode
+ * @property {string} walkTitle
+ * @property {string} pubName             Used to avoid repeating pubs
+ * @property {?string} walkId
+ * @property {?string} slug
+ * @property {?{lat: number, lng: number}} pubCoords
+ * @property {?string} area               area_short of the walk
+ * @property {?string} areaId             Area rotation ID (config/areas.json)
+ * @property {?string} areaReason         Why the area rotation picked it
+ * @property {?string} weatherReason      How Sunday's forecast steered the walk choice
+ * @property {?string} instagramPostId
+ * @property {?string} commentId          First comment posted on it (hashtags/directions)
+ * @property {?object} walk               Full walk data
+ * @property {?string} caption
+ * @property {?string} captionStyle       Caption template used (templates/captions)
+ * @property {?string} imageStyle         Illustration style pack used (config/image-styles)
+ * @property {Array<{tag: string, category: ?string, source: string}>} hashtags  Tags in the caption
+ * @property {?{url: string, localPath: string, raw: ?{url: string, localPath: string}}} image  Published image; `raw` is the unbranded illustration
+ * @property {Array<{kind: string, url: string, localPath: string}>} slides
+ * @property {?object} weather
+ */
+
+/**
+ * Pub coordinates fit to store: { lat, lng } when both are real numbers,
+ * otherwise null. They come from the model (or old logs), and a malformed
+ * pair must never stop a post that's already live from being recorded.
+ */
+export function toPubCoords(coords) {
+  return isValidCoordinate(coords) ? { lat: coords.lat, lng: coords.lng } : null;
+}
+
+/**
+ * Location of the post history store
+ */
+function getStorePath() {
+  return process.env.POST_STORE_FILE || path.join(process.cwd(), 'data', 'posts.json');
+}
+
+/**
+ * Load every stored post. Records that don't match the schema are returned
+ * separately in `corrupt` (and logged) rather than silently dropped.
+ * A store file that isn't valid JSON throws - it must never be treated as empty.
+ */
+export async function loadPosts() {
+  let store;
+  try {
+    store = await readJsonFile(getStorePath(), null);
+  } catch (error) {
+    throw new Error(`Post history store ${getStorePath()} is unreadable (${error.message}). Fix or restore it before posting again.`);
+  }
+
+  if (!store) {
+    // First run since the move from logs/posts.jsonl - bring the history across
+    if (await fileExists(LEGACY_POST_LOG)) {
+      console.log(`📦 No post store yet - importing history from ${LEGACY_POST_LOG}...`);
+      reportImport(await importLegacyPostLog());
+      return loadPosts();
+    }
+    return { posts: [], corrupt: [] };
+  }
+
+  const posts = [];
+  const corrupt = [];
+  (store.posts || []).forEach((record, index) => {
+    const errors = validatePostRecord(record);
+    if (errors.length === 0) {
+      posts.push(record);
+    } else {
+      corrupt.push({ index, id: record?.id ?? null, errors });
+    }
+  });
+
+  if (corrupt.length > 0) {
+    console.warn(`⚠️  ${corrupt.length} corrupt record(s) in ${getStorePath()} were ignored:`);
+    corrupt.forEach(({ index, id, errors }) => {
+      console.warn(`   • #${index}${id ? ` (${id})` : ''}: ${errors.join('; ')}`);
+    });
+  }
+
+  return { posts, corrupt };
+}
+
+/**
+ * Posts that actually went out (published or imported), oldest first
+ */
+export async function getPublishedPosts() {
+  const { posts } = await loadPosts();
+  return posts.filter(post => post.mode !== 'development');
+}
+
+/**
+ * Save a new post record. Fills in id/timestamp, throws if the record is invalid.
+ */
+export async function addPost(record) {
+  const post = {
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    walkId: null,
+    slug: null,
+    pubCoords: null,
+    area: null,
+    areaId: null,
+    areaReason: null,
+    weatherReason: null,
+    instagramPostId: null,
+    commentId: null,
+    walk: null,
+    caption: null,
+    captionStyle: null,
+    imageStyle: null,
+    hashtags: [],
+    image: null,
+    slides: [],
+    weather: null,
+    ...record
+  };
+
+  const errors = validatePostRecord(post);
+  if (errors.length > 0) {
+    throw new Error(`Invalid post record: ${errors.join('; ')}`);
+  }
+
+  await updateJsonFile(getStorePath(), emptyStore(), store => {
+    store.posts.push(post);
+  });
+
+  return post;
+}
+
+/**
+ * One-time import of the old logs/posts.jsonl. Unreadable lines are reported
+ * with their line numbers; lines already imported are skipped.
+ * Returns { imported, skipped, corrupt: [{ line, error }] }
+ */
+export async function importLegacyPostLog(logPath = LEGACY_POST_LOG) {
+  const data = await fs.readFile(logPath, 'utf-8');
+
+  const entries = [];
+  const corrupt = [];
+  data.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push({ line: index + 1, entry: JSON.parse(line) });
+    } catch (error) {
+      corrupt.push({ line: index + 1, error: `invalid JSON (${error.message})` });
+    }
+  });
+
+  let imported = 0;
+  let skipped = 0;
+
+  await updateJsonFile(getStorePath(), emptyStore(), store => {
+    const seen = new Set(store.posts.map(legacyKey));
+
+    for (const { line, entry } of entries) {
+      const record = {
+        id: uuidv4(),
+        timestamp: entry.timestamp,
+        mode: 'imported',
+        walkId: entry.walkId ?? null,
+        walkTitle: entry.walkTitle,
+        slug: entry.slug ?? null,
+        pubName: entry.pubName,
+        pubCoords: toPubCoords(entry.pubCoords),
+        area: entry.area ?? null,
+        areaId: entry.areaId ?? null,
+        areaReason: entry.areaReason ?? null,
+        instagramPostId: entry.instagramPostId ?? null,
+        walk: null,
+        caption: null,
+        image: null,
+        slides: [],
+        weather: null
+      };
+
+      const errors = validatePostRecord(record);
+      if (errors.length > 0) {
+        corrupt.push({ line, error: errors.join('; ') });
+        continue;
+      }
+
+      if (seen.has(legacyKey(record))) {
+        skipped++;
+        continue;
+      }
+
+      seen.add(legacyKey(record));
+      store.posts.push(record);
+      imported++;
+    }
+
+    store.posts.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  });
+
+  return { imported, skipped, corrupt };
+}
+
+/**
+ * Check a record against the post schema. Returns a list of problems (empty if valid).
+ */
+export function validatePostRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['not an object'];
+  }
+
+  const errors = [];
+  const isString = value => typeof value === 'string' && value.trim().length > 0;
+  const isOptional = (value, check) => value === null || value === undefined || check(value);
+
+  if (!isString(record.id)) errors.push('missing id');
+  if (!isString(record.timestamp) || Number.isNaN(Date.parse(record.timestamp))) errors.push('missing or invalid timestamp');
+  if (!POST_MODES.includes(record.mode)) errors.push(`invalid mode "${record.mode}"`);
+  if (!isString(record.walkTitle)) errors.push('missing walkTitle');
+  if (!isString(record.pubName)) errors.push('missing pubName');
+
+  if (!isOptional(record.pubCoords, isValidCoordinate)) {
+    errors.push('invalid pubCoords');
+  }
+  if (!isOptional(record.walk, w => typeof w === 'object' && !Array.isArray(w))) errors.push('invalid walk');
+  if (!isOptional(record.caption, c => typeof c === 'string')) errors.push('invalid caption');
+  if (!isOptional(record.captionStyle, c => typeof c === 'string')) errors.push('invalid captionStyle');
+  if (!isOptional(record.imageStyle, s => typeof s === 'string')) errors.push('invalid imageStyle');
+  if (!isOptional(record.weatherReason, r => typeof r === 'string')) errors.push('invalid weatherReason');
+  if (!isOptional(record.image, i => typeof i === 'object')) errors.push('invalid image');
+  if (!isOptional(record.weather, w => typeof w === 'object')) errors.push('invalid weather');
+  if (!isOptional(record.slides, s => Array.isArray(s))) errors.push('invalid slides');
+  if (!isOptional(record.hashtags, h => Array.isArray(h) && h.every(tag => typeof tag?.tag === 'string'))) {
+    errors.push('invalid hashtags');
+  }
+
+  return errors;
+}
+
+/**
+ * Identify a legacy post so re-running the import doesn't duplicate it
+ */
+function legacyKey(record) {
+  return `${record.timestamp}|${record.walkTitle}|${record.pubName}`;
+}
+
+/**
+ * A fresh, empty store
+ */
+function emptyStore() {
+  return { version: STORE_VERSION, posts: [] };
+}
+
+/**
+ * Log the outcome of a legacy import, including any lines that couldn't be read
+ */
+export function reportImport({ imported, skipped, corrupt }) {
+  console.log(`📦 Imported ${imported} post(s) from ${LEGACY_POST_LOG}${skipped ? `, ${skipped} already imported` : ''}`);
+  if (corrupt.length > 0) {
+    console.warn(`⚠️  ${corrupt.length} line(s) could not be imported:`);
+    corrupt.forEach(({ line, error }) => console.warn(`   • line ${line}: ${error}`));
+  }
+}
+
+/**
+ * Does a file exist?
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,150 @@
+import { haversineKm, isValidCoordinate } from './geo.js';
+
+// Names at least this similar (after normalising) are the same pub
+export const NAME_MATCH_THRESHOLD = 0.85;
+
+// Pubs with the same name further apart than this are different pubs
+// ("The Crown" in Soho and "The Crown" in Islington), when both have coordinates
+const SAME_NAME_MAX_KM = 0.5;
+
+// Pubs this close together with loosely similar names are the same pub
+const PROXIMITY_KM = 0.15;
+const PROXIMITY_NAME_THRESHOLD = 0.5;
+
+// Similarity given when one name is wholly contained in the other - too
+// loose to match on its own, but enough when the coordinates agree
+const CONTAINED_SIMILARITY = 0.75;
+
+/**
+ * Normalise a pub name for comparison:
+ * "The Spaniard's Inn" -> "spaniards", "Ye Olde Mitre Pub" -> "olde mitre"
+ */
+export function normalisePubName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019`]/g, '') // apostrophes join words: spaniard's -> spaniards
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(the|ye|a)\s+/, '')
+    .replace(/\s+(pub|inn|public house|tavern)$/, '')
+    .trim();
+}
+
+/**
+ * Similarity between two pub names, 0 (nothing alike) to 1 (same after normalising)
+ */
+export function pubNameSimilarity(a, b) {
+  const left = normalisePubName(a);
+  const right = normalisePubName(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const longest = Math.max(left.length, right.length);
+  const editSimilarity = 1 - levenshtein(left, right) / longest;
+
+  // "dove" vs "dove hammersmith": every word of one name appears in the other
+  const leftWords = left.split(' ');
+  const rightWords = right.split(' ');
+  const contained = leftWords.every(word => rightWords.includes(word)) ||
+    rightWords.every(word => leftWords.includes(word));
+
+  return contained ? Math.max(editSimilarity, CONTAINED_SIMILARITY) : editSimilarity;
+}
+
+/**
+ * Find the earlier pub a candidate collides with, if any.
+ * A pub collides when its name is near-identical (and, when both have
+ * coordinates, it's in the same spot), or when it's within a stone's throw
+ * of an earlier pub with a loosely similar name.
+ *
+ * `candidate` and each of `pubs` look like { name, coords }; the matching
+ * entry from `pubs` is returned with { similarity, distanceKm }, or null.
+ */
+export function findMatchingPub(candidate, pubs) {
+  let best = null;
+
+  for (const pub of pubs) {
+    const similarity = pubNameSimilarity(candidate.name, pub.name);
+    const distanceKm = isValidCoordinate(candidate.coords) && isValidCoordinate(pub.coords)
+      ? haversineKm(candidate.coords, pub.coords)
+      : null;
+
+    const sameName = similarity >= NAME_MATCH_THRESHOLD && (distanceKm === null || distanceKm <= SAME_NAME_MAX_KM);
+    const samePlace = distanceKm !== null && distanceKm <= PROXIMITY_KM &&
+      similarity >= PROXIMITY_NAME_THRESHOLD;
+
+    if ((sameName || samePlace) && (!best || similarity > best.similarity)) {
+      best = { ...pub, similarity, distanceKm };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Group pubs that refer to the same place, keeping input order.
+ * Returns an array of groups (arrays of the original items).
+ */
+export function groupMatchingPubs(pubs) {
+  const groups = [];
+
+  for (const pub of pubs) {
+    const group = groups.find(members => findMatchingPub(pub, members));
+    if (group) {
+      group.push(pub);
+    } else {
+      groups.push([pub]);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Group posts by the pub they finished at, for the pub history. Returns
+ * [{ name, label, visits: [{ name, post }] }] sorted by label, with visits in
+ * post order. Namesakes in different places are different pubs, so their
+ * label has the area added ("The Crown (Soho)").
+ */
+export function groupPostsByPub(posts) {
+  const groups = groupMatchingPubs(
+    posts
+      .filter(post => post.pubName)
+      .map(post => ({ name: post.pubName, coords: post.pubCoords || null, post }))
+  );
+
+  const namesakes = name => groups.filter(group => group[0].name === name).length > 1;
+  return groups
+    .map(group => ({
+      name: group[0].name,
+      label: namesakes(group[0].name) ? `${group[0].name} (${group[0].post.area || 'unknown area'})` : group[0].name,
+      visits: group.map(({ name, post }) => ({ name, post }))
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Edit distance between two strings
+ */
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,        // deletion
+        current[j - 1] + 1,     // insertion
+        previous[j - 1] + cost  // substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
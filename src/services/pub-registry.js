@@ -0,0 +1,154 @@
+import path from 'path';
+import { readJsonFile, writeJsonFile } from './json-store.js';
+import { normalisePubName, findMatchingPub } from './pub-matching.js';
+import { isValidCoordinate } from './geo.js';
+
+/**
+ * Location of the curated pub registry
+ */
+function getRegistryPath() {
+  return process.env.PUB_REGISTRY_FILE || path.join(process.cwd(), 'data', 'pubs.json');
+}
+
+/**
+ * Should the AI be limited to pubs in the registry?
+ */
+export function isRegistryOnly() {
+  return process.env.PUB_REGISTRY_ONLY === 'true';
+}
+
+/**
+ * Load all pubs in the registry
+ */
+export async function loadPubRegistry() {
+  return readJsonFile(getRegistryPath(), []);
+}
+
+/**
+ * Find the registry entry for a pub, checking the canonical name and all
+ * aliases. Matches like post history does (see findMatchingPub): given
+ * coordinates, a namesake elsewhere in London isn't the same pub.
+ * Returns { pub, similarity, distanceKm } or null if nothing is close enough.
+ */
+export function findRegistryPub(name, registry, coords = null) {
+  const candidates = registry.flatMap(pub => [pub.name, ...(pub.aliases || [])]
+    .map(candidate => ({ name: candidate, coords: { lat: pub.lat, lng: pub.lng }, pub })));
+
+  const match = findMatchingPub({ name, coords }, candidates);
+  return match ? { pub: match.pub, similarity: match.similarity, distanceKm: match.distanceKm } : null;
+}
+
+/**
+ * Add a pub to the registry. Throws if it's invalid or already registered.
+ */
+export async function addPub(entry) {
+  const registry = await loadPubRegistry();
+  const pub = normalisePubEntry(entry);
+
+  const existing = findRegistryPub(pub.name, registry, { lat: pub.lat, lng: pub.lng });
+  if (existing) {
+    throw new Error(`"${pub.name}" is already registered as "${existing.pub.name}" (${existing.pub.id})`);
+  }
+
+  pub.id = getUniqueId(pub, entry, registry);
+  registry.push(pub);
+  await writeJsonFile(getRegistryPath(), registry);
+  return pub;
+}
+
+/**
+ * Add many pubs at once, skipping duplicates and invalid entries.
+ * Returns { added, skipped: [{ name, reason }] }
+ */
+export async function importPubs(entries) {
+  const registry = await loadPubRegistry();
+  const added = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    try {
+      const pub = normalisePubEntry(entry);
+      const existing = findRegistryPub(pub.name, registry, { lat: pub.lat, lng: pub.lng });
+      if (existing) {
+        skipped.push({ name: pub.name, reason: `already registered as "${existing.pub.name}"` });
+        continue;
+      }
+      pub.id = getUniqueId(pub, entry, registry);
+      registry.push(pub);
+      added.push(pub);
+    } catch (error) {
+      skipped.push({ name: entry?.name || '(unnamed)', reason: error.message });
+    }
+  }
+
+  if (added.length > 0) {
+    await writeJsonFile(getRegistryPath(), registry);
+  }
+
+  return { added, skipped };
+}
+
+/**
+ * Validate a registry entry and fill in defaults
+ */
+function normalisePubEntry(entry) {
+  const name = String(entry?.name || '').trim();
+  if (!name) {
+    throw new Error('Pub entry is missing a name');
+  }
+
+  const coords = { lat: Number(entry.lat), lng: Number(entry.lng) };
+  if (!isValidCoordinate(coords)) {
+    throw new Error(`Pub "${name}" has invalid coordinates (lat: ${entry.lat}, lng: ${entry.lng})`);
+  }
+
+  const aliases = Array.isArray(entry.aliases)
+    ? entry.aliases
+    : String(entry.aliases || '').split('|');
+
+  let instagram = entry.instagram ? String(entry.instagram).trim() : null;
+  if (instagram && !instagram.startsWith('@')) {
+    instagram = `@${instagram}`;
+  }
+
+  return {
+    id: entry.id || normalisePubName(name).replace(/\s+/g, '-'),
+    name,
+    aliases: aliases.map(a => a.trim()).filter(Boolean),
+    lat: coords.lat,
+    lng: coords.lng,
+    area: entry.area || null,
+    instagram,
+    dog_friendly: toBoolean(entry.dog_friendly),
+    food: toBoolean(entry.food)
+  };
+}
+
+/**
+ * An id no other registry pub has. Namesakes in different areas would get
+ * the same id from their name, so the area (or a number) is added; an id
+ * given explicitly must already be unique.
+ */
+function getUniqueId(pub, entry, registry) {
+  const taken = id => registry.some(existing => existing.id === id);
+  if (!taken(pub.id)) return pub.id;
+  if (entry.id) {
+    throw new Error(`Pub id "${pub.id}" is already in use`);
+  }
+
+  const area = String(pub.area || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  const base = area ? `${pub.id}-${area}` : pub.id;
+  let id = base;
+  for (let n = 2; taken(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Parse booleans from JSON or CSV ("true", "yes", "1")
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', 'y', '1'].includes(String(value || '').trim().toLowerCase());
+}
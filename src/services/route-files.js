@@ -0,0 +1,88 @@
+import { escapeXml } from './slides.js';
+
+// Route file formats served at /walks/<slug>.<format>
+export const ROUTE_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', label: 'GPX' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', label: 'KML' }
+};
+
+/**
+ * Does the walk have a route (a start and a pub waypoint at least)?
+ */
+export function hasRoute(walk) {
+  return Array.isArray(walk?.waypoints) && walk.waypoints.length >= 2;
+}
+
+/**
+ * Build a route file for a walk in one of ROUTE_FORMATS
+ */
+export function buildRouteFile(walk, format, options = {}) {
+  if (format === 'gpx') return buildGpx(walk, options);
+  if (format === 'kml') return buildKml(walk, options);
+  throw new Error(`Unknown route format "${format}" (choose from: ${Object.keys(ROUTE_FORMATS).join(', ')})`);
+}
+
+/**
+ * GPX 1.1: each waypoint as a <wpt>, plus the whole walk as a <rte> in order,
+ * for apps like OS Maps, Komoot and Garmin. `url` links back to the walk page.
+ */
+export function buildGpx(walk, { url = null } = {}) {
+  const { waypoints } = walk;
+  const point = (tag, wp, indent) => `${indent}<${tag} lat="${wp.lat}" lon="${wp.lng}">
+${indent}  <name>${escapeXml(wp.name)}</name>
+${indent}  <type>${escapeXml(wp.type || 'landmark')}</type>
+${indent}</${tag}>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Sunday Pub Walks" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(walk.walk_title)}</name>
+    <desc>${escapeXml(describeRoute(walk))}</desc>${url ? `
+    <link href="${escapeXml(url)}"><text>${escapeXml(walk.walk_title)}</text></link>` : ''}
+  </metadata>
+${waypoints.map(wp => point('wpt', wp, '  ')).join('\n')}
+  <rte>
+    <name>${escapeXml(walk.walk_title)}</name>
+${waypoints.map(wp => point('rtept', wp, '    ')).join('\n')}
+  </rte>
+</gpx>
+`;
+}
+
+/**
+ * KML 2.2: a placemark per waypoint and the route as a line, for Google Maps/Earth
+ */
+export function buildKml(walk, { url = null } = {}) {
+  const { waypoints } = walk;
+  // KML wants lng,lat
+  const coordinates = waypoints.map(wp => `${wp.lng},${wp.lat}`).join(' ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(walk.walk_title)}</name>
+    <description>${escapeXml([describeRoute(walk), url].filter(Boolean).join(' '))}</description>
+${waypoints.map(wp => `    <Placemark>
+      <name>${escapeXml(wp.name)}</name>
+      <description>${escapeXml(wp.type || 'landmark')}</description>
+      <Point><coordinates>${wp.lng},${wp.lat}</coordinates></Point>
+    </Placemark>`).join('\n')}
+    <Placemark>
+      <name>${escapeXml(walk.walk_title)}</name>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * "4.5 km from Hampstead tube station to The Spaniards Inn"
+ */
+function describeRoute(walk) {
+  const distance = typeof walk.distance_km === 'number' ? `${walk.distance_km.toFixed(1)} km ` : '';
+  return `${distance}from ${walk.start_point || walk.waypoints[0].name} to ${walk.end_pub_name}`;
+}
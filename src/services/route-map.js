@@ -0,0 +1,114 @@
+import { isValidCoordinate } from './geo.js';
+
+// Length of a degree of latitude (and of longitude at the equator)
+const KM_PER_DEGREE = 111.195;
+
+// Don't zoom in further than this many km across, so a short hop still looks like a walk
+const MIN_SPAN_KM = 0.6;
+
+// Candidate scale bar lengths, in km
+const SCALE_STEPS_KM = [0.05, 0.1, 0.2, 0.25, 0.5, 1, 2, 2.5, 5, 10];
+
+/**
+ * Fit a walk's waypoints into a width x height box (inside `padding`), north up.
+ * Uses an equirectangular projection around the route's middle latitude, which is
+ * plenty accurate over the few km of a pub walk and needs no map tiles.
+ * Returns { points: [{ ...waypoint, x, y }], kmPerPx }, or null without a usable route.
+ */
+export function projectRoute(waypoints, { width, height, padding = 0 }) {
+  const valid = (waypoints || []).filter(isValidCoordinate);
+  if (valid.length < 2) return null;
+
+  const midLat = (Math.min(...valid.map(wp => wp.lat)) + Math.max(...valid.map(wp => wp.lat))) / 2;
+  const lngFactor = Math.cos((midLat * Math.PI) / 180);
+
+  // Projected units are km east and km north
+  const projected = valid.map(wp => ({
+    wp,
+    east: wp.lng * lngFactor * KM_PER_DEGREE,
+    north: wp.lat * KM_PER_DEGREE
+  }));
+
+  const minEast = Math.min(...projected.map(p => p.east));
+  const maxEast = Math.max(...projected.map(p => p.east));
+  const minNorth = Math.min(...projected.map(p => p.north));
+  const maxNorth = Math.max(...projected.map(p => p.north));
+
+  const innerWidth = width - padding * 2;
+  const innerHeight = height - padding * 2;
+  const pxPerKm = Math.min(
+    innerWidth / Math.max(maxEast - minEast, MIN_SPAN_KM),
+    innerHeight / Math.max(maxNorth - minNorth, MIN_SPAN_KM)
+  );
+
+  // Centre the route in the box
+  const centreEast = (minEast + maxEast) / 2;
+  const centreNorth = (minNorth + maxNorth) / 2;
+
+  return {
+    points: projected.map(({ wp, east, north }) => ({
+      ...wp,
+      x: round(width / 2 + (east - centreEast) * pxPerKm),
+      y: round(height / 2 - (north - centreNorth) * pxPerKm)
+    })),
+    kmPerPx: 1 / pxPerKm
+  };
+}
+
+/**
+ * The longest tidy scale bar that fits in maxPx: { km, px, label }
+ */
+export function chooseScaleBar(kmPerPx, maxPx) {
+  const km = [...SCALE_STEPS_KM].reverse().find(step => step / kmPerPx <= maxPx) || SCALE_STEPS_KM[0];
+  return {
+    km,
+    px: round(km / kmPerPx),
+    label: km < 1 ? `${Math.round(km * 1000)} m` : `${km} km`
+  };
+}
+
+/**
+ * Place map labels so they don't overlap each other, the reserved boxes
+ * (markers, compass, scale bar) or the edge of the map. Labels are placed in
+ * the order given, so put the important ones first. Each label is
+ * { x, y, width, height, gap } around its marker at (x, y); each placement
+ * tries right, left, above then below the marker.
+ * Returns [{ anchor, x, top } | null] - null when a label doesn't fit anywhere.
+ */
+export function placeLabels(labels, bounds, reserved = []) {
+  const taken = [...reserved];
+
+  return labels.map(({ x, y, width, height, gap }) => {
+    const candidates = [
+      { anchor: 'start', x: x + gap, top: y - height / 2, left: x + gap },
+      { anchor: 'end', x: x - gap, top: y - height / 2, left: x - gap - width },
+      { anchor: 'middle', x, top: y - gap - height, left: x - width / 2 },
+      { anchor: 'middle', x, top: y + gap, left: x - width / 2 }
+    ];
+
+    const fit = candidates.find(({ left, top }) => {
+      const box = { left, top, right: left + width, bottom: top + height };
+      return box.left >= bounds.left && box.right <= bounds.right &&
+        box.top >= bounds.top && box.bottom <= bounds.bottom &&
+        !taken.some(other => overlaps(box, other));
+    });
+    if (!fit) return null;
+
+    taken.push({ left: fit.left, top: fit.top, right: fit.left + width, bottom: fit.top + height });
+    return { anchor: fit.anchor, x: round(fit.x), top: round(fit.top) };
+  });
+}
+
+/**
+ * Do two { left, top, right, bottom } boxes overlap?
+ */
+function overlaps(a, b) {
+  return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
+/**
+ * Round to one decimal place for tidy SVG coordinates
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
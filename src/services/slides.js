@@ -0,0 +1,333 @@
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile } from './json-store.js';
+import { getPublicImageUrl } from './image.js';
+import { projectRoute, chooseScaleBar, placeLabels } from './route-map.js';
+
+const SIZE = 1080;
+const MARGIN = 90;
+const BRAND_CONFIG_PATH = path.join(process.cwd(), 'config', 'brand.json');
+
+/**
+ * Render the extra carousel slides for a walk (route map when the walk has
+ * waypoints, route card and directions card).
+ * Returns [{ kind, url, localPath }] in carousel order.
+ */
+export async function renderWalkSlides(walk) {
+  const brand = await loadBrand();
+  const timestamp = Date.now();
+
+  const mapSvg = buildRouteMapSvg(walk, brand);
+  const slides = [
+    mapSvg ? { kind: 'map', svg: mapSvg } : null,
+    { kind: 'route', svg: buildRouteCardSvg(walk, brand) },
+    { kind: 'directions', svg: buildDirectionsCardSvg(walk, brand) }
+  ].filter(Boolean);
+
+  const rendered = [];
+  for (const slide of slides) {
+    const localPath = await saveSvgAsPng(slide.svg, `${walk.slug}-${timestamp}-${slide.kind}.png`);
+    rendered.push({
+      kind: slide.kind,
+      url: getPublicImageUrl(localPath),
+      localPath
+    });
+    console.log(`🖼️  Rendered ${slide.kind} slide:`, localPath);
+  }
+
+  return rendered;
+}
+
+/**
+ * Load brand colours and fonts
+ */
+export async function loadBrand() {
+  const brand = await readJsonFile(BRAND_CONFIG_PATH, null);
+  if (!brand) {
+    throw new Error(`Brand config not found: ${BRAND_CONFIG_PATH}`);
+  }
+  return brand;
+}
+
+/**
+ * Route map: the walk drawn from its waypoints over a plain map panel, with
+ * start and pub markers and a scale bar. Drawn locally - no map tiles.
+ * Returns null when the walk has no usable waypoints.
+ */
+export function buildRouteMapSvg(walk, brand) {
+  const { colours, fonts } = brand;
+  const panel = { x: MARGIN, y: 240, width: SIZE - MARGIN * 2, height: 640 };
+  const route = projectRoute(walk.waypoints, { width: panel.width, height: panel.height, padding: 90 });
+  if (!route) return null;
+
+  const points = route.points.map(point => ({ ...point, x: point.x + panel.x, y: point.y + panel.y }));
+  const path = points.map(({ x, y }) => `${x},${y}`).join(' ');
+  const last = points.length - 1;
+
+  // Faint grid so the panel reads as a map
+  const grid = [];
+  for (let offset = 80; offset < panel.width; offset += 80) {
+    grid.push(`<line x1="${panel.x + offset}" y1="${panel.y}" x2="${panel.x + offset}" y2="${panel.y + panel.height}"/>`);
+  }
+  for (let offset = 80; offset < panel.height; offset += 80) {
+    grid.push(`<line x1="${panel.x}" y1="${panel.y + offset}" x2="${panel.x + panel.width}" y2="${panel.y + offset}"/>`);
+  }
+
+  const scale = chooseScaleBar(route.kmPerPx, 220);
+  const scaleX = panel.x + 30;
+  const scaleY = panel.y + panel.height - 30;
+  const compassX = panel.x + panel.width - 40;
+
+  const stops = points.map((point, i) => {
+    const type = i === 0 ? 'start' : i === last ? 'pub' : 'landmark';
+    const name = truncate(point.name, 26);
+    const caption = type === 'start' ? 'START' : type === 'pub' ? 'PUB' : null;
+    const fontSize = type === 'landmark' ? 24 : 28;
+    return {
+      ...point,
+      type,
+      name,
+      caption,
+      fontSize,
+      radius: type === 'landmark' ? 12 : 22,
+      // Rough text width - the fonts are close enough to half an em per character
+      labelWidth: Math.max(name.length * fontSize * 0.56, caption ? caption.length * 20 * 0.9 : 0),
+      labelHeight: caption ? 56 : 30
+    };
+  });
+
+  // Start and pub labels get first pick of the space; landmarks that don't fit go unlabelled
+  const labelOrder = [stops[0], stops[last], ...stops.slice(1, last)];
+  const reserved = [
+    ...stops.map(stop => ({ left: stop.x - stop.radius, top: stop.y - stop.radius, right: stop.x + stop.radius, bottom: stop.y + stop.radius })),
+    { left: compassX - 25, top: panel.y + 30, right: compassX + 25, bottom: panel.y + 105 },
+    { left: scaleX, top: scaleY - 45, right: scaleX + scale.px, bottom: scaleY + 5 }
+  ];
+  const placements = placeLabels(
+    labelOrder.map(stop => ({ x: stop.x, y: stop.y, width: stop.labelWidth, height: stop.labelHeight, gap: stop.radius + 12 })),
+    { left: panel.x + 12, top: panel.y + 12, right: panel.x + panel.width - 12, bottom: panel.y + panel.height - 12 },
+    reserved
+  );
+
+  const halo = `stroke="${colours.background}" stroke-width="8" stroke-linejoin="round" paint-order="stroke"`;
+  const labels = labelOrder.map((stop, i) => {
+    const place = placements[i];
+    if (!place) return '';
+    const nameY = place.top + stop.labelHeight - 8;
+    return `
+      ${stop.caption ? `<text x="${place.x}" y="${place.top + 20}" text-anchor="${place.anchor}" font-family="${fonts.body}" font-size="20" font-weight="700" letter-spacing="3" fill="${colours.muted}" ${halo}>${stop.caption}</text>` : ''}
+      <text x="${place.x}" y="${nameY}" text-anchor="${place.anchor}" font-family="${fonts.body}" font-size="${stop.fontSize}" font-weight="${stop.type === 'landmark' ? 400 : 700}" fill="${colours.text}" ${halo}>${escapeXml(stop.name)}</text>`;
+  }).join('');
+
+  // Landmarks first so the start and pub markers sit on top
+  const markers = [...stops.slice(1, last), stops[0], stops[last]].map(stop => {
+    const fill = stop.type === 'start' ? colours.primary : stop.type === 'pub' ? colours.accent : colours.background;
+    return `
+      <circle cx="${stop.x}" cy="${stop.y}" r="${stop.radius}" fill="${fill}" stroke="${colours.primary}" stroke-width="5"/>`;
+  }).join('');
+
+  const titleLine = truncate(walk.walk_title, 30);
+  const distance = typeof walk.distance_km === 'number' ? `${walk.distance_km.toFixed(1)} km to ${walk.end_pub_name}` : `Finish: ${walk.end_pub_name}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">
+    <rect width="${SIZE}" height="${SIZE}" fill="${colours.background}"/>
+    <text x="${MARGIN}" y="130" font-family="${fonts.body}" font-size="26" font-weight="700" letter-spacing="6" fill="${colours.accent}">THE MAP</text>
+    <text x="${MARGIN}" y="200" font-family="${fonts.heading}" font-size="52" font-weight="700" fill="${colours.primary}">${escapeXml(titleLine)}</text>
+    <rect x="${panel.x}" y="${panel.y}" width="${panel.width}" height="${panel.height}" rx="24" fill="${colours.green}" fill-opacity="0.35" stroke="${colours.green}" stroke-width="4"/>
+    <g stroke="${colours.green}" stroke-width="2">${grid.join('')}</g>
+    <polyline points="${path}" fill="none" stroke="${colours.background}" stroke-width="18" stroke-linejoin="round" stroke-linecap="round"/>
+    <polyline points="${path}" fill="none" stroke="${colours.path}" stroke-width="8" stroke-dasharray="18 12" stroke-linejoin="round" stroke-linecap="round"/>
+    ${markers}
+    ${labels}
+    <text x="${compassX}" y="${panel.y + 60}" text-anchor="middle" font-family="${fonts.heading}" font-size="30" font-weight="700" fill="${colours.primary}">N</text>
+    <path d="M ${compassX} ${panel.y + 70} l -12 30 l 12 -8 l 12 8 z" fill="${colours.primary}"/>
+    <line x1="${scaleX}" y1="${scaleY}" x2="${scaleX + scale.px}" y2="${scaleY}" stroke="${colours.text}" stroke-width="4"/>
+    <line x1="${scaleX}" y1="${scaleY - 10}" x2="${scaleX}" y2="${scaleY + 2}" stroke="${colours.text}" stroke-width="4"/>
+    <line x1="${scaleX + scale.px}" y1="${scaleY - 10}" x2="${scaleX + scale.px}" y2="${scaleY + 2}" stroke="${colours.text}" stroke-width="4"/>
+    <text x="${scaleX}" y="${scaleY - 18}" font-family="${fonts.body}" font-size="22" fill="${colours.text}">${scale.label}</text>
+    ${footer(distance, brand)}
+  </svg>`;
+}
+
+/**
+ * Route/stop card: start, landmarks and pub as stops on a path
+ */
+function buildRouteCardSvg(walk, brand) {
+  const { colours, fonts } = brand;
+  const stops = [
+    { label: walk.start_point, type: 'start' },
+    ...(walk.landmarks_for_prompt || []).slice(0, 4).map(label => ({ label, type: 'stop' })),
+    { label: walk.end_pub_name, type: 'pub' }
+  ];
+
+  const titleLines = wrapText(walk.walk_title, 26).slice(0, 2);
+  const top = 300 + (titleLines.length - 1) * 70;
+  const bottom = 900;
+  const gap = (bottom - top) / (stops.length - 1);
+  const x = MARGIN + 60;
+
+  const stopMarkup = stops.map((stop, i) => {
+    const y = top + i * gap;
+    const fill = stop.type === 'start' ? colours.primary : stop.type === 'pub' ? colours.accent : colours.background;
+    const radius = stop.type === 'stop' ? 16 : 26;
+    const caption = stop.type === 'start' ? 'START' : stop.type === 'pub' ? 'FINISH' : null;
+
+    return `
+      <circle cx="${x}" cy="${y}" r="${radius}" fill="${fill}" stroke="${colours.primary}" stroke-width="6"/>
+      ${caption ? `<text x="${x + 60}" y="${y - 14}" font-family="${fonts.body}" font-size="22" font-weight="700" letter-spacing="3" fill="${colours.muted}">${caption}</text>` : ''}
+      <text x="${x + 60}" y="${y + (caption ? 22 : 11)}" font-family="${fonts.body}" font-size="${stop.type === 'stop' ? 32 : 36}" font-weight="${stop.type === 'stop' ? 400 : 700}" fill="${colours.text}">${escapeXml(truncate(stop.label, stop.type === 'stop' ? 42 : 36))}</text>`;
+  }).join('');
+
+  const stats = [
+    `${Number(walk.distance_km).toFixed(1)} km`,
+    `~${walk.duration_minutes} mins`,
+    walk.difficulty
+  ].filter(Boolean).join('  ·  ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">
+    <rect width="${SIZE}" height="${SIZE}" fill="${colours.background}"/>
+    <text x="${MARGIN}" y="130" font-family="${fonts.body}" font-size="26" font-weight="700" letter-spacing="6" fill="${colours.accent}">THE ROUTE</text>
+    ${titleLines.map((line, i) => `<text x="${MARGIN}" y="${210 + i * 70}" font-family="${fonts.heading}" font-size="64" font-weight="700" fill="${colours.primary}">${escapeXml(line)}</text>`).join('')}
+    <line x1="${x}" y1="${top}" x2="${x}" y2="${bottom}" stroke="${colours.path}" stroke-width="8" stroke-dasharray="4 18" stroke-linecap="round"/>
+    ${stopMarkup}
+    ${footer(stats, brand)}
+  </svg>`;
+}
+
+/**
+ * Directions card: numbered steps, shrinking the text to fit. Steps too long
+ * even at the smallest size are cut at the last line that fits, with an ellipsis.
+ */
+export function buildDirectionsCardSvg(walk, brand) {
+  const { colours, fonts } = brand;
+  const steps = (walk.directions || []).map(step => step.replace(/^step\s*\d+\s*[:.-]\s*/i, ''));
+
+  const areaTop = 260;
+  const areaHeight = 940 - areaTop;
+  const width = SIZE - MARGIN * 2 - 60;
+
+  // Largest font size at which all the steps fit
+  let fontSize = 34;
+  let wrapped;
+  let lineHeight;
+  let maxChars;
+  let height;
+  for (fontSize of [34, 30, 27, 24, 21, 18]) {
+    lineHeight = Math.round(fontSize * 1.3);
+    maxChars = Math.floor(width / (fontSize * 0.52));
+    wrapped = steps.map(step => wrapText(step, maxChars));
+    height = wrapped.reduce((sum, lines) => sum + lines.length * lineHeight + fontSize * 0.6, 0);
+    if (height <= areaHeight) break;
+  }
+  if (height > areaHeight) {
+    wrapped = fitSteps(wrapped, { areaHeight, lineHeight, stepGap: fontSize * 0.6, maxChars });
+  }
+
+  let y = areaTop;
+  const stepMarkup = wrapped.map((lines, i) => {
+    const markup = `
+      <text x="${MARGIN}" y="${y + lineHeight * 0.8}" font-family="${fonts.heading}" font-size="${fontSize}" font-weight="700" fill="${colours.accent}">${i + 1}</text>
+      ${lines.map((line, j) => `<text x="${MARGIN + 60}" y="${y + lineHeight * (j + 0.8)}" font-family="${fonts.body}" font-size="${fontSize}" fill="${colours.text}">${escapeXml(line)}</text>`).join('')}`;
+    y += lines.length * lineHeight + fontSize * 0.6;
+    return markup;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">
+    <rect width="${SIZE}" height="${SIZE}" fill="${colours.background}"/>
+    <text x="${MARGIN}" y="130" font-family="${fonts.body}" font-size="26" font-weight="700" letter-spacing="6" fill="${colours.accent}">HOW TO DO THE WALK</text>
+    <text x="${MARGIN}" y="200" font-family="${fonts.heading}" font-size="40" font-weight="700" fill="${colours.primary}">${escapeXml(truncate(`Start at ${walk.start_point}`, 38))}</text>
+    ${stepMarkup}
+    ${footer(`Finish: ${walk.end_pub_name}`, brand)}
+  </svg>`;
+}
+
+/**
+ * Keep the wrapped steps that fit in areaHeight, ending the last line kept
+ * with an ellipsis
+ */
+function fitSteps(wrapped, { areaHeight, lineHeight, stepGap, maxChars }) {
+  const fitted = [];
+  let used = 0;
+
+  for (const lines of wrapped) {
+    const room = Math.floor((areaHeight - used) / lineHeight);
+    if (room >= lines.length) {
+      fitted.push(lines);
+      used += lines.length * lineHeight + stepGap;
+      continue;
+    }
+
+    if (room > 0) fitted.push(lines.slice(0, room));
+    const last = fitted[fitted.length - 1];
+    if (last) {
+      fitted[fitted.length - 1] = [...last.slice(0, -1), truncate(`${last[last.length - 1]}…`, maxChars)];
+    }
+    break;
+  }
+
+  return fitted;
+}
+
+/**
+ * Footer strip with a line of info and the brand handle
+ */
+function footer(text, { colours, fonts, handle }) {
+  return `
+    <rect x="0" y="${SIZE - 100}" width="${SIZE}" height="100" fill="${colours.primary}"/>
+    <text x="${MARGIN}" y="${SIZE - 38}" font-family="${fonts.body}" font-size="30" font-weight="700" fill="${colours.background}">${escapeXml(truncate(text, 40))}</text>
+    <text x="${SIZE - MARGIN}" y="${SIZE - 38}" text-anchor="end" font-family="${fonts.body}" font-size="28" fill="${colours.accent}">${escapeXml(handle || '')}</text>`;
+}
+
+/**
+ * Rasterise an SVG to a PNG in generated/
+ */
+async function saveSvgAsPng(svg, filename) {
+  const dir = path.join(process.cwd(), 'generated');
+  const filepath = path.join(dir, filename);
+
+  await fs.mkdir(dir, { recursive: true });
+  await sharp(Buffer.from(svg)).png().toFile(filepath);
+
+  return filepath;
+}
+
+/**
+ * Split text into lines of at most maxChars (breaking on spaces)
+ */
+export function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Shorten text to maxChars with an ellipsis
+ */
+export function truncate(text, maxChars) {
+  const value = String(text || '');
+  return value.length > maxChars ? `${value.slice(0, maxChars - 1).trimEnd()}…` : value;
+}
+
+/**
+ * Escape text for use inside SVG markup
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,107 @@
+import path from 'path';
+import { getPublishedPosts } from './post-store.js';
+import { loadAreaConfig, matchPostArea } from './area-rotation.js';
+
+export const DIFFICULTIES = ['easy', 'moderate', 'challenging'];
+
+// Walk flags that can be filtered on, by query param
+export const ARCHIVE_FLAGS = {
+  dog: { field: 'dog_friendly', label: 'Dog friendly' },
+  kid: { field: 'kid_friendly', label: 'Kid friendly' },
+  pram: { field: 'pram_friendly', label: 'Pram friendly' }
+};
+
+/**
+ * Every published walk, newest first, ready for the public archive.
+ * Posts without walk data (imported from the old log) are left out. A title
+ * posted twice keeps its slug for the first walk, so links to it never move;
+ * later ones get the date added.
+ */
+export async function getArchiveWalks() {
+  const [posts, { areas }] = await Promise.all([getPublishedPosts(), loadAreaConfig()]);
+  return buildArchive(posts, areas);
+}
+
+/**
+ * Turn post records into archive entries (see getArchiveWalks)
+ */
+export function buildArchive(posts, areas = []) {
+  const seen = new Set();
+
+  // Slugs are handed out oldest first, then the list is turned newest first
+  return posts
+    .filter(post => post.walk)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .map(post => {
+      const base = post.slug || post.walk.slug || slugify(post.walkTitle);
+      const slug = seen.has(base) ? `${base}-${post.timestamp.slice(0, 10)}` : base;
+      seen.add(slug);
+
+      const area = matchPostArea(post, areas);
+      const image = post.image?.localPath || post.image?.url;
+      const map = (post.slides || []).find(slide => slide.kind === 'map');
+      const mapImage = map?.localPath || map?.url;
+
+      return {
+        slug,
+        postedAt: post.timestamp,
+        instagramPostId: post.instagramPostId,
+        area: area
+          ? { id: area.id, label: area.label.replace(/\s*\(.*\)$/, '') }
+          : { id: slugify(post.walk.area_short || post.area || 'london'), label: post.walk.area_short || post.area || 'London' },
+        imageUrl: image ? `/images/${path.basename(image)}` : null,
+        mapUrl: mapImage ? `/images/${path.basename(mapImage)}` : null,
+        walk: post.walk,
+        weather: post.weather
+      };
+    })
+    .reverse();
+}
+
+/**
+ * Read archive filters from a URL's query string:
+ * ?area=<area id>&difficulty=easy&dog=1&kid=1&pram=1
+ */
+export function parseArchiveFilters(searchParams) {
+  const difficulty = searchParams.get('difficulty');
+
+  return {
+    area: searchParams.get('area') || null,
+    difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : null,
+    flags: Object.keys(ARCHIVE_FLAGS).filter(flag => ['1', 'true', 'on'].includes(searchParams.get(flag)))
+  };
+}
+
+/**
+ * Archive entries matching every filter given
+ */
+export function filterArchiveWalks(entries, { area = null, difficulty = null, flags = [] } = {}) {
+  return entries.filter(entry =>
+    (!area || entry.area.id === area) &&
+    (!difficulty || entry.walk.difficulty === difficulty) &&
+    flags.every(flag => entry.walk[ARCHIVE_FLAGS[flag].field] === true)
+  );
+}
+
+/**
+ * The areas that have walks, for the filter dropdown: [{ id, label, count }]
+ */
+export function listArchiveAreas(entries) {
+  const areas = new Map();
+  entries.forEach(({ area }) => {
+    const existing = areas.get(area.id) || { ...area, count: 0 };
+    existing.count++;
+    areas.set(area.id, existing);
+  });
+  return [...areas.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * "Pints Above the Park!" -> "pints-above-the-park"
+ */
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
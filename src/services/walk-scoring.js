@@ -0,0 +1,279 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile } from './json-store.js';
+import { getSeason } from './calendar.js';
+
+const SCORING_CONFIG_PATH = path.join(process.cwd(), 'config', 'scoring.json');
+const SCORE_LOG_FILE = path.join('logs', 'walk-scores.jsonl');
+
+// Used for anything missing from config/scoring.json
+const DEFAULT_SCORING_CONFIG = {
+  weights: {
+    distance: 3,
+    season: 2,
+    areaVariety: 3,
+    completeness: 1,
+    directions: 1,
+    flags: 1,
+    weather: 3
+  },
+  distanceBandKm: { min: 4, max: 7, tolerance: 3 },
+  idealDirectionSteps: { min: 5, max: 7 },
+  recentPostWindow: 6,
+  seasonKeywords: {
+    winter: ['winter'],
+    spring: ['spring'],
+    summer: ['summer'],
+    autumn: ['autumn']
+  },
+  weatherPreferences: {}
+};
+
+// Nice-to-have fields that make for a better post when present
+const OPTIONAL_FIELDS = [
+  'terrain', 'difficulty', 'best_for', 'seasonality',
+  'pub_description', 'end_pub_handle'
+];
+
+/**
+ * Load scoring weights and thresholds. Every section falls back to the
+ * defaults field by field, so config/scoring.json only needs what it changes.
+ * Throws when a number in the result isn't one.
+ */
+export async function loadScoringConfig(configPath = SCORING_CONFIG_PATH) {
+  const config = mergeConfig(DEFAULT_SCORING_CONFIG, await readJsonFile(configPath, {}));
+
+  const errors = validateScoringConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Scoring config ${configPath} is invalid: ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * Problems with a (merged) scoring config, as a list of messages
+ */
+export function validateScoringConfig(config) {
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const errors = [];
+
+  for (const [component, weight] of Object.entries(config.weights)) {
+    if (!isNumber(weight) || weight < 0) errors.push(`weights.${component} must be a number of 0 or more`);
+  }
+  for (const field of ['min', 'max', 'tolerance']) {
+    if (!isNumber(config.distanceBandKm[field])) errors.push(`distanceBandKm.${field} must be a number`);
+  }
+  for (const field of ['min', 'max']) {
+    if (!isNumber(config.idealDirectionSteps[field])) errors.push(`idealDirectionSteps.${field} must be a number`);
+  }
+  if (!Number.isInteger(config.recentPostWindow) || config.recentPostWindow < 1) {
+    errors.push('recentPostWindow must be a whole number of posts');
+  }
+  for (const [season, keywords] of Object.entries(config.seasonKeywords)) {
+    if (!Array.isArray(keywords)) errors.push(`seasonKeywords.${season} must be a list`);
+  }
+
+  return errors;
+}
+
+/**
+ * Overlay `overrides` on `defaults`, merging nested objects rather than
+ * replacing them (lists and plain values are replaced)
+ */
+function mergeConfig(defaults, overrides) {
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+  const merged = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isObject(value) && isObject(defaults[key]) ? mergeConfig(defaults[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Score a single candidate walk. Each component is 0-1; the total is the
+ * weighted average scaled to 0-100. `outlook` (from describeWalkingConditions)
+ * adds a weather component when Sunday looks wet, windy, cold or sunny.
+ */
+export function scoreWalk(walk, { config = DEFAULT_SCORING_CONFIG, recentPosts = [], date = new Date(), outlook = null } = {}) {
+  const breakdown = {
+    distance: scoreDistance(walk.distance_km, config.distanceBandKm),
+    season: scoreSeason(walk, config.seasonKeywords, date),
+    areaVariety: scoreAreaVariety(walk.area_short, recentPosts, config.recentPostWindow),
+    completeness: scoreCompleteness(walk),
+    directions: scoreDirections(walk.directions, config.idealDirectionSteps),
+    flags: scoreFlags(walk)
+  };
+
+  const weather = scoreWeather(walk, outlook, config.weatherPreferences);
+  if (weather !== null) {
+    breakdown.weather = weather;
+  }
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [component, value] of Object.entries(breakdown)) {
+    const weight = config.weights[component] ?? 0;
+    weighted += weight * value;
+    totalWeight += weight;
+  }
+
+  const total = totalWeight > 0 ? Math.round((weighted / totalWeight) * 1000) / 10 : 0;
+
+  return { total, breakdown };
+}
+
+/**
+ * Score and sort candidates, best first
+ */
+export function rankWalks(walks, options = {}) {
+  return walks
+    .map(walk => ({ walk, score: scoreWalk(walk, options) }))
+    .sort((a, b) => b.score.total - a.score.total);
+}
+
+/**
+ * Record a ranking (winner and losers) so the weights can be tuned later
+ */
+export async function recordWalkRanking(ranked, config) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    weights: config.weights,
+    winner: summariseCandidate(ranked[0]),
+    candidates: ranked.map(summariseCandidate)
+  };
+
+  try {
+    await fs.mkdir(path.dirname(SCORE_LOG_FILE), { recursive: true });
+    await fs.appendFile(SCORE_LOG_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('Error logging walk scores:', error.message);
+  }
+}
+
+/**
+ * Compact record of a ranked candidate
+ */
+function summariseCandidate({ walk, score }) {
+  return {
+    walkId: walk.id,
+    walkTitle: walk.walk_title,
+    pubName: walk.end_pub_name,
+    area: walk.area_short,
+    total: score.total,
+    breakdown: score.breakdown
+  };
+}
+
+/**
+ * 1 inside the preferred distance band, falling linearly to 0 at +/- tolerance
+ */
+function scoreDistance(distanceKm, { min, max, tolerance }) {
+  if (typeof distanceKm !== 'number' || Number.isNaN(distanceKm)) return 0;
+  if (distanceKm >= min && distanceKm <= max) return 1;
+
+  const outBy = distanceKm < min ? min - distanceKm : distanceKm - max;
+  return round(Math.max(0, 1 - outBy / tolerance));
+}
+
+/**
+ * How well the walk's pitch matches the current season
+ */
+function scoreSeason(walk, seasonKeywords, date) {
+  const season = getSeason(date);
+  const keywords = seasonKeywords[season] || [season];
+  const text = [walk.seasonality, walk.best_for, walk.terrain, ...(walk.highlights || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  // Explicitly pitched at another season is worse than not mentioning one
+  const seasonality = (walk.seasonality || '').toLowerCase();
+  const otherSeasons = Object.keys(seasonKeywords).filter(s => s !== season);
+  if (!seasonality.includes(season) && otherSeasons.some(s => seasonality.includes(s))) {
+    return 0;
+  }
+
+  const hits = keywords.filter(keyword => text.includes(keyword.toLowerCase())).length;
+  return round(Math.min(1, 0.4 + hits * 0.2));
+}
+
+/**
+ * How well the walk suits Sunday's conditions, averaged over each condition:
+ * from 0.5, up for every `prefer` keyword, down for every `avoid` keyword
+ * and for each km over `maxDistanceKm`; 0 for an `avoidDifficulty`.
+ * Null when there's no outlook (or nothing notable about the weather).
+ */
+function scoreWeather(walk, outlook, preferences = {}) {
+  const conditions = (outlook?.conditions || []).filter(condition => preferences[condition]);
+  if (conditions.length === 0) return null;
+
+  const text = [walk.area, walk.terrain, walk.best_for, walk.seasonality, walk.pub_description, ...(walk.highlights || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  const hits = keywords => (keywords || []).filter(keyword => text.includes(keyword.toLowerCase())).length;
+
+  const scores = conditions.map(condition => {
+    const { prefer, avoid, maxDistanceKm, avoidDifficulty = [] } = preferences[condition];
+    if (avoidDifficulty.includes(walk.difficulty)) return 0;
+
+    let score = 0.5 + hits(prefer) * 0.25 - hits(avoid) * 0.25;
+    if (maxDistanceKm && walk.distance_km > maxDistanceKm) {
+      score -= (walk.distance_km - maxDistanceKm) * 0.25;
+    }
+    return Math.min(1, Math.max(0, score));
+  });
+
+  return round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+/**
+ * 1 for an area we haven't posted recently, lower the more recently it featured
+ */
+function scoreAreaVariety(areaShort, recentPosts, window) {
+  if (!areaShort) return 0;
+
+  const area = areaShort.toLowerCase();
+  const recent = recentPosts.slice(-window).reverse(); // most recent first
+  const index = recent.findIndex(post => {
+    const postArea = (post.area || '').toLowerCase();
+    return postArea && (postArea.includes(area) || area.includes(postArea));
+  });
+
+  if (index === -1) return 1;
+  return round(index / window);
+}
+
+/**
+ * Share of optional fields the AI actually filled in
+ */
+function scoreCompleteness(walk) {
+  const present = OPTIONAL_FIELDS.filter(field => walk[field]).length;
+  return round(present / OPTIONAL_FIELDS.length);
+}
+
+/**
+ * 1 for a followable number of steps, less for too few or too many
+ */
+function scoreDirections(directions = [], { min, max }) {
+  const count = directions.length;
+  if (count >= min && count <= max) return 1;
+  if (count < min) return round(Math.max(0, 1 - (min - count) * 0.4));
+  return round(Math.max(0, 1 - (count - max) * 0.2));
+}
+
+/**
+ * Dog, kid and pram friendly walks appeal to more people
+ */
+function scoreFlags(walk) {
+  const flags = [walk.dog_friendly, walk.kid_friendly, walk.pram_friendly];
+  return round(flags.filter(Boolean).length / flags.length);
+}
+
+/**
+ * Round to 2 decimal places
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
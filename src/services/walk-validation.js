@@ -0,0 +1,178 @@
+import path from 'path';
+import { readJsonFile } from './json-store.js';
+import { haversineKm, isPointInPolygon, isValidCoordinate } from './geo.js';
+
+const BOUNDARY_PATH = process.env.LONDON_BOUNDARY_FILE ||
+  path.join(process.cwd(), 'config', 'london-boundary.json');
+const AREAS_PATH = path.join(process.cwd(), 'config', 'london-areas.json');
+
+// Plausible walking pace including the odd stop to admire the view
+const PACE_KMH = { min: 2.5, max: 6 };
+
+// The pub waypoint must be this close to the pub itself...
+const PUB_WAYPOINT_MAX_KM = 0.5;
+// ...and straight lines between waypoints can't add up to much more than the walk
+const ROUTE_LENGTH_TOLERANCE = 1.25;
+
+let geoConfig = null;
+
+/**
+ * Load (and cache) the boundary polygon and area gazetteer
+ */
+export async function loadGeoConfig() {
+  if (!geoConfig) {
+    const boundary = await readJsonFile(BOUNDARY_PATH, null);
+    if (!boundary?.polygon?.length) {
+      throw new Error(`London boundary polygon missing or empty: ${BOUNDARY_PATH}`);
+    }
+
+    const gazetteer = await readJsonFile(AREAS_PATH, { defaultRadiusKm: 3, areas: [] });
+    geoConfig = { boundary, gazetteer };
+  }
+  return geoConfig;
+}
+
+/**
+ * Check a generated walk makes geographic sense.
+ * Returns { valid: true } or { valid: false, reason: { code, message, details } }
+ */
+export function validateWalkGeography(walk, { boundary, gazetteer }, pace = PACE_KMH) {
+  const coords = walk.location_coords;
+
+  if (!isValidCoordinate(coords)) {
+    return invalid('INVALID_COORDINATES', 'Coordinates are not valid numbers', { coords });
+  }
+
+  if (!isPointInPolygon(coords, boundary.polygon)) {
+    return invalid(
+      'OUTSIDE_LONDON',
+      `Coordinates ${coords.lat}, ${coords.lng} are outside ${boundary.name || 'the London boundary'}`,
+      { coords }
+    );
+  }
+
+  const knownArea = findKnownArea(walk.area_short, gazetteer);
+  if (knownArea) {
+    const distanceKm = haversineKm(coords, knownArea);
+    const radiusKm = knownArea.radiusKm || gazetteer.defaultRadiusKm;
+
+    if (distanceKm > radiusKm) {
+      return invalid(
+        'TOO_FAR_FROM_AREA',
+        `Coordinates are ${distanceKm.toFixed(1)} km from ${knownArea.name} (max ${radiusKm} km)`,
+        { coords, area: knownArea.name, distanceKm: Math.round(distanceKm * 10) / 10, radiusKm }
+      );
+    }
+  }
+
+  const { distance_km, duration_minutes } = walk;
+  if (!(distance_km > 0) || !(duration_minutes > 0)) {
+    return invalid('INVALID_DISTANCE', 'Distance and duration must be positive numbers', {
+      distance_km,
+      duration_minutes
+    });
+  }
+
+  const paceKmh = distance_km / (duration_minutes / 60);
+  if (paceKmh < pace.min || paceKmh > pace.max) {
+    return invalid(
+      'IMPLAUSIBLE_PACE',
+      `${distance_km} km in ${duration_minutes} mins is ${paceKmh.toFixed(1)} km/h (expected ${pace.min}-${pace.max} km/h)`,
+      { distance_km, duration_minutes, paceKmh: Math.round(paceKmh * 10) / 10 }
+    );
+  }
+
+  return validateWaypoints(walk, boundary);
+}
+
+/**
+ * Check the route's waypoints: at least a start and the pub, in that order,
+ * every one a valid coordinate inside London, the last one at the pub and
+ * the straight-line legs no longer than the walk itself (give or take).
+ * Returns { valid: true } or { valid: false, reason }.
+ */
+export function validateWaypoints(walk, boundary) {
+  const waypoints = walk.waypoints;
+
+  if (!Array.isArray(waypoints) || waypoints.length < 2) {
+    return invalid('MISSING_WAYPOINTS', 'Walk needs at least a start and a pub waypoint', { count: waypoints?.length ?? 0 });
+  }
+
+  for (const [index, waypoint] of waypoints.entries()) {
+    if (!waypoint?.name || !isValidCoordinate(waypoint)) {
+      return invalid('INVALID_WAYPOINT', `Waypoint ${index + 1} needs a name and valid coordinates`, { index, waypoint });
+    }
+    if (!isPointInPolygon(waypoint, boundary.polygon)) {
+      return invalid(
+        'WAYPOINT_OUTSIDE_LONDON',
+        `Waypoint "${waypoint.name}" (${waypoint.lat}, ${waypoint.lng}) is outside ${boundary.name || 'the London boundary'}`,
+        { index, waypoint }
+      );
+    }
+  }
+
+  const first = waypoints[0];
+  const last = waypoints[waypoints.length - 1];
+  if (first.type !== 'start' || last.type !== 'pub') {
+    return invalid('WAYPOINT_ORDER', 'Waypoints must run from the start point to the pub', {
+      first: first.type ?? null,
+      last: last.type ?? null
+    });
+  }
+
+  if (isValidCoordinate(walk.end_pub_coords)) {
+    const distanceKm = haversineKm(last, walk.end_pub_coords);
+    if (distanceKm > PUB_WAYPOINT_MAX_KM) {
+      return invalid(
+        'PUB_WAYPOINT_MISMATCH',
+        `Last waypoint is ${distanceKm.toFixed(1)} km from ${walk.end_pub_name} (max ${PUB_WAYPOINT_MAX_KM} km)`,
+        { waypoint: last, pubCoords: walk.end_pub_coords, distanceKm: Math.round(distanceKm * 10) / 10 }
+      );
+    }
+  }
+
+  const routeKm = waypoints.slice(1).reduce((sum, waypoint, i) => sum + haversineKm(waypoints[i], waypoint), 0);
+  if (routeKm > walk.distance_km * ROUTE_LENGTH_TOLERANCE) {
+    return invalid(
+      'ROUTE_TOO_LONG',
+      `Waypoints are ${routeKm.toFixed(1)} km apart in a straight line, more than the ${walk.distance_km} km walk`,
+      { routeKm: Math.round(routeKm * 10) / 10, distance_km: walk.distance_km }
+    );
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Find the gazetteer entry named in an area. An exact name wins, so
+ * "Richmond" is Richmond, not Richmond Park; otherwise the most specific
+ * (longest) name it contains, e.g. "Richmond Park" for "Richmond Park & Petersham"
+ */
+export function findKnownArea(areaShort, gazetteer) {
+  if (!areaShort) return null;
+
+  const area = normaliseAreaName(areaShort);
+  const exact = gazetteer.areas.find(entry => normaliseAreaName(entry.name) === area);
+  if (exact) return exact;
+
+  const matches = gazetteer.areas.filter(entry => {
+    const name = normaliseAreaName(entry.name);
+    return area.includes(name) || name.includes(area);
+  });
+
+  return matches.sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+/**
+ * Lowercase and strip punctuation so "Regents Park" matches "Regent's Park"
+ */
+function normaliseAreaName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a failed validation result
+ */
+function invalid(code, message, details = {}) {
+  return { valid: false, reason: { code, message, details } };
+}
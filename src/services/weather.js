@@ -1,59 +1,495 @@
 import axios from 'axios';
+import path from 'path';
+import { readJsonFile, updateJsonFile } from './json-store.js';
+import { haversineKm } from './geo.js';
+import { isOfflineMode } from './offline.js';
+
+// Recorded forecast used in offline mode
+const WEATHER_FIXTURE_PATH = path.join(process.cwd(), 'fixtures', 'weather', 'forecast.json');
+// Typical weather by month, for when there's no forecast at all
+const CLIMATOLOGY_PATH = path.join(process.cwd(), 'config', 'climatology.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where the last good forecasts are kept, and how far they stretch
+const CACHE_MAX_AGE_MS = 7 * DAY_MS;
+const CACHE_RADIUS_KM = 10;
+
+// Every value of weather.source a real post can have; anything else must never be published
+export const WEATHER_SOURCES = ['live', 'cached', 'climatology'];
+
+// Source of the fixture forecast used in offline mode
+const RECORDED_SOURCE = 'recorded';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Forecast times are shown (and Sundays worked out) in London time
+const TIMEZONE = 'Europe/London';
+const HOUR_MS = 60 * 60 * 1000;
+const SLOT_MS = 3 * HOUR_MS;
+
+// Earliest and latest sensible times to set off on a walk
+const FIRST_START_HOUR = 8;
+const LAST_START_HOUR = 17;
+
+// Start times scoring within this of the best one count as "best time"...
+const WINDOW_TOLERANCE = 0.05;
+// ...in a window no wider than this
+const MAX_WINDOW_HOURS = 2;
+
+const DEFAULT_DURATION_MINUTES = 120;
+
+// Central London, for the forecast that steers walk choice
+const LONDON_COORDS = { lat: 51.5074, lng: -0.1278 };
+
+// When Sunday counts as wet, windy, cold or sunny for walking
+const WET_RAIN_CHANCE = 50;
+const WINDY_MPH = 25;
+const COLD_MAX_TEMP = 5;
+const SUNNY_RAIN_CHANCE = 20;
+const SUNNY_MIN_TEMP = 14;
 
 /**
- * Fetch weather summary for a given location on Sunday
- * Uses OpenWeatherMap API
+ * Fetch the Sunday forecast for a walk from OpenWeatherMap.
+ *
+ * Never makes weather up. If there's no API key, the forecast doesn't reach
+ * Sunday yet or the request fails, falls back to the last good forecast
+ * cached for the area, then to typical weather for the month (clearly not a
+ * forecast). `source` on the result says which one it is:
+ * 'live', 'cached' or 'climatology' - or 'recorded' for the fixture
+ * forecast in offline mode.
  */
 export async function fetchWeatherSummary(walk) {
   const { lat, lng } = walk.location_coords;
   const apiKey = process.env.OPENWEATHER_API_KEY;
+  const options = { lat, lng, durationMinutes: walk.duration_minutes };
+
+  if (isOfflineMode()) {
+    const forecast = await loadRecordedForecast();
+    return { ...analyseSundayForecast(forecast.list, options), source: RECORDED_SOURCE, fetchedAt: new Date().toISOString() };
+  }
 
+  let reason;
   if (!apiKey) {
-    console.warn('No OpenWeatherMap API key found, using mock weather data');
-    return getMockWeather();
+    reason = 'No OpenWeatherMap API key found';
+  } else {
+    try {
+      // Get 5-day forecast
+      const response = await axios.get('https://api.openweathermap.org/data/2.5/forecast', {
+        params: {
+          lat,
+          lon: lng,
+          appid: apiKey,
+          units: 'metric'
+        }
+      });
+
+      const fetchedAt = new Date().toISOString();
+      await cacheForecast({ lat, lng, fetchedAt, list: response.data.list });
+
+      const weather = analyseSundayForecast(response.data.list, options);
+      if (weather) {
+        return { ...weather, source: 'live', fetchedAt };
+      }
+      reason = 'Forecast doesn\'t reach Sunday yet';
+    } catch (error) {
+      reason = `Error fetching weather: ${error.message}`;
+    }
   }
 
+  const cached = await findCachedForecast({ lat, lng }, options);
+  if (cached) {
+    console.warn(`⚠️  ${reason} - using the forecast cached at ${cached.fetchedAt}`);
+    return cached;
+  }
+
+  console.warn(`⚠️  ${reason} and no cached forecast for this area - using typical weather for the month`);
+  return getClimatologyWeather();
+}
+
+/**
+ * Sunday's forecast for central London, fetched before a walk is chosen so
+ * the choice can suit the weather (same fallbacks as fetchWeatherSummary)
+ */
+export async function fetchLondonForecast() {
+  return fetchWeatherSummary({ location_coords: LONDON_COORDS, duration_minutes: DEFAULT_DURATION_MINUTES });
+}
+
+/**
+ * Sort a Sunday forecast into walking conditions: any of 'wet', 'windy',
+ * 'cold', or 'sunny'. `bad` means wet or windy (no challenging walks).
+ * Typical weather for the month isn't a forecast, so it never has any.
+ * Returns { conditions, bad, summary, source }.
+ */
+export function describeWalkingConditions(weather) {
+  const conditions = [];
+
+  if (weather && weather.source !== 'climatology') {
+    const daytime = (weather.slots || []).filter(slot => slot.time >= '09:00' && slot.time <= '18:00');
+
+    if (weather.rainChance >= WET_RAIN_CHANCE) conditions.push('wet');
+    if (weather.windMph >= WINDY_MPH) conditions.push('windy');
+    if (weather.tempMax <= COLD_MAX_TEMP) conditions.push('cold');
+    if (weather.rainChance < SUNNY_RAIN_CHANCE && weather.tempMax >= SUNNY_MIN_TEMP && daytime.some(slot => slot.condition === 'clear')) {
+      conditions.push('sunny');
+    }
+  }
+
+  return {
+    conditions,
+    bad: conditions.includes('wet') || conditions.includes('windy'),
+    summary: weather?.summary || null,
+    source: weather?.source || null
+  };
+}
+
+/**
+ * Remember a live forecast so a later failed fetch for the same area can
+ * fall back to it. Entries older than a week are dropped.
+ */
+async function cacheForecast({ lat, lng, fetchedAt, list }) {
   try {
-    // Get 5-day forecast
-    const response = await axios.get('https://api.openweathermap.org/data/2.5/forecast', {
-      params: {
-        lat,
-        lon: lng,
-        appid: apiKey,
-        units: 'metric'
-      }
+    await updateJsonFile(getWeatherCachePath(), { forecasts: [] }, cache => {
+      const key = `${lat.toFixed(1)},${lng.toFixed(1)}`;
+      const cutoff = Date.now() - CACHE_MAX_AGE_MS;
+      cache.forecasts = cache.forecasts
+        .filter(entry => entry.key !== key && new Date(entry.fetchedAt).getTime() > cutoff)
+        .concat({ key, lat, lng, fetchedAt, list });
     });
+  } catch (error) {
+    console.warn('⚠️  Could not cache forecast:', error.message);
+  }
+}
 
-    // Find Sunday's forecast (or closest available)
-    const sunday = getNextSunday();
-    const sundayForecasts = response.data.list.filter(item => {
-      const forecastDate = new Date(item.dt * 1000);
-      return forecastDate.toDateString() === sunday.toDateString();
-    });
+/**
+ * The most recent cached forecast within CACHE_RADIUS_KM that covers next
+ * Sunday, analysed as usual, or null
+ */
+export async function findCachedForecast({ lat, lng }, options = {}) {
+  const cache = await readJsonFile(getWeatherCachePath(), { forecasts: [] });
 
-    if (sundayForecasts.length === 0) {
-      console.warn('No Sunday forecast found, using mock data');
-      return getMockWeather();
+  const nearby = cache.forecasts
+    .filter(entry => haversineKm({ lat, lng }, entry) <= CACHE_RADIUS_KM)
+    .sort((a, b) => new Date(b.fetchedAt) - new Date(a.fetchedAt));
+
+  for (const entry of nearby) {
+    const weather = analyseSundayForecast(entry.list, { lat, lng, ...options });
+    if (weather) {
+      return { ...weather, source: 'cached', fetchedAt: entry.fetchedAt };
     }
+  }
+  return null;
+}
+
+/**
+ * Typical London weather for next Sunday's month, from config/climatology.json.
+ * Not a forecast, so there's no best time to set off.
+ */
+export async function getClimatologyWeather(today = new Date()) {
+  const sunday = getNextSunday(today);
+  const monthIndex = sunday.getMonth();
+  const climatology = await readJsonFile(CLIMATOLOGY_PATH, null);
+  const month = climatology?.months?.[monthIndex];
+  if (!month) {
+    throw new Error(`No climatology for month ${monthIndex + 1} in ${CLIMATOLOGY_PATH}`);
+  }
 
-    // Use midday forecast (around 12:00)
-    const middayForecast = sundayForecasts.find(f => {
-      const hour = new Date(f.dt * 1000).getHours();
-      return hour >= 11 && hour <= 13;
-    }) || sundayForecasts[0];
+  const monthName = MONTH_NAMES[monthIndex];
+  const daysInMonth = new Date(sunday.getFullYear(), monthIndex + 1, 0).getDate();
+  const tempMin = Math.round(month.lowC);
+  const tempMax = Math.round(month.highC);
 
-    return formatWeatherData(middayForecast);
-  } catch (error) {
-    console.error('Error fetching weather:', error.message);
-    return getMockWeather();
+  return {
+    source: 'climatology',
+    month: monthName,
+    summary: `Usually ${tempMin}–${tempMax}°C in ${monthName}, with rain on about 1 day in ${Math.round(daysInMonth / month.rainDays)}`,
+    tip: `${month.tip} Check the forecast before you set off.`,
+    date: londonParts(sunday).date,
+    tempMin,
+    tempMax,
+    rainChance: Math.round((month.rainDays / daysInMonth) * 100),
+    windMph: null,
+    sunset: null,
+    bestWindow: null,
+    slots: []
+  };
+}
+
+/**
+ * Weather sources a post may be published with: WEATHER_SOURCES, plus the
+ * recorded forecast in offline mode (where publishing only reaches the stub)
+ */
+export function getPublishableWeatherSources() {
+  return isOfflineMode() ? [...WEATHER_SOURCES, RECORDED_SOURCE] : WEATHER_SOURCES;
+}
+
+/**
+ * How to introduce the weather in a caption, depending on where it came from:
+ * "Sunday forecast", "Sunday forecast (as of Fri 14:00)",
+ * "Typical November weather (not a forecast)" or "Recorded forecast (offline
+ * test)". Weather without a source (older drafts) counts as live.
+ */
+export function describeWeatherSource(weather) {
+  if (weather?.source === RECORDED_SOURCE) {
+    return 'Recorded forecast (offline test)';
   }
+
+  if (weather?.source === 'climatology') {
+    return `Typical ${weather.month || MONTH_NAMES[new Date(weather.date).getMonth()]} weather (not a forecast)`;
+  }
+
+  if (weather?.source === 'cached' && weather.fetchedAt) {
+    const asOf = new Intl.DateTimeFormat('en-GB', {
+      timeZone: TIMEZONE,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(new Date(weather.fetchedAt));
+    return `Sunday forecast (as of ${asOf})`;
+  }
+
+  return 'Sunday forecast';
+}
+
+/**
+ * Where recent live forecasts are cached (WEATHER_CACHE_FILE to override)
+ */
+function getWeatherCachePath() {
+  return process.env.WEATHER_CACHE_FILE || path.join(process.cwd(), 'data', 'weather-cache.json');
 }
 
 /**
- * Get next Sunday's date
+ * Look at every 3-hourly slot on Sunday and work out the best time to set off
+ * on a walk of `durationMinutes`, finishing before sunset.
+ *
+ * Returns null if the forecast doesn't reach Sunday, otherwise
+ * {
+ *   summary, tip,                      caption-ready strings
+ *   condition,                         e.g. 'clear', 'clouds', 'rain' - the slot the summary describes
+ *   date: 'YYYY-MM-DD',
+ *   tempMin, tempMax,                  °C, over daylight hours
+ *   rainChance,                        highest chance of rain (%) while out walking
+ *   windMph,                           strongest wind while out walking
+ *   sunset: 'HH:MM',
+ *   bestWindow: { start: 'HH:MM', end: 'HH:MM' } | null,   when to set off
+ *   slots: [{ time, temp, rainChance, windMph, condition, description, score }]
+ * }
  */
-function getNextSunday() {
-  const today = new Date();
+export function analyseSundayForecast(list, { lat, lng, durationMinutes, today = new Date() } = {}) {
+  const date = londonParts(getNextSunday(today)).date;
+  const sundaySlots = list.filter(item => londonParts(new Date(item.dt * 1000)).date === date);
+  if (sundaySlots.length === 0) {
+    return null;
+  }
+
+  const duration = (Number(durationMinutes) || DEFAULT_DURATION_MINUTES) * 60 * 1000;
+  const sunset = getSunsetTime(date, lat ?? LONDON_COORDS.lat, lng ?? LONDON_COORDS.lng);
+  const dayStart = londonTimeToDate(date, FIRST_START_HOUR);
+
+  // Score every whole-hour start time the forecast covers, back before sunset
+  const starts = [];
+  for (let hour = FIRST_START_HOUR; hour <= LAST_START_HOUR; hour++) {
+    const start = londonTimeToDate(date, hour);
+    const end = new Date(start.getTime() + duration);
+    if (end > sunset) break;
+
+    const covering = sundaySlots.filter(item => overlap(item, start, end) > 0);
+    const covered = covering.reduce((sum, item) => sum + overlap(item, start, end), 0);
+    if (covered < duration) continue;
+
+    const score = covering.reduce((sum, item) => sum + scoreSlot(item) * overlap(item, start, end), 0) / duration;
+    starts.push({ hour, start, end, score, covering });
+  }
+
+  const best = starts.reduce((top, s) => (!top || s.score > top.score ? s : top), null);
+  const window = best ? findBestWindow(starts, best) : null;
+  // A single best start time still gets an hour's leeway
+  const windowEnd = window && (window.length > 1
+    ? window[window.length - 1].start
+    : new Date(window[0].start.getTime() + HOUR_MS));
+
+  // Describe the weather for the best window (or the middle of the day)
+  const walking = best
+    ? sundaySlots.filter(item => window.some(s => s.covering.includes(item)))
+    : sundaySlots.filter(item => new Date(item.dt * 1000) >= dayStart && new Date(item.dt * 1000) < sunset);
+  const described = walking.length > 0 ? walking : sundaySlots;
+  const main = best?.covering[0] || pickMiddaySlot(described);
+
+  const daylight = sundaySlots.filter(item => new Date((item.dt * 1000) + SLOT_MS) > dayStart && new Date(item.dt * 1000) < sunset);
+  const temps = (daylight.length > 0 ? daylight : sundaySlots).map(item => Math.round(item.main.temp));
+  const rainChance = Math.round(Math.max(...described.map(item => item.pop || 0)) * 100);
+  const windMph = Math.max(...described.map(item => toMph(item.wind.speed)));
+
+  const { summary } = formatWeatherData(main);
+  const tip = getTipForConditions(main.weather[0].main.toLowerCase(), Math.round(main.main.temp), windMph, rainChance / 100);
+
+  return {
+    summary,
+    tip,
+    condition: main.weather[0].main.toLowerCase(),
+    date,
+    tempMin: Math.min(...temps),
+    tempMax: Math.max(...temps),
+    rainChance,
+    windMph,
+    sunset: londonParts(sunset).time,
+    bestWindow: window
+      ? { start: londonParts(window[0].start).time, end: londonParts(windowEnd).time }
+      : null,
+    slots: sundaySlots.map(item => ({
+      time: londonParts(new Date(item.dt * 1000)).time,
+      temp: Math.round(item.main.temp),
+      rainChance: Math.round((item.pop || 0) * 100),
+      windMph: toMph(item.wind.speed),
+      condition: item.weather[0].main.toLowerCase(),
+      description: item.weather[0].description,
+      score: Math.round(scoreSlot(item) * 100) / 100
+    }))
+  };
+}
+
+/**
+ * How good a 3-hour slot is for walking, from 0 (awful) to 1 (ideal):
+ * dry, light winds, mild, no storms or snow
+ */
+function scoreSlot(item) {
+  const temp = item.main.temp;
+  const windMph = toMph(item.wind.speed);
+  const rainMm = item.rain?.['3h'] || item.snow?.['3h'] || 0;
+  const condition = item.weather[0].main.toLowerCase();
+
+  let score = 1;
+  score -= (item.pop || 0) * 0.5;
+  score -= Math.min(rainMm / 5, 1) * 0.2;
+  score -= windMph > 25 ? 0.2 : windMph > 15 ? 0.1 : 0;
+  score -= Math.min(Math.abs(temp - 16) / 20, 1) * 0.15;
+  if (condition === 'thunderstorm') score -= 0.3;
+  if (condition === 'snow') score -= 0.2;
+
+  return Math.max(0, score);
+}
+
+/**
+ * The run of consecutive start times around the best one that are (nearly)
+ * as good, spanning at most MAX_WINDOW_HOURS
+ */
+function findBestWindow(starts, best) {
+  const index = starts.indexOf(best);
+  const good = s => s && best.score - s.score <= WINDOW_TOLERANCE;
+
+  let first = index;
+  let last = index;
+  while (good(starts[first - 1]) && starts[first - 1].hour === starts[first].hour - 1 && best.hour - starts[first - 1].hour <= MAX_WINDOW_HOURS) first--;
+  while (good(starts[last + 1]) && starts[last + 1].hour === starts[last].hour + 1 && starts[last + 1].hour - starts[first].hour <= MAX_WINDOW_HOURS) last++;
+
+  return starts.slice(first, last + 1);
+}
+
+/**
+ * Milliseconds of a 3-hour forecast slot that fall between start and end
+ */
+function overlap(item, start, end) {
+  const slotStart = item.dt * 1000;
+  return Math.max(0, Math.min(slotStart + SLOT_MS, end.getTime()) - Math.max(slotStart, start.getTime()));
+}
+
+/**
+ * The slot nearest midday (around 12:00)
+ */
+function pickMiddaySlot(slots) {
+  return slots.find(item => {
+    const hour = londonParts(new Date(item.dt * 1000)).hour;
+    return hour >= 11 && hour <= 13;
+  }) || slots[0];
+}
+
+/**
+ * Sunset for a date ('YYYY-MM-DD') and place, using NOAA's sunrise equation
+ * (accurate to within a few minutes - plenty for "back before dark")
+ */
+export function getSunsetTime(date, lat, lng) {
+  const [year, month, day] = date.split('-').map(Number);
+  const midnight = Date.UTC(year, month - 1, day);
+  const dayOfYear = Math.round((midnight - Date.UTC(year, 0, 0)) / DAY_MS);
+  const rad = Math.PI / 180;
+
+  const gamma = (2 * Math.PI / 365) * (dayOfYear - 1);
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+    - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+    - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+    - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const cosHourAngle = Math.cos(90.833 * rad) / (Math.cos(lat * rad) * Math.cos(declination))
+    - Math.tan(lat * rad) * Math.tan(declination);
+  const hourAngle = Math.acos(Math.min(1, Math.max(-1, cosHourAngle))) / rad;
+
+  const sunsetMinutes = 720 - 4 * (lng - hourAngle) - eqTime;
+  return new Date(midnight + sunsetMinutes * 60 * 1000);
+}
+
+/**
+ * A time's date ('YYYY-MM-DD'), hour and 'HH:MM' in London
+ */
+function londonParts(time) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(time).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * The moment it's `hour`:00 in London on a date ('YYYY-MM-DD')
+ */
+function londonTimeToDate(date, hour) {
+  const [year, month, day] = date.split('-').map(Number);
+  const utc = new Date(Date.UTC(year, month - 1, day, hour));
+  const offsetHours = londonParts(utc).hour - hour;
+  return new Date(utc.getTime() - offsetHours * HOUR_MS);
+}
+
+/**
+ * m/s to mph, rounded
+ */
+function toMph(metresPerSecond) {
+  return Math.round(metresPerSecond * 2.237);
+}
+
+/**
+ * Load the recorded forecast, shifted so its Sunday is next Sunday
+ */
+async function loadRecordedForecast() {
+  const fixture = await readJsonFile(WEATHER_FIXTURE_PATH, null);
+  if (!fixture) {
+    throw new Error(`Weather fixture not found: ${WEATHER_FIXTURE_PATH}`);
+  }
+
+  const recordedSunday = new Date(`${fixture.recordedFor}T12:00:00`);
+  const days = Math.round((getNextSunday() - recordedSunday) / DAY_MS);
+  const offsetSeconds = days * DAY_MS / 1000;
+
+  console.log(`📼 Using recorded forecast from ${fixture.recordedFor}`);
+  return {
+    ...fixture.forecast,
+    list: fixture.forecast.list.map(item => ({ ...item, dt: item.dt + offsetSeconds }))
+  };
+}
+
+/**
+ * Get next Sunday's date (midday). On a Sunday, that's the following Sunday.
+ */
+export function getNextSunday(today = new Date()) {
   const daysUntilSunday = (7 - today.getDay()) % 7 || 7;
   const sunday = new Date(today);
   sunday.setDate(today.getDate() + daysUntilSunday);
@@ -64,12 +500,12 @@ function getNextSunday() {
 /**
  * Format weather API response into caption-ready strings
  */
-function formatWeatherData(forecast) {
+export function formatWeatherData(forecast) {
   const temp = Math.round(forecast.main.temp);
   const feelsLike = Math.round(forecast.main.feels_like);
   const description = forecast.weather[0].description;
   const mainCondition = forecast.weather[0].main.toLowerCase();
-  const windSpeed = Math.round(forecast.wind.speed * 2.237); // Convert m/s to mph
+  const windSpeed = toMph(forecast.wind.speed);
 
   // Build summary
   let summary = `${capitalizeFirst(description)}, ${temp}°C`;
@@ -86,7 +522,7 @@ function formatWeatherData(forecast) {
 /**
  * Generate appropriate weather tip based on conditions
  */
-function getTipForConditions(condition, temp, windSpeed, precipProbability) {
+export function getTipForConditions(condition, temp, windSpeed, precipProbability) {
   const tips = [];
 
   // Temperature tips
@@ -124,21 +560,6 @@ function getTipForConditions(condition, temp, windSpeed, precipProbability) {
     : 'Check conditions on the day and dress accordingly.';
 }
 
-/**
- * Mock weather data for testing/fallback
- */
-function getMockWeather() {
-  const conditions = [
-    { summary: "Cool and bright, 11°C with sunny spells", tip: "Pack a layer and maybe some waterproof boots." },
-    { summary: "Mild and partly cloudy, 15°C", tip: "Perfect walking weather – just bring a light jacket." },
-    { summary: "Crisp and clear, 8°C", tip: "Pack warm layers and gloves – it'll be chilly in the shade." },
-    { summary: "Grey but dry, 13°C", tip: "Overcast but comfortable – a jumper should do it." },
-    { summary: "Light rain expected, 10°C", tip: "Waterproofs and boots essential – embrace the mud!" }
-  ];
-
-  return conditions[Math.floor(Math.random() * conditions.length)];
-}
-
 /**
  * Capitalize first letter of string
  */
@@ -1,46 +1,39 @@
-import fs from 'fs/promises';
-import path from 'path';
+import { loadPosts } from './services/post-store.js';
+import { groupPostsByPub } from './services/pub-matching.js';
 
 /**
  * Display all pubs that have been posted
  */
 async function showUsedPubs() {
-  const logPath = path.join(process.cwd(), 'logs', 'posts.jsonl');
-  
   try {
-    const data = await fs.readFile(logPath, 'utf-8');
-    const lines = data.trim().split('\n');
-    const posts = lines.map(line => JSON.parse(line));
+    const { posts: allPosts, corrupt } = await loadPosts();
+    const posts = allPosts.filter(post => post.mode !== 'development');
+
+    if (posts.length === 0) {
+      console.log('\n📝 No posts yet! Run "npm run test-post" or "npm start" to generate your first walk.\n');
+      return;
+    }
     
     console.log('\n🍺 Sunday Pub Walks - Pub History\n');
     console.log('=' .repeat(60));
-    console.log(`Total posts: ${posts.length}\n`);
+    console.log(`Total posts: ${posts.length}`);
+    if (corrupt.length > 0) {
+      console.log(`⚠️  ${corrupt.length} corrupt record(s) skipped - see warnings above`);
+    }
+    console.log('');
     
-    // Group by pub
-    const pubMap = new Map();
-    posts.forEach(post => {
-      if (post.pubName) {
-        if (!pubMap.has(post.pubName)) {
-          pubMap.set(post.pubName, []);
-        }
-        pubMap.get(post.pubName).push({
-          date: new Date(post.timestamp).toLocaleDateString(),
-          walk: post.walkTitle,
-          area: post.area
-        });
-      }
-    });
+    // Group by pub, treating near-identical names/locations as the same pub
+    // ("The Spaniards Inn" and "Spaniard's Inn" are one pub, a Crown in Soho
+    // and a Crown in Islington are two)
+    const pubs = groupPostsByPub(posts);
     
     // Display each pub
-    const sortedPubs = Array.from(pubMap.entries()).sort((a, b) => 
-      a[0].localeCompare(b[0])
-    );
-    
-    sortedPubs.forEach(([pubName, visits]) => {
-      console.log(`📍 ${pubName}`);
-      visits.forEach(visit => {
-        console.log(`   • ${visit.date} - ${visit.walk}`);
-        console.log(`     (${visit.area})`);
+    pubs.forEach(({ name: pubName, label, visits }) => {
+      console.log(`📍 ${label}`);
+      visits.forEach(({ name, post }) => {
+        const spelling = name !== pubName ? ` [as "${name}"]` : '';
+        console.log(`   • ${new Date(post.timestamp).toLocaleDateString()} - ${post.walkTitle}${spelling}`);
+        console.log(`     (${post.area})`);
       });
       if (visits.length > 1) {
         console.log(`   ⚠️  Used ${visits.length} times!`);
@@ -49,14 +42,14 @@ async function showUsedPubs() {
     });
     
     console.log('=' .repeat(60));
-    console.log(`\n✅ ${pubMap.size} unique pubs featured`);
+    console.log(`\n✅ ${pubs.length} unique pubs featured`);
     
     // Show duplicates if any
-    const duplicates = Array.from(pubMap.entries()).filter(([_, visits]) => visits.length > 1);
+    const duplicates = pubs.filter(({ visits }) => visits.length > 1);
     if (duplicates.length > 0) {
       console.log(`⚠️  ${duplicates.length} pubs used multiple times:\n`);
-      duplicates.forEach(([pubName, visits]) => {
-        console.log(`   • ${pubName} (${visits.length} times)`);
+      duplicates.forEach(({ label, visits }) => {
+        console.log(`   • ${label} (${visits.length} times)`);
       });
     } else {
       console.log('🎉 No duplicates - every pub is unique!');
@@ -65,11 +58,8 @@ async function showUsedPubs() {
     console.log('\n');
     
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('\n📝 No posts yet! Run "npm test" or "npm start" to generate your first walk.\n');
-    } else {
-      console.error('Error reading logs:', error.message);
-    }
+    console.error('Error reading post history:', error.message);
+    process.exitCode = 1;
   }
 }
 
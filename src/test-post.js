@@ -5,32 +5,51 @@ dotenv.config();
 
 // THEN import the app
 import { publishSundayWalkPost } from './index.js';
+import { isOfflineMode, startOfflineServices } from './services/offline.js';
 
 /**
  * Test script to manually trigger post generation
- * Useful for testing without waiting for the cron schedule
+ * Useful for testing without waiting for the cron schedule.
+ * Run with --offline (or OFFLINE_MODE=true) to use fixtures and stubs only.
  */
 async function testPost() {
+  const offline = process.argv.includes('--offline') || isOfflineMode();
+  const services = offline ? await startOfflineServices() : null;
+
   console.log('🧪 Manual test run - generating a Sunday Pub Walk post');
-  console.log('🤖 This will use AI to generate a completely new walk!');
-  console.log('⚠️  Content will be created but NOT posted to Instagram (development mode)');
-  console.log('💡 To post for real, set NODE_ENV=production in .env\n');
-  
-  // Ensure we're in development mode for testing
-  process.env.NODE_ENV = 'development';
+
+  if (offline) {
+    // Nothing leaves this machine, so go through the real publishing path
+    console.log('📤 Publishing to the local Graph API stub\n');
+    process.env.NODE_ENV = 'production';
+  } else {
+    console.log('🤖 This will use AI to generate a completely new walk!');
+    console.log('⚠️  Content will be created but NOT posted to Instagram (development mode)');
+    console.log('💡 To post for real, set NODE_ENV=production in .env\n');
+
+    // Ensure we're in development mode for testing
+    process.env.NODE_ENV = 'development';
+  }
   
   try {
     const result = await publishSundayWalkPost();
     
     console.log('\n✅ Test completed successfully!');
     console.log('Result:', result);
-    console.log('\nCheck the generated/ directory for the image and caption files.');
-    console.log('🎉 Every test generates a completely unique walk!\n');
+    if (services) {
+      console.log('\nCheck the generated/ directory for the image and slides.');
+      console.log(`📼 Graph API stub received ${services.requests.length} requests`);
+    } else {
+      console.log('\nCheck the generated/ directory for the image and caption files.');
+      console.log('🎉 Every test generates a completely unique walk!\n');
+    }
     
   } catch (error) {
     console.error('\n❌ Test failed:', error.message);
     process.exit(1);
   }
+
+  await services?.stop();
 }
 
 testPost();
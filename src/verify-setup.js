@@ -1,5 +1,7 @@
 import dotenv from 'dotenv';
 import axios from 'axios';
+import { checkAccessToken } from './services/instagram.js';
+import { getLLMConfig } from './services/llm/index.js';
 
 dotenv.config();
 
@@ -9,14 +11,20 @@ dotenv.config();
 function checkEnvironmentVariables() {
   console.log('1️⃣  Checking environment variables...\n');
   
+  const llm = getLLMConfig();
+  const usesOpenAI = [llm.textProvider, llm.imageProvider].includes('openai');
+
   const required = {
     'INSTAGRAM_ACCESS_TOKEN': process.env.INSTAGRAM_ACCESS_TOKEN,
     'INSTAGRAM_ACCOUNT_ID': process.env.INSTAGRAM_ACCOUNT_ID,
-    'OPENAI_API_KEY': process.env.OPENAI_API_KEY,
+    ...(usesOpenAI && { 'OPENAI_API_KEY': process.env.OPENAI_API_KEY }),
     'OPENWEATHER_API_KEY': process.env.OPENWEATHER_API_KEY
   };
   
   const optional = {
+    'LLM_PROVIDER': `${llm.textProvider} (${llm.textModel}, temperature ${llm.temperature})`,
+    'LLM_IMAGE_PROVIDER': `${llm.imageProvider} (${llm.imageModel})`,
+    'INSTAGRAM_APP_ID': process.env.INSTAGRAM_APP_ID ? 'set (token auto-refresh enabled)' : 'not set (token auto-refresh disabled)',
     'POST_SCHEDULE': process.env.POST_SCHEDULE || '0 10 * * 6 (default)',
     'NODE_ENV': process.env.NODE_ENV || 'development (default)'
   };
@@ -79,7 +87,21 @@ async function checkInstagramAccess() {
     
     console.log(`   ✅ Connected to Instagram account: @${response.data.username}`);
     console.log(`   ✅ Account name: ${response.data.name}`);
-    console.log(`   ✅ Account ID: ${response.data.id}\n`);
+    console.log(`   ✅ Account ID: ${response.data.id}`);
+
+    try {
+      const token = await checkAccessToken();
+      if (token.expiresAt) {
+        const expiry = new Date(token.expiresAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+        const icon = token.daysRemaining <= 10 ? '⚠️ ' : '✅';
+        console.log(`   ${icon} Token expires: ${expiry} (${token.daysRemaining} days left)\n`);
+      } else {
+        console.log('   ✅ Token expires: never\n');
+      }
+    } catch (error) {
+      console.log(`   ⚠️  Could not check token expiry: ${error.message}\n`);
+    }
+
     return true;
     
   } catch (error) {
@@ -100,6 +122,12 @@ async function checkOpenAIAccess() {
   console.log('3️⃣  Checking OpenAI API access...\n');
   
   const apiKey = process.env.OPENAI_API_KEY;
+  const llm = getLLMConfig();
+
+  if (![llm.textProvider, llm.imageProvider].includes('openai')) {
+    console.log(`   ℹ️  Not using OpenAI (LLM_PROVIDER=${llm.textProvider}, LLM_IMAGE_PROVIDER=${llm.imageProvider}), skipping check\n`);
+    return true;
+  }
   
   if (!apiKey) {
     console.log('   ⚠️  OpenAI API key not configured, skipping check\n');
@@ -212,7 +240,7 @@ async function verifySetup() {
     console.log('🤖 This bot uses AI to generate walks on-demand!');
     console.log('   Every post will be unique and completely generated by AI.\n');
     console.log('Next steps:');
-    console.log('  1. Run "npm test" to generate a test post');
+    console.log('  1. Run "npm run test-post" to generate a test post');
     console.log('  2. Once happy, set NODE_ENV=production in .env');
     console.log('  3. Run "npm start" to start the scheduler\n');
   } else {
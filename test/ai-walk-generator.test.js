@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWalkGenerationPrompt, describeWalkArea, describeWeatherRationale, formatWalkData } from '../src/services/ai-walk-generator.js';
+import { findWalkArea, loadAreaConfig } from '../src/services/area-rotation.js';
+
+const walkData = {
+  walk_title: "Pints Above the Park!",
+  area: 'Primrose Hill, North London',
+  area_short: 'Primrose Hill',
+  start_point: 'Chalk Farm tube station',
+  end_pub_name: 'The Princess of Wales',
+  distance_km: 3.5,
+  duration_minutes: 60,
+  highlights: ['Skyline views', 'Regent\'s Park', 'Village pub'],
+  landmarks_for_prompt: ['Primrose Hill', 'London skyline'],
+  location_coords: { lat: 51.5394, lng: -0.1608 },
+  directions: ['One', 'Two', 'Three', 'Four']
+};
+
+describe('formatWalkData', () => {
+  test('adds an id and a slug from the title', () => {
+    const walk = formatWalkData(walkData);
+    assert.match(walk.id, /^walk-\d+$/);
+    assert.equal(walk.slug, 'pints-above-the-park');
+    assert.equal(walk.end_pub_name, 'The Princess of Wales');
+  });
+
+  for (const field of ['walk_title', 'area', 'area_short', 'start_point', 'end_pub_name', 'distance_km',
+    'duration_minutes', 'highlights', 'landmarks_for_prompt', 'location_coords', 'directions']) {
+    test(`rejects a walk missing ${field}`, () => {
+      const { [field]: _removed, ...incomplete } = walkData;
+      assert.throws(() => formatWalkData(incomplete), new RegExp(`missing required field: ${field}`));
+    });
+  }
+
+  test('rejects missing coordinates', () => {
+    assert.throws(() => formatWalkData({ ...walkData, location_coords: { lat: 51.5 } }), /invalid coordinates/);
+  });
+
+  test('rejects fewer than 2 highlights', () => {
+    assert.throws(() => formatWalkData({ ...walkData, highlights: ['Just one'] }), /at least 2 highlights/);
+  });
+
+  test('rejects fewer than 4 direction steps', () => {
+    assert.throws(() => formatWalkData({ ...walkData, directions: ['One', 'Two', 'Three'] }), /at least 4 direction steps/);
+  });
+});
+
+describe('weather-aware walk generation', () => {
+  const wetAndWindy = { conditions: ['wet', 'windy'], bad: true, summary: 'Moderate rain, 9°C', source: 'live' };
+
+  test('asks for a walk that suits Sunday\'s forecast', () => {
+    const prompt = buildWalkGenerationPrompt([], null, 'North London', wetAndWindy);
+
+    assert.match(prompt, /SUNDAY'S FORECAST: Moderate rain, 9°C/);
+    assert.match(prompt, /Rain is likely - keep it short/);
+    assert.match(prompt, /Strong winds are forecast/);
+    assert.match(prompt, /not "challenging"/);
+  });
+
+  test('leaves the forecast out when nothing about it is notable', () => {
+    const prompt = buildWalkGenerationPrompt([], null, 'North London', { conditions: [], bad: false, summary: 'Scattered clouds, 12°C', source: 'live' });
+    assert.doesNotMatch(prompt, /SUNDAY'S FORECAST/);
+    assert.doesNotMatch(buildWalkGenerationPrompt(), /SUNDAY'S FORECAST/);
+  });
+
+  test('explains how the weather steered the choice', () => {
+    assert.equal(
+      describeWeatherRationale(wetAndWindy, 0.75),
+      'Sunday looks wet and windy (Moderate rain, 9°C) - preferring sheltered, shorter walks with a cosy pub, sheltered routes away from exposed heaths and hilltops; no challenging walks. Weather fit 0.75'
+    );
+    assert.equal(
+      describeWeatherRationale({ conditions: ['sunny'], bad: false, summary: 'Clear sky, 19°C', source: 'cached' }),
+      'Sunday looks sunny (Clear sky, 19°C, cached forecast) - preferring riverside walks and pub terraces'
+    );
+    assert.match(describeWeatherRationale({ conditions: [], bad: false, summary: 'Usually 5–11°C', source: 'climatology' }), /^No forecast for Sunday yet/);
+    assert.equal(describeWeatherRationale(null), null);
+  });
+});
+
+describe('area rotation for a generated walk', () => {
+  const chosen = { id: 'central-parks', reason: 'central-parks not featured in the last 0 posts' };
+
+  test('finds the area the walk is actually in', async () => {
+    const { areas } = await loadAreaConfig();
+
+    assert.equal(findWalkArea(walkData, 'north-london', areas).id, 'north-london');
+    assert.equal(findWalkArea({ area: 'Richmond Park', area_short: 'Richmond' }, 'central-parks', areas).id, 'south-west-london');
+    assert.equal(findWalkArea({ area: 'Richmond riverside', area_short: 'Richmond' }, 'thames-path', areas).id, 'thames-path', 'the chosen area wins when the walk fits it');
+    assert.equal(findWalkArea({ area: 'Epsom Downs', area_short: 'Epsom' }, 'central-parks', areas), null);
+  });
+
+  test('puts the walk\'s own area on cooldown, not the one asked for', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(describeWalkArea(chosen, { id: 'central-parks' }), chosen);
+    assert.deepEqual(describeWalkArea(chosen, { id: 'south-west-london' }), {
+      id: 'south-west-london',
+      reason: 'asked for central-parks (central-parks not featured in the last 0 posts), but the walk is in south-west-london'
+    });
+    assert.equal(describeWalkArea(chosen, null).id, null);
+  });
+});
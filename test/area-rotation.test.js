@@ -0,0 +1,70 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseArea } from '../src/services/area-rotation.js';
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+const config = {
+  defaultCooldownDays: 21,
+  recentPostWindow: 20,
+  areas: [
+    { id: 'north-london', label: 'North London', keywords: ['hampstead'] },
+    { id: 'east-london', label: 'East London', keywords: ['hackney'] },
+    { id: 'thames-path', label: 'Thames Path', keywords: ['thames'], cooldownDays: 7 }
+  ]
+};
+
+/**
+ * A logged post in an area, `daysAgo` days before now
+ */
+function postIn(areaId, daysAgo) {
+  return { areaId, timestamp: new Date(now - daysAgo * 24 * 60 * 60 * 1000).toISOString() };
+}
+
+describe('chooseArea', () => {
+  test('skips areas used within their cooldown', () => {
+    const posts = [postIn('north-london', 20), postIn('thames-path', 6)];
+    const chosen = chooseArea(config, posts, { now, random: () => 0 });
+
+    assert.equal(chosen.id, 'east-london');
+    assert.match(chosen.reason, /100% chance among 1 eligible areas; on cooldown: north-london \(1d left\), thames-path \(1d left\)/);
+  });
+
+  test('brings an area back once its cooldown is over', () => {
+    const posts = [postIn('east-london', 1), postIn('north-london', 21), postIn('thames-path', 7)];
+    const chosen = chooseArea(config, posts, { now, random: () => 0 });
+
+    assert.equal(chosen.id, 'north-london');
+    assert.match(chosen.reason, /among 2 eligible areas; on cooldown: east-london \(20d left\)$/);
+  });
+
+  test('takes whichever area comes off cooldown first when all are on one', () => {
+    const posts = [postIn('north-london', 2), postIn('east-london', 15), postIn('thames-path', 1)];
+    assert.equal(chooseArea(config, posts, { now, random: () => 0 }).id, 'east-london');
+  });
+
+  test('favours an area never used before over ones already featured', () => {
+    const posts = [postIn('north-london', 60), postIn('north-london', 40), postIn('thames-path', 30)];
+    // Weights: north-london 1/3, east-london 1, thames-path 1/2
+    const chosen = chooseArea(config, posts, { now, random: () => 0.5 });
+
+    assert.equal(chosen.id, 'east-london');
+    assert.equal(chosen.label, 'East London');
+    assert.match(chosen.reason, /^east-london not featured in the last 3 posts; 55% chance among 3 eligible areas$/);
+  });
+
+  test('treats every area as new without any posts', () => {
+    const chosen = chooseArea(config, [], { now, random: () => 0.99 });
+
+    assert.equal(chosen.id, 'thames-path');
+    assert.match(chosen.reason, /not featured in the last 0 posts; 33% chance among 3 eligible areas$/);
+  });
+
+  test('only counts posts inside the recent window', () => {
+    // Posts are logged oldest first
+    const posts = [postIn('east-london', 10), postIn('thames-path', 8), postIn('north-london', 2)];
+    const chosen = chooseArea({ ...config, recentPostWindow: 2 }, posts, { now, random: () => 0 });
+
+    assert.equal(chosen.id, 'east-london', 'the east-london post is outside the window');
+  });
+});
@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSeason, pickForSunday } from '../src/services/calendar.js';
+
+const ITEMS = ['a', 'b', 'c'];
+
+/**
+ * A Saturday morning `weeks` weeks after 4 January 2025
+ */
+function saturday(weeks) {
+  return new Date(2025, 0, 4 + weeks * 7, 9);
+}
+
+describe('pickForSunday', () => {
+  test('takes each item in turn, week by week', () => {
+    const picked = [0, 1, 2].map(week => pickForSunday(ITEMS, saturday(week)));
+    assert.deepEqual([...picked].sort(), ITEMS);
+  });
+
+  test('keeps the same item for every day ahead of a given Sunday', () => {
+    assert.equal(pickForSunday(ITEMS, new Date(2025, 0, 6, 9)), pickForSunday(ITEMS, new Date(2025, 0, 11, 9)));
+  });
+
+  test('a shifted rotation still uses every item once a cycle', () => {
+    // Cycles start on the week the unshifted rotation is back to the first item
+    const start = [0, 1, 2].find(week => pickForSunday(ITEMS, saturday(week)) === ITEMS[0]);
+    const cycle = [0, 1, 2].map(week => pickForSunday(ITEMS, saturday(start + week), { shift: 1 }));
+    assert.deepEqual([...cycle].sort(), ITEMS);
+  });
+
+  test('two rotations of the same length do not stay paired when one is shifted', () => {
+    const pairs = Array.from({ length: 9 }, (_, week) =>
+      `${pickForSunday(ITEMS, saturday(week))}/${pickForSunday(ITEMS, saturday(week), { shift: 1 })}`);
+    assert.equal(new Set(pairs).size, 9, pairs.join(' '));
+  });
+});
+
+describe('getSeason', () => {
+  test('splits the year into meteorological seasons', () => {
+    const seasons = Array.from({ length: 12 }, (_, month) => getSeason(new Date(2025, month, 15)));
+    assert.deepEqual(seasons, [
+      'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+      'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'
+    ]);
+  });
+});
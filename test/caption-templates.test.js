@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  listCaptionStyles,
+  parseCaptionTemplate,
+  renderTemplate,
+  resolveCaptionStyle
+} from '../src/services/caption-templates.js';
+
+describe('parseCaptionTemplate', () => {
+  test('splits the template into sections in order', () => {
+    const sections = parseCaptionTemplate('[header]\nHello {{walk.walk_title}}\n\n[hashtags]\n{{hashtags}}\n');
+
+    assert.deepEqual(sections, [
+      { id: 'header', template: 'Hello {{walk.walk_title}}' },
+      { id: 'hashtags', template: '{{hashtags}}' }
+    ]);
+  });
+
+  test('keeps blank lines inside a section', () => {
+    const [header] = parseCaptionTemplate('[header]\nTitle\n\nWhere\n');
+    assert.equal(header.template, 'Title\n\nWhere');
+  });
+
+  test('rejects text before the first section and repeated sections', () => {
+    assert.throws(() => parseCaptionTemplate('Hello\n[header]\nx', 'bad'), /text before its first \[section\] \(line 1\)/);
+    assert.throws(() => parseCaptionTemplate('[header]\nx\n[header]\ny', 'bad'), /section \[header\] twice/);
+    assert.throws(() => parseCaptionTemplate('\n\n', 'bad'), /no sections/);
+  });
+});
+
+describe('renderTemplate', () => {
+  const values = {
+    walk: { walk_title: 'Heath to Hearth', highlights: ['views', 'woods'] },
+    weather: { summary: 'Dry, 12°C' },
+    hashtags: '#one #two'
+  };
+
+  test('fills in values and walk/weather fields', () => {
+    assert.equal(
+      renderTemplate('{{walk.walk_title}}: {{ weather.summary }}\n{{hashtags}}', values),
+      'Heath to Hearth: Dry, 12°C\n#one #two'
+    );
+  });
+
+  test('renders missing optional fields empty and lists comma-separated', () => {
+    assert.equal(renderTemplate('Made for: {{walk.best_for?}} {{walk.highlights}}', values), 'Made for:  views, woods');
+  });
+
+  test('leaves out lines whose placeholders are all empty', () => {
+    assert.equal(
+      renderTemplate('{{walk.walk_title}}\nMade for: {{walk.best_for}}\nForecast: {{weather.summary}}', values),
+      'Heath to Hearth\nForecast: Dry, 12°C'
+    );
+  });
+
+  test('leaves out lines with any required placeholder empty', () => {
+    assert.equal(
+      renderTemplate('Forecast: {{weather.summary}}\nBest time to set off: {{best_time}} (sunset {{weather.sunset}})', {
+        ...values,
+        best_time: '',
+        weather: { ...values.weather, sunset: '16:19' }
+      }),
+      'Forecast: Dry, 12°C'
+    );
+    assert.equal(renderTemplate('{{walk.walk_title}}. {{walk.pub_description?}}', values), 'Heath to Hearth.');
+  });
+
+  test('throws on unknown placeholders', () => {
+    assert.throws(() => renderTemplate('{{hastags}}', values), /Unknown caption placeholder \{\{hastags\}\}/);
+    assert.throws(() => renderTemplate('{{pub.name}}', values), /Unknown caption placeholder \{\{pub\.name\}\}/);
+  });
+});
+
+describe('caption styles', () => {
+  test('ships the classic, short and story styles', async () => {
+    assert.deepEqual(await listCaptionStyles(), ['classic', 'short', 'story']);
+  });
+
+  test('uses CAPTION_STYLE as given, defaulting to classic', async () => {
+    assert.equal(await resolveCaptionStyle(undefined), 'classic');
+    assert.equal(await resolveCaptionStyle('story'), 'story');
+  });
+
+  test('rotates through every style week by week', async () => {
+    const styles = [];
+    for (let week = 0; week < 3; week++) {
+      const saturday = new Date(2025, 0, 4 + week * 7, 9);
+      styles.push(await resolveCaptionStyle('rotate', saturday));
+    }
+    assert.deepEqual([...styles].sort(), ['classic', 'short', 'story']);
+  });
+
+  test('keeps the same style for every day ahead of a given Sunday', async () => {
+    const monday = await resolveCaptionStyle('rotate', new Date(2025, 0, 6, 9));
+    const saturday = await resolveCaptionStyle('rotate', new Date(2025, 0, 11, 9));
+    assert.equal(monday, saturday);
+  });
+});
@@ -0,0 +1,274 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCaption, composeCaption, refreshFirstComment, validateCaption, CAPTION_LIMIT } from '../src/services/caption.js';
+
+const walk = {
+  walk_title: 'Heath to Hearth',
+  area: 'Hampstead Heath, North London',
+  area_short: 'Hampstead Heath',
+  start_point: 'Hampstead tube station',
+  end_pub_name: 'The Spaniards Inn',
+  end_pub_handle: '@thespaniardsinn',
+  distance_km: 4.5,
+  duration_minutes: 75,
+  terrain: 'Heath paths and woodland',
+  difficulty: 'moderate',
+  highlights: ['Views from Parliament Hill', 'Ancient woodland', 'Historic pub finish'],
+  best_for: 'Big views and a cosy finish',
+  seasonality: 'Golden autumn colours',
+  dog_friendly: true,
+  kid_friendly: false,
+  pram_friendly: false,
+  directions: ['Leave the station', 'Head up Flask Walk', 'Cross the Heath', 'Arrive at the pub']
+};
+
+const weather = { summary: 'Clear sky, 12°C', tip: 'Bring a warm layer.' };
+
+// Fixed tags, so captions don't depend on the hashtag rotation
+const hashtags = [
+  '#SundayPubWalks', '#hampsteadheath', '#northlondon', '#thespaniardsinn', '#5kmwalk',
+  '#dogfriendly', '#heathwalk', '#autumnwalks', '#sundaywalk', '#pubwalk',
+  '#londonwalks', '#londonpub', '#visitlondon', '#getoutside'
+];
+
+describe('buildCaption', () => {
+  test('includes the walk details, weather and numbered directions', async () => {
+    const caption = await buildCaption({ walk, weather }, { hashtags });
+
+    assert.match(caption, /^🥾 SUNDAY PUB WALK: Heath to Hearth/);
+    assert.match(caption, /~75 mins · 4\.5 km/);
+    assert.match(caption, /Finish: The Spaniards Inn \(@thespaniardsinn\)/);
+    assert.match(caption, /Clear sky, 12°C\nTip: Bring a warm layer\./);
+    assert.match(caption, /1\. Leave the station\n\n2\. Head up Flask Walk/);
+  });
+
+  test('shows the best time to set off when the forecast has one', async () => {
+    const withWindow = { ...weather, bestWindow: { start: '11:00', end: '13:00' }, sunset: '16:19' };
+    const caption = await buildCaption({ walk, weather: withWindow }, { hashtags });
+
+    assert.match(caption, /Clear sky, 12°C\nBest time to set off: 11:00–13:00 \(sunset 16:19\)\nTip: Bring a warm layer\./);
+  });
+
+  test('says when the weather is a cached forecast or just typical for the month', async () => {
+    const cached = await buildCaption({ walk, weather: { ...weather, source: 'cached', fetchedAt: '2024-11-08T14:00:00Z' } }, { hashtags });
+    assert.match(cached, /🌤 Sunday forecast \(as of Fri 14:00\) for Hampstead Heath:/);
+
+    const typical = {
+      source: 'climatology',
+      month: 'November',
+      summary: 'Usually 5–11°C in November, with rain on about 1 day in 3',
+      tip: 'Layers and boots. Check the forecast before you set off.',
+      bestWindow: null,
+      sunset: null
+    };
+    const caption = await buildCaption({ walk, weather: typical }, { hashtags });
+    assert.match(caption, /🌤 Typical November weather \(not a forecast\) for Hampstead Heath:\nUsually 5–11°C in November, with rain on about 1 day in 3\nTip: /);
+    assert.doesNotMatch(caption, /Best time to set off/);
+  });
+
+  test('mentions the route file when the walk has waypoints', async () => {
+    const waypoints = [
+      { name: 'Hampstead tube station', type: 'start', lat: 51.5566, lng: -0.178 },
+      { name: 'The Spaniards Inn', type: 'pub', lat: 51.5705, lng: -0.1735 }
+    ];
+    assert.match(await buildCaption({ walk: { ...walk, waypoints }, weather }, { hashtags }), /📲 GPX & KML route file at the link in bio/);
+    assert.doesNotMatch(await buildCaption({ walk, weather }, { hashtags }), /route file/);
+  });
+
+  test('leaves out the handle when the pub has none', async () => {
+    const caption = await buildCaption({ walk: { ...walk, end_pub_handle: null }, weather }, { hashtags });
+    assert.match(caption, /Finish: The Spaniards Inn\n/);
+  });
+
+  test('only lists the first three highlights', async () => {
+    const caption = await buildCaption({ walk: { ...walk, highlights: ['one', 'two', 'three', 'four'] }, weather }, { hashtags });
+    assert.match(caption, /• three/);
+    assert.doesNotMatch(caption, /• four/);
+  });
+
+  test('ends with the hashtag block', async () => {
+    const caption = await buildCaption({ walk, weather }, { hashtags });
+    const lastLine = caption.split('\n').pop();
+    assert.deepEqual(lastLine.split(' '), hashtags);
+  });
+});
+
+describe('validateCaption', () => {
+  test('accepts captions within the budget', () => {
+    assert.equal(validateCaption('x'.repeat(2100)), true);
+  });
+
+  test('warns about captions over budget but within the limit', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(validateCaption('x'.repeat(2200)), true);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  test('rejects captions Instagram would refuse', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(validateCaption('x'.repeat(2201)), false);
+  });
+
+  test('rejects captions with more than 30 hashtags', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const tags = n => Array.from({ length: n }, (_, i) => `#tag${i}`).join(' ');
+    assert.equal(validateCaption(`Walk\n\n${tags(30)}`), true);
+    assert.equal(validateCaption(`Walk\n\n${tags(31)}`), false);
+  });
+});
+
+describe('composeCaption', () => {
+  const wordy = {
+    ...walk,
+    directions: walk.directions.map(step => `Step 1: ${step}. ${'Keep going past the old trees and the benches, then bear left at the fork. '.repeat(4)}`)
+  };
+
+  test('leaves a caption that fits alone', async () => {
+    const result = await composeCaption({ walk, weather }, { hashtags });
+    assert.equal(result.caption, await buildCaption({ walk, weather }, { hashtags }));
+    assert.deepEqual(result.trimmed, []);
+    assert.equal(result.firstComment, null);
+    assert.equal(result.fits, true);
+  });
+
+  test('condenses directions first', async () => {
+    const result = await composeCaption({ walk: wordy, weather }, { budget: 1500, hashtags });
+
+    assert.ok(result.length <= 1500);
+    assert.deepEqual(result.trimmed.map(t => `${t.section}:${t.action}`), ['directions:condensed']);
+    assert.match(result.caption, /1\. Leave the station\.\n2\. Head up Flask Walk\./);
+    assert.doesNotMatch(result.caption, /Step 1:/);
+  });
+
+  test('drops optional sections in priority order, then trims hashtags', async () => {
+    const result = await composeCaption({ walk: wordy, weather }, { budget: 620, hashtags });
+
+    assert.ok(result.length <= 620);
+    assert.deepEqual(result.trimmed.map(t => `${t.section}:${t.action}`), [
+      'directions:condensed',
+      'call-to-action:dropped',
+      'perfect-for:dropped',
+      'safety-note:dropped',
+      'hashtags:trimmed'
+    ]);
+    assert.doesNotMatch(result.caption, /Tag your Sunday crew|Perfect for|check local signs/);
+    assert.match(result.caption, /#SundayPubWalks/);
+  });
+
+  test('moves the directions to the first comment as a last resort', async () => {
+    const result = await composeCaption({ walk: wordy, weather }, { budget: 500, hashtags });
+
+    assert.ok(result.trimmed.some(t => t.section === 'directions' && t.action === 'moved'));
+    assert.match(result.caption, /directions in the first comment/);
+    assert.doesNotMatch(result.caption, /Head up Flask Walk/);
+    assert.match(result.firstComment, /^🗺️ How to do the walk\n\nStart at: Hampstead tube station/);
+    assert.ok(result.firstComment.length <= CAPTION_LIMIT);
+  });
+
+  test('points at the directions slide when there is a carousel', async () => {
+    const result = await composeCaption({ walk: wordy, weather }, { budget: 500, directionsOverflow: 'carousel', hashtags });
+
+    assert.match(result.caption, /directions on the last slide/);
+    assert.equal(result.firstComment, null);
+  });
+
+  test('reports the hashtags left in the caption', async () => {
+    const full = await composeCaption({ walk, weather }, { hashtags });
+    const tight = await composeCaption({ walk: wordy, weather }, { budget: 620, hashtags });
+
+    assert.deepEqual(full.hashtags, hashtags);
+    assert.ok(tight.hashtags.length < hashtags.length);
+    assert.deepEqual(tight.hashtags, hashtags.slice(0, tight.hashtags.length));
+  });
+
+  test('never trims hashtags below five', async () => {
+    const result = await composeCaption({ walk: wordy, weather }, { budget: 100, hashtags });
+    const hashtagLine = result.caption.split('\n').pop();
+    assert.equal(hashtagLine.split(' ').length, 5);
+  });
+});
+
+describe('first comment', () => {
+  test('moves the hashtag block to the first comment', async () => {
+    const result = await composeCaption({ walk, weather }, { hashtags, firstComment: ['hashtags'] });
+
+    assert.doesNotMatch(result.caption, /#SundayPubWalks/);
+    assert.match(result.caption, /map app as backup\. 🍺$/);
+    assert.equal(result.firstComment, hashtags.join(' '));
+    assert.deepEqual(result.hashtags, hashtags);
+  });
+
+  test('never trims hashtags that are going in the comment', async () => {
+    const wordy = { ...walk, directions: walk.directions.map(step => `${step}. ${'On past the benches. '.repeat(8)}`) };
+    const result = await composeCaption({ walk: wordy, weather }, { budget: 500, hashtags, firstComment: ['hashtags'] });
+
+    assert.ok(!result.trimmed.some(t => t.section === 'hashtags'));
+    assert.ok(result.firstComment.endsWith(hashtags.join(' ')));
+  });
+
+  test('puts the directions and then the hashtags in the comment', async () => {
+    const result = await composeCaption({ walk, weather }, { hashtags, firstComment: ['directions', 'hashtags'] });
+
+    assert.match(result.caption, /directions in the first comment 👇/);
+    assert.doesNotMatch(result.caption, /Head up Flask Walk/);
+    assert.match(result.firstComment, /^🗺️ How to do the walk[\s\S]*4\. Arrive at the pub\n\n#SundayPubWalks/);
+    assert.ok(!result.trimmed.some(t => t.section === 'directions'));
+  });
+
+  test('condenses the directions when the comment would be too long', async () => {
+    const long = { ...walk, directions: Array.from({ length: 12 }, (_, i) => `Step ${i + 1}: Walk on. ${'Past the trees and the benches. '.repeat(6)}`) };
+    const result = await composeCaption({ walk: long, weather }, { hashtags, firstComment: ['directions', 'hashtags'] });
+
+    assert.ok(result.firstComment.length <= CAPTION_LIMIT);
+    assert.match(result.firstComment, /How to do the walk \(from Hampstead tube station\)\n1\. Walk on\.\n2\./);
+  });
+
+  test('rejects anything else', async () => {
+    await assert.rejects(composeCaption({ walk, weather }, { hashtags, firstComment: ['highlights'] }), /Can't put highlights in the first comment/);
+  });
+
+  test('is rebuilt from an edited walk while the caption points to it', async () => {
+    const { caption } = await composeCaption({ walk, weather }, { hashtags, firstComment: ['directions', 'hashtags'] });
+    const rerouted = { ...walk, directions: ['Leave the station', 'Take the Flask Walk shortcut', 'Cross the Heath', 'Arrive at the pub'] };
+    const comment = refreshFirstComment(caption, rerouted, hashtags);
+
+    assert.match(comment, /2\. Take the Flask Walk shortcut/);
+    assert.doesNotMatch(comment, /Head up Flask Walk/);
+    assert.ok(comment.endsWith(hashtags.join(' ')));
+  });
+
+  test('drops what an edited caption now carries itself', () => {
+    const caption = `Heath to Hearth\n\n1. Leave the station\n2. Head up Flask Walk\n\n#SundayPubWalks #hampsteadheath`;
+
+    assert.equal(refreshFirstComment(caption, walk, ['#SundayPubWalks', '#hampsteadheath', '#northlondon']), '#northlondon');
+    assert.equal(refreshFirstComment(caption, walk, ['#SundayPubWalks']), null);
+  });
+});
+
+describe('caption styles', () => {
+  test('renders each style from its template', async () => {
+    const short = await composeCaption({ walk, weather }, { style: 'short', hashtags });
+    const story = await composeCaption({ walk, weather }, { style: 'story', hashtags });
+
+    assert.equal(short.style, 'short');
+    assert.match(short.caption, /^🍺 Heath to Hearth\nHampstead Heath → The Spaniards Inn \(@thespaniardsinn\)/);
+    assert.match(story.caption, /^📖 Heath to Hearth/);
+    assert.match(story.caption, /you step out of Hampstead tube station/);
+    assert.match(short.caption, /1\. Leave the station\n2\. Head up Flask Walk/);
+    assert.ok(short.length < story.length);
+  });
+
+  test('fits every style into the budget with the same rules', async () => {
+    const wordy = { ...walk, directions: walk.directions.map(step => `${step}. ${'Then keep on along the path. '.repeat(10)}`) };
+
+    for (const style of ['classic', 'short', 'story']) {
+      const result = await composeCaption({ walk: wordy, weather }, { style, budget: 600, hashtags });
+      assert.ok(result.length <= 600, `${style} is ${result.length} chars`);
+      assert.ok(result.caption.includes('1. Leave the station.\n2.') || result.trimmed.some(t => t.action === 'moved'), style);
+    }
+  });
+
+  test('rejects an unknown style', async () => {
+    await assert.rejects(composeCaption({ walk, weather }, { style: 'limerick', hashtags }), /Unknown caption style "limerick"/);
+  });
+});
@@ -0,0 +1,156 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { approveDraft, createDraft, getDraft, getNextApprovedDraft, markDraftPublished, updateDraft } from '../src/services/drafts.js';
+import { composeCaption } from '../src/services/caption.js';
+
+const walk = {
+  walk_title: 'Heath to Hearth',
+  area_short: 'Hampstead Heath',
+  start_point: 'Hampstead tube station',
+  end_pub_name: 'The Spaniards Inn',
+  distance_km: 4.5,
+  highlights: ['Views from Parliament Hill', 'Ancient woodland'],
+  directions: ['Leave the station', 'Head up Flask Walk', 'Cross the Heath', 'Arrive at the pub']
+};
+
+const weather = { summary: 'Clear sky, 12°C', tip: 'Bring a warm layer.', source: 'live' };
+
+const picked = [
+  { tag: '#SundayPubWalks', category: 'brand', source: 'always' },
+  { tag: '#hampsteadheath', category: 'area', source: 'area' },
+  { tag: '#thespaniardsinn', category: 'pub', source: 'pub' }
+];
+
+let workDir;
+let originalDir;
+
+before(async () => {
+  // Re-rendered slides and images go to generated/ in the working directory
+  originalDir = process.cwd();
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sundaypubwalks-drafts-'));
+  await fs.mkdir(path.join(workDir, 'generated'));
+  process.chdir(workDir);
+  process.env.DRAFTS_FILE = path.join(workDir, 'drafts.json');
+});
+
+after(async () => {
+  delete process.env.DRAFTS_FILE;
+  process.chdir(originalDir);
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+/**
+ * A draft with the directions and hashtags in the first comment
+ */
+async function draftWithComment() {
+  const fit = await composeCaption({ walk, weather }, { hashtags: picked.map(h => h.tag), firstComment: ['directions', 'hashtags'] });
+  return createDraft({
+    walk,
+    weather,
+    caption: fit.caption,
+    captionFit: { style: fit.style, length: fit.length, trimmed: fit.trimmed, firstComment: fit.firstComment, hashtags: picked },
+    image: { url: 'https://example.com/images/walk.png' }
+  });
+}
+
+describe('updateDraft', () => {
+  test('rebuilds the first comment from edited directions', async () => {
+    const draft = await draftWithComment();
+    const directions = ['Leave the station', 'Take the Flask Walk shortcut', 'Cross the Heath', 'Arrive at the pub'];
+    const updated = await updateDraft(draft.id, { walk: { directions } });
+
+    assert.match(updated.captionFit.firstComment, /Take the Flask Walk shortcut/);
+    assert.doesNotMatch(updated.captionFit.firstComment, /Head up Flask Walk/);
+    assert.deepEqual(updated.captionFit.hashtags, picked);
+  });
+
+  test('keeps the caption details in step with an edited caption', async () => {
+    const draft = await draftWithComment();
+    const caption = 'Heath to Hearth, the short version. Directions: up Flask Walk and across the Heath.\n\n#SundayPubWalks #autumnwalks';
+    const updated = await updateDraft(draft.id, { caption });
+
+    assert.equal(updated.captionFit.length, caption.length);
+    assert.equal(updated.captionFit.firstComment, '#hampsteadheath #thespaniardsinn', 'no directions now the caption has its own');
+    assert.deepEqual(updated.captionFit.hashtags, [
+      picked[0],
+      { tag: '#autumnwalks', category: null, source: 'edited' },
+      picked[1],
+      picked[2]
+    ]);
+  });
+
+  test('renders the slides and branded illustration again for a walk edit', async () => {
+    const rawPath = path.join(workDir, 'generated', 'walk-1.png');
+    await sharp({ create: { width: 256, height: 256, channels: 3, background: '#88aa88' } }).png().toFile(rawPath);
+    const oldSlide = { kind: 'route', url: 'https://example.com/images/walk-1-route.png', localPath: path.join(workDir, 'generated', 'walk-1-route.png') };
+    const draft = await createDraft({
+      walk: { ...walk, slug: 'heath-to-hearth' },
+      weather,
+      caption: 'Heath to Hearth',
+      image: {
+        url: 'https://example.com/images/walk-1-branded.png',
+        localPath: path.join(workDir, 'generated', 'walk-1-branded.png'),
+        style: 'linocut',
+        raw: { url: 'https://example.com/images/walk-1.png', localPath: rawPath }
+      },
+      slides: [oldSlide]
+    });
+
+    const updated = await updateDraft(draft.id, { walk: { walk_title: 'Heath to Hearth, the Long Way' } });
+
+    assert.deepEqual(updated.slides.map(slide => slide.kind), ['route', 'directions']);
+    assert.ok(updated.slides.every(slide => slide.localPath !== oldSlide.localPath && slide.localPath.startsWith(workDir)));
+    await Promise.all(updated.slides.map(slide => fs.access(slide.localPath)));
+    assert.equal(updated.image.localPath, path.join(workDir, 'generated', 'walk-1-branded.png'));
+    assert.equal(updated.image.style, 'linocut');
+    assert.deepEqual(updated.image.raw, draft.image.raw);
+  });
+
+  test('refuses a walk edit it cannot render, leaving the draft as it was', async () => {
+    const draft = await createDraft({
+      walk,
+      weather,
+      caption: 'Heath to Hearth',
+      image: { url: 'https://example.com/images/gone-branded.png', localPath: '/nowhere/gone-branded.png', raw: { url: 'https://example.com/images/gone.png', localPath: '/nowhere/gone.png' } }
+    });
+
+    await assert.rejects(updateDraft(draft.id, { walk: { walk_title: 'Renamed' } }), err => err.statusCode === 409 && /Could not render/.test(err.message));
+    assert.deepEqual(await getDraft(draft.id), draft);
+  });
+
+  test('refuses changes that are not objects of fields', async () => {
+    const draft = await draftWithComment();
+
+    await assert.rejects(updateDraft(draft.id, null), /Draft changes must be an object/);
+    await assert.rejects(updateDraft(draft.id, { walk: 'Heath to Hearth' }), /walk must be an object of fields to change/);
+    await assert.rejects(updateDraft(draft.id, { weather: [] }), /weather must be an object of fields to change/);
+    await assert.rejects(updateDraft(draft.id, { caption: null }), /caption must be a string/);
+  });
+
+  test('leaves the caption details alone for a weather edit', async () => {
+    const draft = await draftWithComment();
+    const updated = await updateDraft(draft.id, { weather: { tip: 'Bring an umbrella.' } });
+    assert.deepEqual(updated.captionFit, draft.captionFit);
+  });
+});
+
+describe('markDraftPublished', () => {
+  test('takes a draft out of the queue whichever mode published it', async () => {
+    const draft = await draftWithComment();
+    await approveDraft(draft.id);
+
+    const published = await markDraftPublished(draft.id, { id: null, mode: 'development' });
+    assert.equal(published.status, 'published');
+    assert.equal(published.publishMode, 'development');
+    assert.notEqual((await getNextApprovedDraft())?.id, draft.id);
+  });
+});
@@ -0,0 +1,19 @@
+// Shared test data. The brand isn't here: tests load the real config/brand.json
+// with loadBrand(), so they check what actually gets rendered.
+
+/**
+ * A Hampstead walk with a route: start, one landmark and the pub
+ */
+export const heathWalk = Object.freeze({
+  slug: 'heath-and-hearth',
+  walk_title: 'Heath & Hearth',
+  start_point: 'Hampstead tube station',
+  end_pub_name: 'The Spaniards Inn',
+  distance_km: 4.5,
+  duration_minutes: 90,
+  waypoints: [
+    { name: 'Hampstead tube station', type: 'start', lat: 51.5566, lng: -0.178 },
+    { name: 'Parliament Hill', type: 'landmark', lat: 51.5586, lng: -0.151 },
+    { name: 'The Spaniards Inn', type: 'pub', lat: 51.5705, lng: -0.1735 }
+  ]
+});
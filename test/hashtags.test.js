@@ -0,0 +1,131 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractHashtags, loadHashtagConfig, pickHashtags, toHashtag, MAX_HASHTAGS } from '../src/services/hashtags.js';
+
+const walk = {
+  walk_title: 'Heath to Hearth',
+  area: 'Hampstead Heath, North London',
+  area_short: 'Hampstead Heath',
+  end_pub_name: 'The Spaniards Inn',
+  distance_km: 4.5,
+  terrain: 'Heath paths and woodland',
+  difficulty: 'moderate',
+  highlights: ['Views from Parliament Hill', 'Ancient woodland', 'Historic pub finish'],
+  seasonality: 'Golden autumn colours',
+  dog_friendly: true,
+  kid_friendly: false,
+  pram_friendly: false
+};
+
+// A Saturday in October, so the walk is on an autumn Sunday
+const now = new Date(2024, 9, 12, 9);
+
+// Deterministic stand-in for Math.random
+function seededRandom(seed = 1) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+const tagsOf = hashtags => hashtags.map(h => h.tag);
+
+let config;
+before(async () => {
+  config = await loadHashtagConfig();
+});
+
+describe('toHashtag', () => {
+  test('lowercases and strips spaces and punctuation', () => {
+    assert.equal(toHashtag('Hampstead Heath'), '#hampsteadheath');
+    assert.equal(toHashtag("The Spaniard's Inn"), '#thespaniardsinn');
+  });
+
+  test('spells out ampersands', () => {
+    assert.equal(toHashtag('Crown & Greyhound'), '#crownandgreyhound');
+  });
+
+  test('keeps digits', () => {
+    assert.equal(toHashtag('Zone 2 walks'), '#zone2walks');
+  });
+});
+
+describe('extractHashtags', () => {
+  test('finds tags in order', () => {
+    assert.deepEqual(extractHashtags('Lovely #sundaywalk\n\n#SundayPubWalks #5kmwalk'), ['#sundaywalk', '#SundayPubWalks', '#5kmwalk']);
+    assert.deepEqual(extractHashtags(null), []);
+  });
+});
+
+describe('pickHashtags', () => {
+  test('includes brand, area, region, pub, season and audience tags', () => {
+    const tags = tagsOf(pickHashtags(walk, config, [], { now, random: seededRandom() }));
+
+    for (const tag of ['#SundayPubWalks', '#hampsteadheath', '#northlondon', '#thespaniardsinn', '#5kmwalk',
+      '#dogfriendly', '#heathwalk', '#moderatewalk', '#autumnwalks']) {
+      assert.ok(tags.includes(tag), `missing ${tag}`);
+    }
+    assert.ok(!tags.includes('#kidfriendly'));
+  });
+
+  test('puts fixed and walk-specific tags before pool picks', () => {
+    const hashtags = pickHashtags(walk, config, [], { now, random: seededRandom() });
+    const firstPool = hashtags.findIndex(h => h.source === 'pool');
+
+    assert.equal(hashtags[0].tag, '#SundayPubWalks');
+    assert.ok(firstPool > 0);
+    assert.ok(hashtags.slice(firstPool).every(h => h.source === 'pool'));
+  });
+
+  test('keeps each category within its max and the total within maxTags', () => {
+    const busy = { ...walk, kid_friendly: true, pram_friendly: true, terrain: 'canal towpath, riverside and park' };
+    const hashtags = pickHashtags(busy, config, [], { now, random: seededRandom() });
+
+    for (const [name, category] of Object.entries(config.categories)) {
+      assert.ok(hashtags.filter(h => h.category === name).length <= category.max, name);
+    }
+    assert.ok(hashtags.length <= config.maxTags);
+    assert.equal(new Set(tagsOf(hashtags)).size, hashtags.length);
+  });
+
+  test('never goes over the Instagram limit', () => {
+    const pool = Array.from({ length: 50 }, (_, i) => ({ tag: `#tag${i}` }));
+    const hashtags = pickHashtags(walk, { maxTags: MAX_HASHTAGS, recentPostWindow: 6, denylist: [], categories: { brand: { pool } } }, [], { now });
+    assert.equal(hashtags.length, MAX_HASHTAGS);
+  });
+
+  test('leaves out denylisted tags, including ones derived from the walk', () => {
+    const denying = { ...config, denylist: ['#HampsteadHeath', '#sundaywalk'] };
+    const tags = tagsOf(pickHashtags(walk, denying, [], { now, random: seededRandom() }));
+
+    assert.ok(!tags.includes('#hampsteadheath'));
+    assert.ok(!tags.includes('#sundaywalk'));
+  });
+
+  test('only uses pool tags for the current season', () => {
+    const summer = new Date(2024, 6, 10);
+    const tags = tagsOf(pickHashtags({ ...walk, seasonality: null }, config, [], { now: summer, random: seededRandom() }));
+
+    assert.ok(!tags.includes('#cosypub'));
+    assert.ok(!tags.some(tag => /autumn|winter/.test(tag)));
+  });
+
+  test('rotates away from tags used in recent posts', () => {
+    const pool = ['#one', '#two', '#three', '#four'].map(tag => ({ tag }));
+    const rotating = { maxTags: 10, recentPostWindow: 3, denylist: [], categories: { brand: { max: 2, pool } } };
+    const posts = [
+      { hashtags: [{ tag: '#one' }, { tag: '#two' }] },
+      { caption: 'Older post without a tag record #one #two' }
+    ];
+
+    let repeats = 0;
+    const random = seededRandom(7);
+    for (let i = 0; i < 200; i++) {
+      const tags = tagsOf(pickHashtags(walk, rotating, posts, { now, random }));
+      repeats += tags.filter(tag => tag === '#one' || tag === '#two').length;
+    }
+
+    // Unweighted, half the picks would repeat; each used tag here has a third of the weight
+    assert.ok(repeats < 120, `${repeats} repeats`);
+  });
+});
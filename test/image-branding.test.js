@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { brandIllustration, buildOverlaySvg, chooseWeatherIcon } from '../src/services/image-branding.js';
+import { loadBrand } from '../src/services/slides.js';
+import { heathWalk as walk } from './fixtures.js';
+
+const brand = await loadBrand();
+
+function weather(overrides = {}) {
+  return {
+    source: 'live',
+    summary: 'Scattered clouds, 12°C',
+    condition: 'clouds',
+    rainChance: 10,
+    windMph: 8,
+    tempMax: 12,
+    bestWindow: { start: '10:00', end: '12:00' },
+    slots: [
+      { time: '09:00', condition: 'clouds' },
+      { time: '12:00', condition: 'clouds' }
+    ],
+    ...overrides
+  };
+}
+
+describe('chooseWeatherIcon', () => {
+  test('matches the condition the forecast summary describes', () => {
+    assert.equal(chooseWeatherIcon(weather()), 'cloud');
+    assert.equal(chooseWeatherIcon(weather({ summary: 'Light rain, 9°C', condition: 'rain' })), 'rain');
+    assert.equal(chooseWeatherIcon(weather({ summary: 'Drizzle, 9°C', condition: 'drizzle' })), 'rain');
+  });
+
+  test('follows the summary when an earlier slot disagrees', () => {
+    // The 09:00 slot is cloudy, but the summary describes the clear slot the walk starts in
+    const clear = weather({
+      summary: 'Clear sky, 12°C',
+      condition: 'clear',
+      slots: [{ time: '09:00', condition: 'clouds' }, { time: '12:00', condition: 'clear' }]
+    });
+    assert.equal(chooseWeatherIcon(clear), 'sun');
+  });
+
+  test('shows no icon for typical monthly weather', () => {
+    assert.equal(chooseWeatherIcon({ source: 'climatology', summary: 'Typical November' }), null);
+    assert.equal(chooseWeatherIcon(null), null);
+  });
+});
+
+describe('buildOverlaySvg', () => {
+  test('frames the walk title, distance/time badge and pub', () => {
+    const svg = buildOverlaySvg({ width: 1024, height: 1024 }, walk, weather(), brand);
+
+    assert.match(svg, /width="1024" height="1024"/);
+    assert.match(svg, />Heath &amp; Hearth</);
+    assert.match(svg, />4\.5 km · ~90 mins</);
+    assert.match(svg, />Finishing at The Spaniards Inn</);
+    assert.match(svg, new RegExp(`fill="${brand.overlay.colours.frame}"`), 'uses the overlay colours from brand.json');
+  });
+
+  test('falls back to the main brand colours without an overlay config', () => {
+    const svg = buildOverlaySvg({ width: 1024, height: 1024 }, walk, weather(), { ...brand, overlay: undefined });
+    assert.match(svg, new RegExp(`fill="${brand.colours.primary}"`));
+  });
+
+  test('takes colours and fonts from the overlay config', () => {
+    const svg = buildOverlaySvg({ width: 1024, height: 1024 }, walk, weather(), {
+      ...brand,
+      overlay: { colours: { frame: '#000000' }, fonts: { title: 'Courier' } }
+    });
+
+    assert.match(svg, /stroke="#000000"/);
+    assert.match(svg, /font-family="Courier"/);
+  });
+
+  test('leaves the weather icon out when turned off', () => {
+    const withIcon = buildOverlaySvg({ width: 1024, height: 1024 }, walk, weather(), brand);
+    const withoutIcon = buildOverlaySvg({ width: 1024, height: 1024 }, walk, weather(), { ...brand, overlay: { weatherIcon: false } });
+
+    assert.ok(withoutIcon.length < withIcon.length);
+    assert.doesNotMatch(withoutIcon, new RegExp(`fill="${brand.overlay.colours.text}"/>`));
+  });
+});
+
+describe('brandIllustration', () => {
+  test('saves a -branded.png alongside the raw illustration', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'branding-'));
+    const rawPath = path.join(dir, 'heath-and-hearth-123.png');
+    await sharp({ create: { width: 256, height: 256, channels: 3, background: '#88aa88' } }).png().toFile(rawPath);
+
+    try {
+      const image = await brandIllustration({ url: 'https://example.com/images/heath-and-hearth-123.png', localPath: rawPath, style: 'linocut' }, walk, weather());
+
+      assert.equal(image.localPath, path.join(dir, 'heath-and-hearth-123-branded.png'));
+      assert.match(image.url, /\/images\/heath-and-hearth-123-branded\.png$/);
+      assert.deepEqual(image.raw, { url: 'https://example.com/images/heath-and-hearth-123.png', localPath: rawPath });
+      assert.equal(image.style, 'linocut', 'keeps the style pack the illustration was drawn in');
+
+      const { width, height } = await sharp(image.localPath).metadata();
+      assert.deepEqual({ width, height }, { width: 256, height: 256 });
+      await fs.access(rawPath);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_IMAGE_STYLE,
+  listImageStyles,
+  loadImageStyle,
+  resolveImageStyle,
+  validateImageStyle
+} from '../src/services/image-styles.js';
+import { buildImagePrompt } from '../src/services/image.js';
+import { resolveCaptionStyle } from '../src/services/caption-templates.js';
+
+const walk = {
+  area: 'Hampstead Heath',
+  end_pub_name: 'The Spaniards Inn',
+  landmarks_for_prompt: ['Kenwood House', 'Parliament Hill'],
+  seasonality: 'Best when the leaves turn',
+  duration_minutes: 90
+};
+
+const weather = {
+  source: 'live',
+  summary: 'Moderate rain, 9°C',
+  tempMax: 9,
+  rainChance: 80,
+  windMph: 10,
+  bestWindow: { start: '10:00', end: '11:00' },
+  sunset: '16:20',
+  slots: []
+};
+
+const WEDNESDAY_IN_NOVEMBER = new Date(2024, 10, 6, 9);
+
+describe('image style packs', () => {
+  test('every pack in config/image-styles is valid', async () => {
+    const styles = await listImageStyles();
+    assert.ok(styles.includes(DEFAULT_IMAGE_STYLE));
+    assert.ok(styles.length >= 3);
+
+    for (const style of styles) {
+      const pack = await loadImageStyle(style);
+      assert.equal(pack.id, style);
+      assert.ok(pack.avoid.length > 0, `${style} has negative instructions`);
+    }
+  });
+
+  test('names the available packs when one is unknown', async () => {
+    await assert.rejects(() => loadImageStyle('crayon'), /Unknown image style "crayon" \(available: .*travel-poster/);
+  });
+
+  test('reports missing fields and bad seasons', () => {
+    assert.deepEqual(validateImageStyle({ name: 'Bare', artStyle: 'Pencil' }), ['missing palette', 'missing composition']);
+    assert.deepEqual(
+      validateImageStyle({ name: 'x', artStyle: 'x', palette: 'x', composition: 'x', avoid: 'text', seasons: { monsoon: 'rain' } }),
+      ['avoid must be a list of strings', 'unknown seasons: monsoon (use winter, spring, summer, autumn)']
+    );
+  });
+});
+
+describe('resolveImageStyle', () => {
+  test('uses the default pack unless one is chosen', async () => {
+    assert.equal(await resolveImageStyle(undefined), DEFAULT_IMAGE_STYLE);
+    assert.equal(await resolveImageStyle('linocut'), 'linocut');
+  });
+
+  test('rotates through every pack, out of step with the caption styles', async () => {
+    const styles = await listImageStyles();
+    const picked = [];
+    const pairs = new Set();
+    for (let week = 0; week < styles.length * 3; week++) {
+      const saturday = new Date(2025, 0, 4 + week * 7, 9);
+      const style = await resolveImageStyle('rotate', saturday);
+      picked.push(style);
+      pairs.add(`${style}/${await resolveCaptionStyle('rotate', saturday)}`);
+    }
+    assert.deepEqual([...new Set(picked)].sort(), styles);
+    assert.ok(pairs.size > styles.length, 'each pack comes round with more than one caption style');
+  });
+
+  test('keeps the same pack for every day ahead of a given Sunday', async () => {
+    const monday = await resolveImageStyle('rotate', new Date(2025, 0, 6, 9));
+    const saturday = await resolveImageStyle('rotate', new Date(2025, 0, 11, 9));
+    assert.equal(monday, saturday);
+  });
+});
+
+describe('buildImagePrompt', () => {
+  test('combines the pack with the landmarks, weather, season and light', async () => {
+    const pack = await loadImageStyle('linocut');
+    const prompt = buildImagePrompt(walk, weather, pack, WEDNESDAY_IN_NOVEMBER);
+
+    assert.ok(prompt.startsWith(pack.artStyle));
+    assert.match(prompt, /towards a cosy English pub called The Spaniards Inn/);
+    assert.match(prompt, /Show Kenwood House, Parliament Hill along the way\./);
+    assert.match(prompt, new RegExp(`Palette: ${pack.palette}\\.`));
+    assert.match(prompt, new RegExp(`Season: ${pack.seasons.autumn} \\(Best when the leaves turn\\)\\.`));
+    assert.match(prompt, /Weather: Moderate rain, 9°C, wet paths and puddles/);
+    assert.match(prompt, /Light: bright late-morning light\./);
+    assert.match(prompt, /Avoid: text, lettering or signs with words; logos;/);
+  });
+
+  test('turns to golden hour when the walk finishes near sunset', async () => {
+    const pack = await loadImageStyle(DEFAULT_IMAGE_STYLE);
+    const prompt = buildImagePrompt(walk, { ...weather, bestWindow: { start: '15:00', end: '15:30' } }, pack, WEDNESDAY_IN_NOVEMBER);
+    assert.match(prompt, /Light: late-afternoon golden hour/);
+  });
+
+  test('falls back to the default seasonal hint and calls typical weather typical', () => {
+    const pack = { artStyle: 'Pencil sketch', palette: 'Greys', composition: 'Centred', avoid: [], seasons: {} };
+    const prompt = buildImagePrompt(walk, { source: 'climatology', summary: 'Typically 10°C with rain on 11 days' }, pack, WEDNESDAY_IN_NOVEMBER);
+
+    assert.match(prompt, /Season: golden autumn/);
+    assert.match(prompt, /Weather: typical weather for the time of year \(Typically 10°C with rain on 11 days\)\./);
+    assert.match(prompt, /Light: soft daytime light\./);
+    assert.doesNotMatch(prompt, /Avoid:/);
+  });
+});
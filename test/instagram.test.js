@@ -0,0 +1,356 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Tiny waits so the tests don't sit through real backoff
+const FAST = { pollIntervalMs: 1, maxPollIntervalMs: 2, pollTimeoutMs: 1000, retries: 2, retryDelayMs: 1 };
+
+let workDir;
+let postToInstagram;
+let postComment;
+let tokens;
+let startGraphStub;
+let errors;
+
+before(async () => {
+  // The Graph stub checks image URLs against generated/ in the working directory
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sundaypubwalks-instagram-'));
+  await fs.mkdir(path.join(workDir, 'generated'));
+  for (const name of ['walk.png', 'walk-route.png', 'walk-directions.png']) {
+    await fs.writeFile(path.join(workDir, 'generated', name), 'png');
+  }
+  process.chdir(workDir);
+
+  process.env.INSTAGRAM_ACCESS_TOKEN = 'test-token';
+  process.env.INSTAGRAM_ACCOUNT_ID = 'test-account';
+  process.env.INSTAGRAM_TOKEN_FILE = path.join(workDir, 'instagram-token.json');
+
+  tokens = await import('../src/services/instagram.js');
+  ({ postToInstagram, postComment } = tokens);
+  ({ startGraphStub } = await import('../src/dev/graph-stub.js'));
+  errors = await import('../src/services/instagram-errors.js');
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Start a Graph API stub whose responses come from `handler(req, body)`,
+ * which returns [statusCode, json]
+ */
+async function startScriptedStub(handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const url = new URL(req.url, 'http://localhost');
+    const entry = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body: raw ? JSON.parse(raw) : {}
+    };
+    requests.push(entry);
+
+    const [status, data] = handler(entry, requests);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.INSTAGRAM_GRAPH_URL = `http://127.0.0.1:${server.address().port}`;
+  return { requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+describe('postToInstagram against the Graph API stub', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startGraphStub();
+    process.env.INSTAGRAM_GRAPH_URL = stub.url;
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  test('creates a container, waits for it, then publishes it', async () => {
+    const result = await postToInstagram({ imageUrl: 'https://example.com/images/walk.png', caption: 'Hello' }, FAST);
+
+    assert.match(result.id, /^offline-post-/);
+    assert.deepEqual(stub.requests.map(r => `${r.method} ${r.path}`), [
+      'POST /test-account/media',
+      'GET /1000',
+      'POST /test-account/media_publish'
+    ]);
+
+    const [create, , publish] = stub.requests;
+    assert.equal(create.params.image_url, 'https://example.com/images/walk.png');
+    assert.equal(create.params.caption, 'Hello');
+    assert.equal(create.params.access_token, 'test-token');
+    assert.equal(publish.params.creation_id, '1000');
+  });
+
+  test('posts a carousel when given several images', async () => {
+    const imageUrls = ['walk.png', 'walk-route.png', 'walk-directions.png'].map(name => `https://example.com/images/${name}`);
+    await postToInstagram({ imageUrls, caption: 'Carousel' }, FAST);
+
+    const creates = stub.requests.filter(r => r.method === 'POST' && r.path.endsWith('/media'));
+    assert.equal(creates.length, 4);
+    assert.ok(creates.slice(0, 3).every(r => r.params.is_carousel_item === true && !r.params.caption));
+
+    const parent = creates[3];
+    assert.equal(parent.params.media_type, 'CAROUSEL');
+    assert.equal(parent.params.caption, 'Carousel');
+    assert.equal(parent.params.children.split(',').length, 3);
+  });
+
+  test('fails with a media fetch error when the image cannot be downloaded', async () => {
+    await assert.rejects(
+      postToInstagram({ imageUrl: 'https://example.com/images/missing.png', caption: 'x' }, FAST),
+      errors.InstagramMediaFetchError
+    );
+  });
+
+  test('rejects a malformed image URL with a Graph error instead of crashing', async () => {
+    await assert.rejects(
+      postToInstagram({ imageUrl: 'not a url', caption: 'x' }, FAST),
+      err => err instanceof errors.InstagramApiError && err.code === 100 && /image_url is not a valid URL/.test(err.message)
+    );
+
+    // The stub is still up for the next request
+    await postToInstagram({ imageUrl: 'https://example.com/images/walk.png', caption: 'x' }, FAST);
+  });
+
+  test('comments on a published post', async () => {
+    const { id } = await postToInstagram({ imageUrl: 'https://example.com/images/walk.png', caption: 'Hello' }, FAST);
+    const commentId = await postComment(id, 'Directions go here');
+
+    assert.match(commentId, /^offline-comment-/);
+    const comment = stub.requests.at(-1);
+    assert.equal(comment.path, `/${id}/comments`);
+    assert.equal(comment.params.message, 'Directions go here');
+  });
+
+  test('posts the first comment after publishing', async () => {
+    const result = await postToInstagram({ imageUrl: 'https://example.com/images/walk.png', caption: 'Hello', firstComment: '#SundayPubWalks #sundaywalk' }, FAST);
+
+    assert.match(result.commentId, /^offline-comment-/);
+    const comment = stub.requests.at(-1);
+    assert.equal(comment.path, `/${result.id}/comments`);
+    assert.equal(comment.params.message, '#SundayPubWalks #sundaywalk');
+  });
+
+  test('does not comment without a first comment', async () => {
+    const result = await postToInstagram({ imageUrl: 'https://example.com/images/walk.png', caption: 'Hello' }, FAST);
+
+    assert.equal(result.commentId, undefined);
+    assert.ok(!stub.requests.some(r => r.path.endsWith('/comments')));
+  });
+
+  test('refuses to run without credentials', async () => {
+    const accountId = process.env.INSTAGRAM_ACCOUNT_ID;
+    delete process.env.INSTAGRAM_ACCOUNT_ID;
+    try {
+      await assert.rejects(postToInstagram({ imageUrl: 'https://example.com/images/walk.png', caption: 'x' }, FAST), /credentials not configured/);
+    } finally {
+      process.env.INSTAGRAM_ACCOUNT_ID = accountId;
+    }
+    assert.equal(stub.requests.length, 0);
+  });
+});
+
+describe('postToInstagram error handling', () => {
+  const image = { imageUrl: 'https://example.com/images/walk.png', caption: 'x' };
+
+  test('stops when a container ends in ERROR', async () => {
+    const stub = await startScriptedStub(({ method }) => method === 'POST'
+      ? [200, { id: 'c1' }]
+      : [200, { status_code: 'ERROR', status: 'Image too small' }]);
+
+    try {
+      await assert.rejects(postToInstagram(image, FAST), error => {
+        assert.ok(error instanceof errors.InstagramContainerError);
+        assert.equal(error.containerId, 'c1');
+        assert.match(error.message, /Image too small/);
+        return true;
+      });
+      assert.ok(!stub.requests.some(r => r.path.endsWith('/media_publish')));
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('does not retry a rejected access token', async () => {
+    const stub = await startScriptedStub(() => [400, { error: { message: 'Invalid OAuth access token', type: 'OAuthException', code: 190 } }]);
+
+    try {
+      await assert.rejects(postToInstagram(image, FAST), errors.InstagramAuthError);
+      assert.equal(stub.requests.length, 1);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('retries a rate-limited publish', async () => {
+    let publishAttempts = 0;
+    const stub = await startScriptedStub(({ method, path: requestPath }) => {
+      if (requestPath.endsWith('/media_publish')) {
+        publishAttempts++;
+        return publishAttempts === 1
+          ? [400, { error: { message: 'Application request limit reached', code: 4 } }]
+          : [200, { id: 'post-1' }];
+      }
+      return method === 'POST' ? [200, { id: 'c1' }] : [200, { status_code: 'FINISHED' }];
+    });
+
+    try {
+      const result = await postToInstagram(image, FAST);
+      assert.equal(result.id, 'post-1');
+      assert.equal(publishAttempts, 2);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('still returns the published post when the first comment fails', async () => {
+    const stub = await startScriptedStub(({ method, path: requestPath }) => {
+      if (requestPath.endsWith('/comments')) {
+        return [400, { error: { message: 'Comments are disabled', code: 100 } }];
+      }
+      if (requestPath.endsWith('/media_publish')) return [200, { id: 'post-1' }];
+      return method === 'POST' ? [200, { id: 'c1' }] : [200, { status_code: 'FINISHED' }];
+    });
+
+    try {
+      const result = await postToInstagram({ ...image, firstComment: '#SundayPubWalks' }, FAST);
+      assert.equal(result.id, 'post-1');
+      assert.equal(result.commentId, null);
+      assert.equal(stub.requests.filter(r => r.path.endsWith('/comments')).length, 1);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('does not retry a publish that failed for another reason', async () => {
+    let publishAttempts = 0;
+    const stub = await startScriptedStub(({ method, path: requestPath }) => {
+      if (requestPath.endsWith('/media_publish')) {
+        publishAttempts++;
+        return [500, { error: { message: 'Unknown error', code: 1, is_transient: true } }];
+      }
+      return method === 'POST' ? [200, { id: 'c1' }] : [200, { status_code: 'FINISHED' }];
+    });
+
+    try {
+      await assert.rejects(postToInstagram(image, FAST), errors.InstagramApiError);
+      assert.equal(publishAttempts, 1);
+    } finally {
+      await stub.close();
+    }
+  });
+});
+
+describe('access token management', () => {
+  const DAY_S = 24 * 60 * 60;
+  const tokenFile = () => process.env.INSTAGRAM_TOKEN_FILE;
+
+  beforeEach(async () => {
+    await fs.rm(tokenFile(), { force: true });
+    delete process.env.INSTAGRAM_APP_ID;
+    delete process.env.INSTAGRAM_APP_SECRET;
+  });
+
+  /**
+   * Graph stub answering debug_token with an expiry `days` away, and token
+   * refreshes with `freshToken`
+   */
+  function startTokenStub(days, freshToken = 'fresh-token') {
+    return startScriptedStub(({ path: requestPath }) => {
+      if (requestPath === '/debug_token') {
+        return [200, { data: { is_valid: true, expires_at: Math.floor(Date.now() / 1000) + days * DAY_S } }];
+      }
+      if (requestPath === '/oauth/access_token') {
+        return [200, { access_token: freshToken, expires_in: 60 * DAY_S }];
+      }
+      return [404, { error: { message: 'Unknown path', code: 100 } }];
+    });
+  }
+
+  test('checks the token and stores its expiry', async () => {
+    const stub = await startTokenStub(30);
+    try {
+      const status = await tokens.checkAccessToken();
+
+      assert.equal(status.valid, true);
+      assert.ok(status.daysRemaining >= 29 && status.daysRemaining <= 30);
+      assert.equal(stub.requests[0].query.input_token, 'test-token');
+
+      const stored = JSON.parse(await fs.readFile(tokenFile(), 'utf8'));
+      assert.equal(stored.accessToken, 'test-token');
+      assert.equal(stored.expiresAt, status.expiresAt);
+      assert.deepEqual(await tokens.getTokenStatus(), status);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('refreshes a token close to expiring and uses the new one', async () => {
+    process.env.INSTAGRAM_APP_ID = 'app';
+    process.env.INSTAGRAM_APP_SECRET = 'secret';
+    const stub = await startTokenStub(5);
+    try {
+      const status = await tokens.manageAccessToken();
+
+      assert.equal(status.valid, true);
+      assert.ok(status.daysRemaining >= 59);
+      const refresh = stub.requests.find(r => r.path === '/oauth/access_token');
+      assert.equal(refresh.query.fb_exchange_token, 'test-token');
+      assert.equal(refresh.query.client_id, 'app');
+      assert.equal(await tokens.getAccessToken(), 'fresh-token');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('leaves a token with plenty of time alone', async () => {
+    process.env.INSTAGRAM_APP_ID = 'app';
+    process.env.INSTAGRAM_APP_SECRET = 'secret';
+    const stub = await startTokenStub(40);
+    try {
+      await tokens.manageAccessToken();
+      assert.ok(!stub.requests.some(r => r.path === '/oauth/access_token'));
+      assert.equal(await tokens.getAccessToken(), 'test-token');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('needs the app id and secret to refresh', async () => {
+    await assert.rejects(tokens.refreshAccessToken(), /set INSTAGRAM_APP_ID and INSTAGRAM_APP_SECRET/);
+  });
+
+  test('reports a corrupt token file as an invalid token instead of throwing', async () => {
+    await fs.writeFile(tokenFile(), '{"accessToken": "tok');
+
+    const status = await tokens.getTokenStatus();
+    assert.equal(status.valid, false);
+    assert.match(status.error, /Could not read .*instagram-token\.json/);
+
+    const managed = await tokens.manageAccessToken();
+    assert.equal(managed.valid, false);
+    assert.ok(managed.error);
+  });
+});
@@ -0,0 +1,136 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLLMConfig, getTextProvider, getImageProvider } from '../src/services/llm/index.js';
+import { createOpenAIProvider, parseJsonReply } from '../src/services/llm/openai.js';
+import { createLocalProvider, DEFAULT_LOCAL_BASE_URL } from '../src/services/llm/local.js';
+import { getOpenAIClient } from '../src/services/llm/client.js';
+
+const LLM_VARIABLES = [
+  'LLM_PROVIDER', 'LLM_IMAGE_PROVIDER', 'LLM_TEXT_MODEL', 'LLM_IMAGE_MODEL',
+  'LLM_TEMPERATURE', 'LLM_BASE_URL', 'LLM_API_KEY', 'OPENAI_API_KEY', 'OFFLINE_MODE'
+];
+const savedEnv = Object.fromEntries(LLM_VARIABLES.map(name => [name, process.env[name]]));
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+/**
+ * Set the LLM variables for one test, clearing the rest
+ */
+function setEnv(values) {
+  for (const name of LLM_VARIABLES) delete process.env[name];
+  Object.assign(process.env, values);
+}
+
+/**
+ * Stand in for the image endpoint of the client a provider will use,
+ * returning the requests it gets
+ */
+function captureImageRequests(t, clientOptions) {
+  const requests = [];
+  t.mock.method(getOpenAIClient(clientOptions).images, 'generate', async request => {
+    requests.push(request);
+    return { data: [{ b64_json: 'aW1hZ2U=' }] };
+  });
+  return requests;
+}
+
+describe('provider selection', () => {
+  test('defaults to OpenAI for text and images', () => {
+    setEnv({ OPENAI_API_KEY: 'sk-test' });
+
+    assert.deepEqual(getLLMConfig(), {
+      textProvider: 'openai',
+      imageProvider: 'openai',
+      textModel: 'gpt-5',
+      imageModel: 'gpt-image-1',
+      temperature: 1.0,
+      baseURL: DEFAULT_LOCAL_BASE_URL
+    });
+    assert.equal(getTextProvider().name, 'openai');
+    assert.equal(getImageProvider().name, 'openai');
+  });
+
+  test('can draw with a different provider than it writes with', () => {
+    setEnv({ LLM_PROVIDER: 'local', LLM_IMAGE_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' });
+
+    const config = getLLMConfig();
+    assert.equal(config.textModel, 'llama3.1');
+    assert.equal(config.imageModel, 'gpt-image-1');
+    assert.equal(getTextProvider().name, 'local');
+    assert.equal(getImageProvider().name, 'openai');
+  });
+
+  test('uses the fixture provider offline whatever is configured', () => {
+    setEnv({ OFFLINE_MODE: 'true', LLM_PROVIDER: 'openai', LLM_TEXT_MODEL: 'gpt-5' });
+
+    const config = getLLMConfig();
+    assert.equal(config.textProvider, 'fixture');
+    assert.equal(config.textModel, 'fixture');
+    assert.equal(getTextProvider().name, 'fixture');
+    assert.equal(getImageProvider().name, 'fixture');
+  });
+
+  test('reuses a provider for the same configuration', () => {
+    setEnv({ LLM_PROVIDER: 'local' });
+    assert.equal(getTextProvider(), getTextProvider());
+  });
+
+  test('rejects unknown providers and out-of-range temperatures', () => {
+    setEnv({ LLM_PROVIDER: 'anthropic' });
+    assert.throws(() => getLLMConfig(), /LLM_PROVIDER must be one of openai, local, fixture, got "anthropic"/);
+
+    setEnv({ LLM_IMAGE_PROVIDER: 'dalle' });
+    assert.throws(() => getLLMConfig(), /LLM_IMAGE_PROVIDER must be one of/);
+
+    setEnv({ LLM_TEMPERATURE: 'warm' });
+    assert.throws(() => getLLMConfig(), /LLM_TEMPERATURE must be a number between 0 and 2/);
+  });
+});
+
+describe('image requests', () => {
+  test('ask OpenAI for a high quality PNG', async t => {
+    const requests = captureImageRequests(t, { apiKey: 'sk-hosted' });
+    const provider = createOpenAIProvider({ apiKey: 'sk-hosted', imageModel: 'gpt-image-1' });
+
+    assert.equal(await provider.generateImage({ prompt: 'A pub' }), 'aW1hZ2U=');
+    assert.deepEqual(requests, [{
+      model: 'gpt-image-1',
+      prompt: 'A pub',
+      n: 1,
+      size: '1024x1024',
+      quality: 'high',
+      output_format: 'png'
+    }]);
+  });
+
+  test("don't send OpenAI-only settings to a local server", async t => {
+    const baseURL = 'http://localhost:8080/v1';
+    const requests = captureImageRequests(t, { apiKey: 'local', baseURL });
+    const provider = createLocalProvider({ baseURL, imageModel: 'stable-diffusion' });
+
+    await provider.generateImage({ prompt: 'A pub', size: '512x512' });
+    assert.deepEqual(requests, [{
+      model: 'stable-diffusion',
+      prompt: 'A pub',
+      n: 1,
+      size: '512x512',
+      response_format: 'b64_json'
+    }]);
+  });
+});
+
+describe('parseJsonReply', () => {
+  test('parses plain and fenced JSON', () => {
+    assert.deepEqual(parseJsonReply('{"a":1}'), { a: 1 });
+    assert.deepEqual(parseJsonReply('```json\n{"a":1}\n```'), { a: 1 });
+  });
+
+  test('throws on anything else', () => {
+    assert.throws(() => parseJsonReply('Sure! Here is your walk'), /Model did not return valid JSON/);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { importLegacyPostLog, loadPosts, toPubCoords } from '../src/services/post-store.js';
+import { logPost } from '../src/services/instagram.js';
+
+let workDir;
+let logPath;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sundaypubwalks-posts-'));
+  logPath = path.join(workDir, 'posts.jsonl');
+});
+
+after(async () => {
+  delete process.env.POST_STORE_FILE;
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+beforeEach(async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  process.env.POST_STORE_FILE = path.join(workDir, `posts-${Math.random()}.json`);
+});
+
+/**
+ * A line of the old logs/posts.jsonl
+ */
+function legacyLine(overrides = {}) {
+  return JSON.stringify({
+    timestamp: '2024-11-10T10:00:00.000Z',
+    walkTitle: 'Heath to Hearth',
+    pubName: 'The Spaniards Inn',
+    area: 'Hampstead Heath',
+    instagramPostId: '1789',
+    ...overrides
+  });
+}
+
+describe('toPubCoords', () => {
+  test('keeps real coordinates and drops anything else', () => {
+    assert.deepEqual(toPubCoords({ lat: 51.5705, lng: -0.1735, source: 'ai' }), { lat: 51.5705, lng: -0.1735 });
+    assert.equal(toPubCoords({ lat: '51.5705', lng: '-0.1735' }), null);
+    assert.equal(toPubCoords({ lat: 51.5705 }), null);
+    assert.equal(toPubCoords('51.5705,-0.1735'), null);
+    assert.equal(toPubCoords(undefined), null);
+  });
+});
+
+describe('logPost', () => {
+  test('still records a live post when the pub coordinates are malformed', async () => {
+    const walk = { walk_title: 'Heath to Hearth', end_pub_name: 'The Spaniards Inn', area_short: 'Hampstead Heath', end_pub_coords: { lat: 'north', lng: null } };
+    const post = await logPost({ walk, weather: null, caption: 'Hello' }, { id: '1789' });
+
+    assert.equal(post.pubCoords, null);
+    assert.equal(post.instagramPostId, '1789');
+    const { posts, corrupt } = await loadPosts();
+    assert.equal(posts.length, 1);
+    assert.equal(corrupt.length, 0);
+  });
+});
+
+describe('importLegacyPostLog', () => {
+  test('imports each line in time order and reports the unreadable ones', async () => {
+    await fs.writeFile(logPath, [
+      legacyLine({ timestamp: '2024-11-17T10:00:00.000Z', walkTitle: 'Towpath Tipple', pubName: 'The White Cross', pubCoords: { lat: 51.4604, lng: -0.3073 } }),
+      '{ not json',
+      '',
+      legacyLine(),
+      legacyLine({ pubName: '' })
+    ].join('\n'));
+
+    const result = await importLegacyPostLog(logPath);
+
+    assert.equal(result.imported, 2);
+    assert.equal(result.skipped, 0);
+    assert.deepEqual(result.corrupt.map(c => c.line), [2, 5]);
+    assert.match(result.corrupt[0].error, /^invalid JSON/);
+    assert.equal(result.corrupt[1].error, 'missing pubName');
+
+    const { posts } = await loadPosts();
+    assert.deepEqual(posts.map(post => post.walkTitle), ['Heath to Hearth', 'Towpath Tipple']);
+    assert.ok(posts.every(post => post.mode === 'imported'));
+    assert.deepEqual(posts[1].pubCoords, { lat: 51.4604, lng: -0.3073 });
+  });
+
+  test('skips lines it has already imported', async () => {
+    await fs.writeFile(logPath, legacyLine());
+
+    assert.equal((await importLegacyPostLog(logPath)).imported, 1);
+    const again = await importLegacyPostLog(logPath);
+    assert.deepEqual(again, { imported: 0, skipped: 1, corrupt: [] });
+  });
+
+  test('imports a post with malformed pub coordinates without them', async () => {
+    await fs.writeFile(logPath, [
+      legacyLine({ pubCoords: { lat: '51.5705', lng: '-0.1735' } }),
+      legacyLine({ timestamp: '2024-11-17T10:00:00.000Z', pubName: 'The Flask', pubCoords: { lat: 51.5705 } })
+    ].join('\n'));
+
+    const result = await importLegacyPostLog(logPath);
+
+    assert.equal(result.imported, 2);
+    assert.deepEqual(result.corrupt, []);
+    const { posts } = await loadPosts();
+    assert.deepEqual(posts.map(post => post.pubCoords), [null, null]);
+  });
+});
@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMatchingPub, groupMatchingPubs, groupPostsByPub } from '../src/services/pub-matching.js';
+
+const crownSoho = { name: 'The Crown', coords: { lat: 51.5136, lng: -0.1318 } };
+const crownIslington = { name: 'The Crown', coords: { lat: 51.5366, lng: -0.1066 } };
+
+describe('findMatchingPub', () => {
+  test('matches the same name in the same spot', () => {
+    const match = findMatchingPub({ name: 'Crown', coords: { lat: 51.5138, lng: -0.1315 } }, [crownSoho]);
+    assert.equal(match.name, 'The Crown');
+    assert.equal(match.similarity, 1);
+  });
+
+  test('keeps pubs with the same name in different places apart', () => {
+    assert.equal(findMatchingPub(crownIslington, [crownSoho]), null);
+  });
+
+  test('matches on name alone when either pub has no coordinates', () => {
+    assert.equal(findMatchingPub({ name: 'The Crown' }, [crownSoho]).name, 'The Crown');
+    assert.equal(findMatchingPub(crownIslington, [{ name: 'Crown Inn', coords: null }]).name, 'Crown Inn');
+  });
+
+  test('matches a loosely similar name right next door', () => {
+    const match = findMatchingPub({ name: 'The Dove Hammersmith', coords: { lat: 51.4908, lng: -0.2354 } }, [
+      { name: 'The Dove', coords: { lat: 51.4909, lng: -0.2352 } }
+    ]);
+    assert.equal(match.name, 'The Dove');
+  });
+});
+
+describe('groupMatchingPubs', () => {
+  test('does not merge namesakes across London', () => {
+    const groups = groupMatchingPubs([crownSoho, crownIslington, { ...crownSoho, name: 'Crown' }]);
+    assert.deepEqual(groups.map(group => group.length), [2, 1]);
+  });
+});
+
+describe('groupPostsByPub', () => {
+  const post = (pubName, pubCoords, area, walkTitle) => ({ pubName, pubCoords, area, walkTitle, timestamp: '2024-11-10T10:00:00.000Z' });
+
+  test('keeps every visit to same-named pubs far apart', () => {
+    const pubs = groupPostsByPub([
+      post('The Crown', crownSoho.coords, 'Soho', 'Soho Stroll'),
+      post('The Crown', crownIslington.coords, 'Islington', 'Canal Crawl'),
+      post('Crown', crownSoho.coords, 'Soho', 'Soho Again')
+    ]);
+
+    assert.deepEqual(pubs.map(pub => pub.label), ['The Crown (Islington)', 'The Crown (Soho)']);
+    assert.deepEqual(pubs[1].visits.map(visit => visit.post.walkTitle), ['Soho Stroll', 'Soho Again']);
+    assert.equal(pubs.reduce((sum, pub) => sum + pub.visits.length, 0), 3);
+  });
+
+  test('labels a pub by its name alone when it has no namesake', () => {
+    const [pub] = groupPostsByPub([post('The Spaniards Inn', null, 'Hampstead', 'Heath to Hearth'), post(null, null, 'Nowhere', 'Old post')]);
+    assert.deepEqual({ name: pub.name, label: pub.label, visits: pub.visits.length }, { name: 'The Spaniards Inn', label: 'The Spaniards Inn', visits: 1 });
+  });
+});
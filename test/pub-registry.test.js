@@ -0,0 +1,100 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeJsonFile } from '../src/services/json-store.js';
+import { addPub, findRegistryPub, importPubs, loadPubRegistry } from '../src/services/pub-registry.js';
+
+const bullsHeadChiswick = {
+  id: 'bulls-head-chiswick',
+  name: "The Bull's Head",
+  aliases: ['Bulls Head Chiswick'],
+  lat: 51.4858,
+  lng: -0.2806,
+  area: 'Chiswick',
+  instagram: null,
+  dog_friendly: true,
+  food: true
+};
+
+// The Bull's Head in Barnes, 2km away across the river
+const BARNES = { lat: 51.4714, lng: -0.2535 };
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sundaypubwalks-registry-'));
+  process.env.PUB_REGISTRY_FILE = path.join(workDir, 'pubs.json');
+});
+
+after(async () => {
+  delete process.env.PUB_REGISTRY_FILE;
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await writeJsonFile(process.env.PUB_REGISTRY_FILE, [bullsHeadChiswick]);
+});
+
+describe('findRegistryPub', () => {
+  test('matches the name or an alias', () => {
+    assert.equal(findRegistryPub('Bulls Head', [bullsHeadChiswick]).pub.id, 'bulls-head-chiswick');
+    assert.equal(findRegistryPub('Bulls Head Chiswick', [bullsHeadChiswick]).similarity, 1);
+    assert.equal(findRegistryPub('The Red Lion', [bullsHeadChiswick]), null);
+  });
+
+  test('matches a namesake only when it is in the same spot', () => {
+    const here = findRegistryPub("The Bull's Head", [bullsHeadChiswick], { lat: 51.4860, lng: -0.2800 });
+    assert.equal(here.pub.id, 'bulls-head-chiswick');
+    assert.ok(here.distanceKm < 0.1);
+
+    assert.equal(findRegistryPub("The Bull's Head", [bullsHeadChiswick], BARNES), null);
+  });
+});
+
+describe('addPub', () => {
+  test('refuses a pub that is already registered', async () => {
+    await assert.rejects(
+      addPub({ name: 'Bulls Head', lat: 51.4858, lng: -0.2806 }),
+      /"Bulls Head" is already registered as "The Bull's Head" \(bulls-head-chiswick\)/
+    );
+  });
+
+  test('adds a namesake in another area under its own id', async () => {
+    const barnes = await addPub({ name: "The Bull's Head", ...BARNES, area: 'Barnes' });
+    const bow = await addPub({ name: "The Bull's Head", lat: 51.5290, lng: -0.0200, area: 'Bow' });
+    const stratford = await addPub({ name: "The Bull's Head", lat: 51.5430, lng: 0.0030 });
+
+    assert.deepEqual([barnes.id, bow.id, stratford.id], ['bulls-head', 'bulls-head-bow', 'bulls-head-2']);
+    assert.equal((await loadPubRegistry()).length, 4);
+  });
+
+  test('refuses an id that is already in use', async () => {
+    await assert.rejects(addPub({ id: 'bulls-head-chiswick', name: 'The Red Lion', lat: 51.5, lng: -0.1 }), /Pub id "bulls-head-chiswick" is already in use/);
+  });
+});
+
+describe('importPubs', () => {
+  test('adds new pubs and namesakes, and skips duplicates and bad entries', async () => {
+    const { added, skipped } = await importPubs([
+      { name: 'The Dove', lat: '51.4909', lng: '-0.2352', area: 'Hammersmith', aliases: 'Dove Hammersmith|The Dove Inn', dog_friendly: 'yes' },
+      { name: "Bull's Head", lat: 51.4859, lng: -0.2805 },
+      { name: "The Bull's Head", ...BARNES, area: 'Barnes' },
+      { name: 'The Dove', lat: 51.4909, lng: -0.2352 },
+      { name: 'Nowhere Arms', lat: 'north', lng: 0 },
+      { lat: 51.5, lng: 0 }
+    ]);
+
+    assert.deepEqual(added.map(pub => pub.id), ['dove', 'bulls-head']);
+    assert.deepEqual(added[0].aliases, ['Dove Hammersmith', 'The Dove Inn']);
+    assert.equal(added[0].dog_friendly, true);
+    assert.deepEqual(skipped, [
+      { name: "Bull's Head", reason: 'already registered as "The Bull\'s Head"' },
+      { name: 'The Dove', reason: 'already registered as "The Dove"' },
+      { name: 'Nowhere Arms', reason: 'Pub "Nowhere Arms" has invalid coordinates (lat: north, lng: 0)' },
+      { name: '(unnamed)', reason: 'Pub entry is missing a name' }
+    ]);
+    assert.equal((await loadPubRegistry()).length, 3);
+  });
+});
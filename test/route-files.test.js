@@ -0,0 +1,38 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGpx, buildKml, buildRouteFile, hasRoute } from '../src/services/route-files.js';
+import { heathWalk as walk } from './fixtures.js';
+
+describe('route files', () => {
+  test('only walks with a start and a pub waypoint have a route', () => {
+    assert.equal(hasRoute(walk), true);
+    assert.equal(hasRoute({ ...walk, waypoints: walk.waypoints.slice(0, 1) }), false);
+    assert.equal(hasRoute({ walk_title: 'Old walk' }), false);
+  });
+
+  test('GPX has every waypoint and the route in order', () => {
+    const gpx = buildGpx(walk, { url: 'https://example.com/walks/heath-and-hearth' });
+
+    assert.match(gpx, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+    assert.match(gpx, /<name>Heath &amp; Hearth<\/name>/);
+    assert.match(gpx, /<desc>4\.5 km from Hampstead tube station to The Spaniards Inn<\/desc>/);
+    assert.match(gpx, /<link href="https:\/\/example.com\/walks\/heath-and-hearth">/);
+    assert.equal(gpx.match(/<wpt /g).length, 3);
+    assert.deepEqual(
+      [...gpx.matchAll(/<rtept lat="([\d.-]+)" lon="([\d.-]+)">/g)].map(([, lat, lon]) => [Number(lat), Number(lon)]),
+      walk.waypoints.map(wp => [wp.lat, wp.lng])
+    );
+  });
+
+  test('KML puts coordinates in lng,lat order', () => {
+    const kml = buildKml(walk);
+
+    assert.match(kml, /<kml xmlns="http:\/\/www.opengis.net\/kml\/2.2">/);
+    assert.match(kml, /<Point><coordinates>-0.178,51.5566<\/coordinates><\/Point>/);
+    assert.match(kml, /<coordinates>-0.178,51.5566 -0.151,51.5586 -0.1735,51.5705<\/coordinates>/);
+  });
+
+  test('rejects unknown formats', () => {
+    assert.throws(() => buildRouteFile(walk, 'shp'), /Unknown route format "shp"/);
+  });
+});
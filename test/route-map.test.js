@@ -0,0 +1,129 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectRoute, chooseScaleBar, placeLabels } from '../src/services/route-map.js';
+import { buildDirectionsCardSvg, buildRouteMapSvg, loadBrand } from '../src/services/slides.js';
+import { haversineKm } from '../src/services/geo.js';
+import { heathWalk as walk } from './fixtures.js';
+
+const brand = await loadBrand();
+
+describe('projectRoute', () => {
+  const box = { width: 900, height: 640, padding: 90 };
+
+  test('fits the route inside the padded box, north up', () => {
+    const { points } = projectRoute(walk.waypoints, box);
+
+    for (const { x, y } of points) {
+      assert.ok(x >= 90 && x <= 810, `x ${x} inside`);
+      assert.ok(y >= 90 && y <= 550, `y ${y} inside`);
+    }
+    const [start, hill, pub] = points;
+    assert.ok(pub.y < start.y, 'the pub is north of the station, so higher up');
+    assert.ok(hill.x > start.x, 'Parliament Hill is east of the station, so further right');
+    assert.equal(pub.name, 'The Spaniards Inn');
+  });
+
+  test('keeps distances to scale', () => {
+    const { points, kmPerPx } = projectRoute(walk.waypoints, box);
+    const [start, hill] = points;
+    const mapKm = Math.hypot(hill.x - start.x, hill.y - start.y) * kmPerPx;
+    const realKm = haversineKm(walk.waypoints[0], walk.waypoints[1]);
+
+    assert.ok(Math.abs(mapKm - realKm) / realKm < 0.01, `${mapKm} km on the map vs ${realKm} km`);
+  });
+
+  test('does not zoom in on a very short route', () => {
+    const { kmPerPx } = projectRoute([
+      { name: 'A', lat: 51.5, lng: -0.1 },
+      { name: 'B', lat: 51.5001, lng: -0.1 }
+    ], box);
+    assert.ok(kmPerPx * 460 >= 0.59, 'the box still shows at least 0.6 km');
+  });
+
+  test('needs at least two usable waypoints', () => {
+    assert.equal(projectRoute([walk.waypoints[0]], box), null);
+    assert.equal(projectRoute([walk.waypoints[0], { name: 'Nowhere', lat: null, lng: 0 }], box), null);
+    assert.equal(projectRoute(undefined, box), null);
+  });
+});
+
+describe('chooseScaleBar', () => {
+  test('picks the longest tidy length that fits', () => {
+    assert.deepEqual(chooseScaleBar(0.005, 220), { km: 1, px: 200, label: '1 km' });
+    assert.deepEqual(chooseScaleBar(0.002, 220), { km: 0.25, px: 125, label: '250 m' });
+  });
+});
+
+describe('placeLabels', () => {
+  const bounds = { left: 0, top: 0, right: 500, bottom: 500 };
+
+  test('puts a label to the right of its marker when there is room', () => {
+    const [place] = placeLabels([{ x: 100, y: 100, width: 120, height: 30, gap: 20 }], bounds);
+    assert.deepEqual(place, { anchor: 'start', x: 120, top: 85 });
+  });
+
+  test('moves labels off the edge of the map and away from each other', () => {
+    const [edge, first, second] = placeLabels([
+      { x: 450, y: 100, width: 120, height: 30, gap: 20 },
+      { x: 100, y: 300, width: 120, height: 30, gap: 20 },
+      { x: 100, y: 310, width: 120, height: 30, gap: 20 }
+    ], bounds);
+
+    assert.equal(edge.anchor, 'end');
+    assert.equal(first.anchor, 'start');
+    assert.notEqual(second.anchor, 'start');
+  });
+
+  test('drops a label that fits nowhere', () => {
+    const [place] = placeLabels([{ x: 250, y: 250, width: 120, height: 30, gap: 20 }], bounds, [bounds]);
+    assert.equal(place, null);
+  });
+});
+
+describe('buildRouteMapSvg', () => {
+  test('draws the path, the start and pub markers and a scale bar', () => {
+    const svg = buildRouteMapSvg(walk, brand);
+
+    assert.match(svg, /<polyline points="[\d., ]+"/);
+    assert.match(svg, />START</);
+    assert.match(svg, />PUB</);
+    assert.match(svg, />The Spaniards Inn</);
+    assert.match(svg, /Heath &amp; Hearth/);
+    assert.match(svg, />\d+(\.\d+)? k?m</);
+    assert.match(svg, /4\.5 km to The Spaniards Inn/);
+  });
+
+  test('is skipped for walks without waypoints', () => {
+    assert.equal(buildRouteMapSvg({ ...walk, waypoints: undefined }, brand), null);
+  });
+});
+
+describe('buildDirectionsCardSvg', () => {
+  /**
+   * Text lines of the card between the heading and the footer, with their y
+   */
+  function stepText(svg) {
+    return [...svg.matchAll(/<text x="\d+" y="([\d.]+)"[^>]*>([^<]*)<\/text>/g)]
+      .map(([, y, text]) => ({ y: Number(y), text }))
+      .filter(({ y }) => y > 200 && y < 980);
+  }
+
+  test('keeps every step when they fit', () => {
+    const svg = buildDirectionsCardSvg({ ...walk, directions: ['Up the hill', 'Across the heath', 'Into the pub'] }, brand);
+    const text = stepText(svg).map(line => line.text);
+
+    assert.ok(text.includes('Into the pub'));
+    assert.ok(!text.some(line => line.includes('…')));
+  });
+
+  test('cuts steps too long for the card with an ellipsis instead of overflowing', () => {
+    const step = 'Follow the path past the ponds and the old oak, keep the fence on your left and bear right at the fork. '.repeat(3);
+    const svg = buildDirectionsCardSvg({ ...walk, directions: Array.from({ length: 9 }, (_, i) => `Step ${i + 1}: ${step}`) }, brand);
+    const lines = stepText(svg);
+
+    assert.ok(lines.every(({ y }) => y <= 940), 'nothing below the text area');
+    assert.ok(lines.at(-1).text.endsWith('…'));
+    assert.equal(lines.filter(({ text }) => text.endsWith('…')).length, 1);
+    assert.ok(lines.length > 10, 'the card is still filled');
+  });
+});
@@ -0,0 +1,275 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const SECRET = 'test-secret';
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+const ARCHIVE_POSTS = [
+  {
+    id: 'post-1',
+    timestamp: '2024-11-09T10:00:00.000Z',
+    mode: 'production',
+    walkTitle: 'Heath to Hearth',
+    slug: 'heath-to-hearth',
+    pubName: 'The Spaniards Inn',
+    area: 'Hampstead Heath',
+    areaId: 'north-london',
+    image: { url: 'https://example.com/images/walk.png', localPath: '/srv/generated/walk.png' },
+    weather: { summary: 'Clear sky, 12°C', tip: 'Bring a warm layer.', source: 'live', bestWindow: { start: '11:00', end: '13:00' }, sunset: '16:19' },
+    walk: {
+      walk_title: 'Heath to Hearth',
+      area: 'Hampstead Heath, North London',
+      area_short: 'Hampstead Heath',
+      start_point: 'Hampstead tube station',
+      end_pub_name: 'The Spaniards Inn',
+      end_pub_handle: '@thespaniardsinn',
+      distance_km: 4.5,
+      duration_minutes: 75,
+      difficulty: 'moderate',
+      dog_friendly: true,
+      highlights: ['Views from Parliament Hill', 'Ancient <woodland>'],
+      directions: ['Step 1: Leave the station', 'Step 2: Head up Flask Walk', 'Step 3: Cross the Heath', 'Step 4: Arrive at the pub'],
+      waypoints: [
+        { name: 'Hampstead tube station', type: 'start', lat: 51.5566, lng: -0.178 },
+        { name: 'The Spaniards Inn', type: 'pub', lat: 51.5705, lng: -0.1735 }
+      ]
+    }
+  },
+  {
+    id: 'post-2',
+    timestamp: '2024-11-02T10:00:00.000Z',
+    mode: 'development',
+    walkTitle: 'Not Really Posted',
+    slug: 'not-really-posted',
+    pubName: 'The Test Arms',
+    walk: { walk_title: 'Not Really Posted', area_short: 'Nowhere', end_pub_name: 'The Test Arms' }
+  }
+];
+
+let server;
+let port;
+let workDir;
+let listeningOnImport;
+
+before(async () => {
+  // index.js serves generated/ relative to the working directory
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sundaypubwalks-server-'));
+  await fs.mkdir(path.join(workDir, 'generated'));
+  await fs.writeFile(path.join(workDir, 'generated', 'walk.png'), PNG);
+  await fs.writeFile(path.join(workDir, 'secret.txt'), 'do not serve me');
+  // The walk archive needs the area and brand config, and some post history
+  await fs.cp(path.join(process.cwd(), 'config'), path.join(workDir, 'config'), { recursive: true });
+  await fs.writeFile(path.join(workDir, 'posts.json'), JSON.stringify({ version: 1, posts: ARCHIVE_POSTS }));
+  process.chdir(workDir);
+
+  process.env.TRIGGER_SECRET = SECRET;
+  process.env.DRAFTS_FILE = path.join(workDir, 'drafts.json');
+  process.env.POST_STORE_FILE = path.join(workDir, 'posts.json');
+  process.env.INSTAGRAM_TOKEN_FILE = path.join(workDir, 'instagram-token.json');
+  delete process.env.INSTAGRAM_ACCESS_TOKEN;
+
+  ({ server } = await import('../src/index.js'));
+  listeningOnImport = server.listening;
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Make a raw request (the path is sent exactly as given, no normalising)
+ */
+function request(requestPath, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: requestPath, method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const isJson = (res.headers['content-type'] || '').includes('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(body) : body });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('importing index.js does not start the server', () => {
+  assert.equal(listeningOnImport, false);
+});
+
+describe('status routes', () => {
+  test('GET /health reports healthy with the token status', async () => {
+    const res = await request('/health');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'healthy');
+    assert.deepEqual(Object.keys(res.body.instagramToken), ['valid', 'expiresAt', 'daysRemaining', 'checkedAt']);
+  });
+
+  test('GET /health stays healthy with a corrupt token file', async () => {
+    await fs.writeFile(process.env.INSTAGRAM_TOKEN_FILE, 'not json');
+    try {
+      const res = await request('/health');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.instagramToken.valid, false);
+      assert.match(res.body.instagramToken.error, /Could not read/);
+    } finally {
+      await fs.rm(process.env.INSTAGRAM_TOKEN_FILE, { force: true });
+    }
+  });
+
+  test('GET / shows the status page', async () => {
+    const res = await request('/');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/html/);
+    assert.match(res.body.toString(), /Sunday Pub Walks Bot/);
+  });
+
+  test('unknown paths are 404', async () => {
+    const res = await request('/nope');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Not Found');
+  });
+});
+
+describe('auth', () => {
+  for (const route of ['/trigger', '/preview']) {
+    test(`${route} needs the secret`, async () => {
+      assert.equal((await request(route)).status, 401);
+      assert.equal((await request(`${route}?secret=wrong`)).status, 401);
+    });
+  }
+
+  test('/drafts needs the secret', async () => {
+    assert.equal((await request('/drafts')).status, 401);
+    assert.equal((await request('/drafts', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  });
+
+  test('/drafts accepts the secret as a query param or bearer token', async () => {
+    const byQuery = await request(`/drafts?secret=${SECRET}`);
+    assert.equal(byQuery.status, 200);
+    assert.deepEqual(byQuery.body.drafts, []);
+
+    const byHeader = await request('/drafts', { headers: { Authorization: `Bearer ${SECRET}` } });
+    assert.equal(byHeader.status, 200);
+  });
+
+  test('unknown drafts are 404', async () => {
+    const res = await request(`/drafts/does-not-exist?secret=${SECRET}`);
+    assert.equal(res.status, 404);
+  });
+
+  test('bodies that are not JSON objects are 400', async () => {
+    for (const body of ['null', '[]', '"x"', '42', '{"walk":"x"}', '{"weather":[1]}', '{"caption":7}']) {
+      const edit = await request(`/drafts/some-draft?secret=${SECRET}`, { method: 'PATCH', body });
+      assert.equal(edit.status, 400, `PATCH ${body}`);
+    }
+    for (const body of ['null', '[]', '"x"']) {
+      const reject = await request(`/drafts/some-draft/reject?secret=${SECRET}`, { method: 'POST', body });
+      assert.equal(reject.status, 400, `reject ${body}`);
+      assert.equal(reject.body.error, 'Request body must be a JSON object');
+    }
+  });
+});
+
+describe('/images/', () => {
+  test('serves generated images with the right content type', async () => {
+    const res = await request('/images/walk.png');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.deepEqual(res.body, PNG);
+  });
+
+  test('missing images are 404', async () => {
+    const res = await request('/images/missing.png');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Not Found');
+  });
+
+  test('the directory itself is not served', async () => {
+    assert.equal((await request('/images/')).status, 404);
+  });
+
+  for (const attempt of [
+    '/images/../secret.txt',
+    '/images/..%2fsecret.txt',
+    '/images/%2e%2e%2fsecret.txt',
+    '/images/..%5csecret.txt',
+    '/images/generated/../../secret.txt'
+  ]) {
+    test(`does not serve files outside generated/: ${attempt}`, async () => {
+      const res = await request(attempt);
+      assert.equal(res.status, 404);
+      assert.doesNotMatch(Buffer.isBuffer(res.body) ? res.body.toString() : JSON.stringify(res.body), /do not serve me/);
+    });
+  }
+});
+
+describe('/walks', () => {
+  test('lists published walks as a public HTML page', async () => {
+    const res = await request('/walks');
+    const html = res.body.toString();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/html/);
+    assert.match(html, /href="\/walks\/heath-to-hearth"/);
+    assert.match(html, /src="\/images\/walk.png"/);
+    assert.doesNotMatch(html, /Not Really Posted/);
+  });
+
+  test('filters the list', async () => {
+    assert.match((await request('/walks?area=north-london&dog=1')).body.toString(), /Heath to Hearth/);
+    assert.doesNotMatch((await request('/walks?difficulty=easy')).body.toString(), /href="\/walks\/heath-to-hearth"/);
+    assert.doesNotMatch((await request('/walks?kid=1')).body.toString(), /href="\/walks\/heath-to-hearth"/);
+  });
+
+  test('shows a walk in full', async () => {
+    const res = await request('/walks/heath-to-hearth');
+    const html = res.body.toString();
+
+    assert.equal(res.status, 200);
+    assert.match(html, /<h1>Heath to Hearth<\/h1>/);
+    assert.match(html, /4\.5 km/);
+    assert.match(html, /<li>Ancient &lt;woodland&gt;<\/li>/);
+    assert.match(html, /<li>Head up Flask Walk<\/li>/);
+    assert.match(html, /The Spaniards Inn/);
+    assert.match(html, /Sunday forecast/);
+    assert.match(html, /Best time to set off: 11:00–13:00 \(sunset 16:19\)/);
+  });
+
+  test('unknown walks are a 404 page', async () => {
+    const res = await request('/walks/not-really-posted');
+    assert.equal(res.status, 404);
+    assert.match(res.body.toString(), /Walk not found/);
+  });
+
+  test('serves the route as GPX and KML downloads', async () => {
+    const gpx = await request('/walks/heath-to-hearth.gpx');
+    assert.equal(gpx.status, 200);
+    assert.match(gpx.headers['content-type'], /application\/gpx\+xml/);
+    assert.equal(gpx.headers['content-disposition'], 'attachment; filename="heath-to-hearth.gpx"');
+    assert.match(gpx.body.toString(), /<rtept lat="51.5566" lon="-0.178">/);
+
+    const kml = await request('/walks/heath-to-hearth.kml');
+    assert.equal(kml.status, 200);
+    assert.match(kml.headers['content-type'], /application\/vnd.google-earth.kml\+xml/);
+
+    assert.match((await request('/walks/heath-to-hearth')).body.toString(), /href="\/walks\/heath-to-hearth.gpx"/);
+  });
+
+  test('route files for unknown walks are 404', async () => {
+    assert.equal((await request('/walks/nowhere.gpx')).status, 404);
+  });
+
+  test('is read-only', async () => {
+    assert.equal((await request('/walks', { method: 'POST' })).status, 405);
+  });
+});
@@ -0,0 +1,133 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildArchive, filterArchiveWalks, listArchiveAreas, parseArchiveFilters } from '../src/services/walk-archive.js';
+import { renderWalkPage } from '../src/services/archive-pages.js';
+import { loadBrand } from '../src/services/slides.js';
+
+const areas = [
+  { id: 'north-london', label: 'North London (Hampstead, Highgate, or Primrose Hill)', keywords: ['hampstead'] },
+  { id: 'thames-path', label: 'Thames Path (anywhere along the river through London)', keywords: ['thames', 'richmond'] }
+];
+
+function post(overrides = {}, walk = {}) {
+  return {
+    id: `post-${Math.random()}`,
+    timestamp: '2024-11-09T10:00:00.000Z',
+    mode: 'production',
+    walkTitle: 'Heath to Hearth',
+    slug: 'heath-to-hearth',
+    pubName: 'The Spaniards Inn',
+    area: 'Hampstead Heath',
+    areaId: 'north-london',
+    image: { url: 'https://example.com/images/walk-1.png', localPath: '/srv/generated/walk-1.png' },
+    weather: { summary: 'Clear sky, 12°C', source: 'live' },
+    walk: {
+      walk_title: 'Heath to Hearth',
+      area_short: 'Hampstead Heath',
+      difficulty: 'moderate',
+      dog_friendly: true,
+      kid_friendly: false,
+      pram_friendly: false,
+      ...walk
+    },
+    ...overrides
+  };
+}
+
+describe('buildArchive', () => {
+  test('lists walks newest first with their area and a local image URL', () => {
+    const archive = buildArchive([
+      post(),
+      post({ timestamp: '2024-11-16T10:00:00.000Z', walkTitle: 'Towpath Tipple', slug: 'towpath-tipple', area: 'Richmond', areaId: null }, { walk_title: 'Towpath Tipple', area_short: 'Richmond' })
+    ], areas);
+
+    assert.deepEqual(archive.map(entry => entry.slug), ['towpath-tipple', 'heath-to-hearth']);
+    assert.deepEqual(archive[0].area, { id: 'thames-path', label: 'Thames Path' });
+    assert.deepEqual(archive[1].area, { id: 'north-london', label: 'North London' });
+    assert.equal(archive[1].imageUrl, '/images/walk-1.png');
+  });
+
+  test('links the route map slide when the post has one', () => {
+    const slides = [
+      { kind: 'map', url: 'https://example.com/images/walk-1-map.png', localPath: '/srv/generated/walk-1-map.png' },
+      { kind: 'route', url: 'https://example.com/images/walk-1-route.png', localPath: '/srv/generated/walk-1-route.png' }
+    ];
+    const [withMap] = buildArchive([post({ slides })], areas);
+    const [withoutMap] = buildArchive([post({ slides: slides.slice(1) })], areas);
+
+    assert.equal(withMap.mapUrl, '/images/walk-1-map.png');
+    assert.equal(withoutMap.mapUrl, null);
+  });
+
+  test('leaves out posts without walk data', () => {
+    assert.equal(buildArchive([post({ walk: null })], areas).length, 0);
+  });
+
+  test('keeps slugs unique when a title is posted twice', () => {
+    const archive = buildArchive([post(), post({ timestamp: '2025-03-02T10:00:00.000Z' })], areas);
+    assert.deepEqual(archive.map(entry => entry.slug), ['heath-to-hearth-2025-03-02', 'heath-to-hearth']);
+  });
+
+  test('never moves the first walk off its slug when the title comes round again', () => {
+    const before = buildArchive([post()], areas);
+    const after = buildArchive([post({ timestamp: '2025-03-02T10:00:00.000Z' }), post()], areas);
+    const first = after.find(entry => entry.postedAt === '2024-11-09T10:00:00.000Z');
+    assert.equal(first.slug, before[0].slug);
+  });
+
+  test('falls back to the walk area when no configured area matches', () => {
+    const [entry] = buildArchive([post({ areaId: null, area: 'Epsom Downs' }, { area_short: 'Epsom Downs' })], areas);
+    assert.deepEqual(entry.area, { id: 'epsom-downs', label: 'Epsom Downs' });
+  });
+});
+
+describe('archive filters', () => {
+  const archive = buildArchive([
+    post(),
+    post({ timestamp: '2024-11-16T10:00:00.000Z', slug: 'towpath-tipple', areaId: 'thames-path' }, { difficulty: 'easy', dog_friendly: false, kid_friendly: true, pram_friendly: true })
+  ], areas);
+
+  test('parses the query string, ignoring unknown values', () => {
+    assert.deepEqual(
+      parseArchiveFilters(new URLSearchParams('area=north-london&difficulty=easy&dog=1&kid=on&pram=0')),
+      { area: 'north-london', difficulty: 'easy', flags: ['dog', 'kid'] }
+    );
+    assert.deepEqual(parseArchiveFilters(new URLSearchParams('difficulty=extreme')), { area: null, difficulty: null, flags: [] });
+  });
+
+  test('filters by area, difficulty and flags', () => {
+    const slugs = filters => filterArchiveWalks(archive, filters).map(entry => entry.slug);
+
+    assert.deepEqual(slugs({}), ['towpath-tipple', 'heath-to-hearth']);
+    assert.deepEqual(slugs({ area: 'north-london' }), ['heath-to-hearth']);
+    assert.deepEqual(slugs({ difficulty: 'easy' }), ['towpath-tipple']);
+    assert.deepEqual(slugs({ flags: ['dog'] }), ['heath-to-hearth']);
+    assert.deepEqual(slugs({ flags: ['kid', 'pram'] }), ['towpath-tipple']);
+    assert.deepEqual(slugs({ area: 'north-london', flags: ['kid'] }), []);
+  });
+
+  test('lists the areas that have walks', () => {
+    assert.deepEqual(listArchiveAreas(archive), [
+      { id: 'north-london', label: 'North London', count: 1 },
+      { id: 'thames-path', label: 'Thames Path', count: 1 }
+    ]);
+  });
+});
+
+describe('renderWalkPage', () => {
+  test('links the pub to the map at its coordinates', async () => {
+    const [entry] = buildArchive([post({}, { end_pub_name: 'The Spaniards Inn', end_pub_coords: { lat: 51.5705, lng: -0.1735 } })], areas);
+    const html = renderWalkPage(entry, await loadBrand());
+    assert.match(html, /href="https:\/\/www\.openstreetmap\.org\/\?mlat=51\.5705&amp;mlon=-0\.1735#map=17\/51\.5705\/-0\.1735">Map</);
+  });
+
+  test('leaves the map link out when the coordinates are not real ones', async () => {
+    const brand = await loadBrand();
+    for (const end_pub_coords of [{ lat: '51"><script>alert(1)</script>', lng: 0 }, { lat: 95, lng: 0 }, { lat: 51.5 }]) {
+      const [entry] = buildArchive([post({}, { end_pub_name: 'The Spaniards Inn', end_pub_coords })], areas);
+      const html = renderWalkPage(entry, brand);
+      assert.doesNotMatch(html, /openstreetmap/);
+      assert.doesNotMatch(html, /<script>alert/);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadScoringConfig, rankWalks, scoreWalk } from '../src/services/walk-scoring.js';
+
+const heath = {
+  walk_title: 'Heath to Hearth',
+  area: 'Hampstead Heath, North London',
+  area_short: 'Hampstead Heath',
+  terrain: 'Open heath and a steep hill',
+  difficulty: 'challenging',
+  distance_km: 7,
+  highlights: ['Views from Parliament Hill', 'Wild heath'],
+  directions: ['One', 'Two', 'Three', 'Four', 'Five']
+};
+
+const canal = {
+  walk_title: 'Towpath Tipple',
+  area: "Regent's Canal, North London",
+  area_short: "Regent's Canal",
+  terrain: 'Sheltered canal towpath',
+  difficulty: 'easy',
+  distance_km: 4,
+  highlights: ['Camden Market', 'Narrowboats'],
+  pub_description: 'Cosy pub with a roaring fire',
+  directions: ['One', 'Two', 'Three', 'Four', 'Five']
+};
+
+const riverside = {
+  ...canal,
+  walk_title: 'Thames Terrace Trot',
+  area_short: 'Richmond',
+  terrain: 'Riverside path along the Thames',
+  pub_description: 'Big riverside terrace'
+};
+
+describe('weather scoring', () => {
+  test('has no weather component without an outlook', async () => {
+    const config = await loadScoringConfig();
+    assert.equal(scoreWalk(heath, { config }).breakdown.weather, undefined);
+    assert.equal(scoreWalk(heath, { config, outlook: { conditions: [], bad: false } }).breakdown.weather, undefined);
+  });
+
+  test('prefers sheltered, short walks when it is wet and windy', async () => {
+    const config = await loadScoringConfig();
+    const outlook = { conditions: ['wet', 'windy'], bad: true };
+
+    assert.equal(scoreWalk(heath, { config, outlook }).breakdown.weather, 0);
+    assert.equal(scoreWalk(canal, { config, outlook }).breakdown.weather, 1);
+    assert.equal(rankWalks([heath, canal], { config, outlook })[0].walk, canal);
+  });
+
+  test('rules out challenging walks in bad weather however sheltered', async () => {
+    const config = await loadScoringConfig();
+    const outlook = { conditions: ['wet'], bad: true };
+    assert.equal(scoreWalk({ ...canal, difficulty: 'challenging' }, { config, outlook }).breakdown.weather, 0);
+  });
+
+  test('prefers riverside terraces when it is sunny', async () => {
+    const config = await loadScoringConfig();
+    const outlook = { conditions: ['sunny'], bad: false };
+
+    assert.ok(scoreWalk(riverside, { config, outlook }).breakdown.weather > scoreWalk(heath, { config, outlook }).breakdown.weather);
+  });
+});
+
+describe('loadScoringConfig', () => {
+  /**
+   * Write a scoring config to a temp file and load it
+   */
+  async function loadConfig(config) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scoring-'));
+    const configPath = path.join(dir, 'scoring.json');
+    await fs.writeFile(configPath, JSON.stringify(config));
+    return loadScoringConfig(configPath);
+  }
+
+  test('keeps the defaults a partial section leaves out', async () => {
+    const config = await loadConfig({ distanceBandKm: { max: 9 }, idealDirectionSteps: { min: 4 } });
+
+    assert.deepEqual(config.distanceBandKm, { min: 4, max: 9, tolerance: 3 });
+    assert.deepEqual(config.idealDirectionSteps, { min: 4, max: 7 });
+
+    const { total, breakdown } = scoreWalk({ ...heath, distance_km: 9 }, { config });
+    assert.ok(Number.isFinite(total));
+    assert.equal(breakdown.distance, 1);
+  });
+
+  test('replaces lists rather than merging them', async () => {
+    const config = await loadConfig({ seasonKeywords: { winter: ['frost'] } });
+    assert.deepEqual(config.seasonKeywords.winter, ['frost']);
+    assert.ok(Array.isArray(config.seasonKeywords.summer));
+  });
+
+  test('fails loudly on a value that would score as NaN', async () => {
+    await assert.rejects(
+      loadConfig({ distanceBandKm: { max: 'nine' }, recentPostWindow: 0 }),
+      /distanceBandKm\.max must be a number; recentPostWindow must be a whole number/
+    );
+  });
+});
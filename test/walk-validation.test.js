@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { findKnownArea, loadGeoConfig, validateWaypoints } from '../src/services/walk-validation.js';
+
+const walk = {
+  walk_title: 'Heath to Hearth',
+  end_pub_name: 'The Spaniards Inn',
+  end_pub_coords: { lat: 51.5705, lng: -0.1735 },
+  distance_km: 4.5,
+  waypoints: [
+    { name: 'Hampstead tube station', type: 'start', lat: 51.5566, lng: -0.178 },
+    { name: 'Parliament Hill', type: 'landmark', lat: 51.5586, lng: -0.151 },
+    { name: 'Kenwood House', type: 'landmark', lat: 51.5712, lng: -0.1675 },
+    { name: 'The Spaniards Inn', type: 'pub', lat: 51.5705, lng: -0.1735 }
+  ]
+};
+
+const withWaypoints = (waypoints, overrides = {}) => ({ ...walk, waypoints, ...overrides });
+const code = async candidate => validateWaypoints(candidate, (await loadGeoConfig()).boundary).reason?.code ?? 'VALID';
+
+describe('validateWaypoints', () => {
+  test('accepts an ordered route inside London', async () => {
+    assert.equal(await code(walk), 'VALID');
+  });
+
+  test('needs at least a start and a pub', async () => {
+    assert.equal(await code(withWaypoints(undefined)), 'MISSING_WAYPOINTS');
+    assert.equal(await code(withWaypoints(walk.waypoints.slice(0, 1))), 'MISSING_WAYPOINTS');
+  });
+
+  test('rejects waypoints without coordinates', async () => {
+    assert.equal(await code(withWaypoints([walk.waypoints[0], { name: 'Somewhere', type: 'landmark' }, walk.waypoints[3]])), 'INVALID_WAYPOINT');
+  });
+
+  test('rejects waypoints outside London', async () => {
+    const brighton = { name: 'Brighton Pier', type: 'landmark', lat: 50.8168, lng: -0.1367 };
+    assert.equal(await code(withWaypoints([walk.waypoints[0], brighton, walk.waypoints[3]])), 'WAYPOINT_OUTSIDE_LONDON');
+  });
+
+  test('must run from the start to the pub', async () => {
+    assert.equal(await code(withWaypoints([...walk.waypoints].reverse())), 'WAYPOINT_ORDER');
+  });
+
+  test('must finish at the pub', async () => {
+    const elsewhere = { ...walk.waypoints[3], lat: 51.5566, lng: -0.19 };
+    assert.equal(await code(withWaypoints([...walk.waypoints.slice(0, 3), elsewhere])), 'PUB_WAYPOINT_MISMATCH');
+  });
+
+  test('rejects routes far longer than the walk', async () => {
+    assert.equal(await code({ ...walk, distance_km: 2 }), 'ROUTE_TOO_LONG');
+  });
+});
+
+describe('findKnownArea', () => {
+  test('prefers an exact name over a longer one containing it', async () => {
+    const { gazetteer } = await loadGeoConfig();
+    for (const name of ['Richmond', 'Wimbledon', 'Clapham', 'Hampstead']) {
+      assert.equal(findKnownArea(name, gazetteer).name, name);
+    }
+    assert.equal(findKnownArea("regents park", gazetteer).name, "Regent's Park");
+  });
+
+  test('otherwise takes the most specific name the area contains', async () => {
+    const { gazetteer } = await loadGeoConfig();
+    assert.equal(findKnownArea('Richmond Park & Petersham', gazetteer).name, 'Richmond Park');
+    assert.equal(findKnownArea('Tatooine', gazetteer), null);
+  });
+});
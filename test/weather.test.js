@@ -0,0 +1,330 @@
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeJsonFile } from '../src/services/json-store.js';
+import {
+  analyseSundayForecast,
+  describeWalkingConditions,
+  describeWeatherSource,
+  fetchWeatherSummary,
+  findCachedForecast,
+  formatWeatherData,
+  getClimatologyWeather,
+  getSunsetTime,
+  getTipForConditions,
+  getNextSunday,
+  getPublishableWeatherSources
+} from '../src/services/weather.js';
+
+/**
+ * A forecast entry shaped like OpenWeatherMap's 3-hourly forecast
+ */
+function forecast({ temp = 12, feelsLike = temp, main = 'Clouds', description = 'scattered clouds', windMs = 3, pop = 0 } = {}) {
+  return {
+    main: { temp, feels_like: feelsLike },
+    weather: [{ main, description }],
+    wind: { speed: windMs },
+    pop
+  };
+}
+
+describe('getNextSunday', () => {
+  test('returns the coming Sunday at midday', () => {
+    const sunday = getNextSunday(new Date(2024, 10, 6, 9, 30)); // Wednesday
+    assert.equal(sunday.getDay(), 0);
+    assert.equal(sunday.getDate(), 10);
+    assert.equal(sunday.getHours(), 12);
+    assert.equal(sunday.getMinutes(), 0);
+  });
+
+  test('on a Saturday, returns the next day', () => {
+    assert.equal(getNextSunday(new Date(2024, 10, 9, 23, 59)).getDate(), 10);
+  });
+
+  test('on a Sunday, returns the following Sunday', () => {
+    assert.equal(getNextSunday(new Date(2024, 10, 10, 8, 0)).getDate(), 17);
+    assert.equal(getNextSunday(new Date(2024, 10, 10, 18, 0)).getDate(), 17);
+  });
+
+  test('rolls over month and year ends', () => {
+    const endOfMonth = getNextSunday(new Date(2024, 9, 31)); // Thursday 31 Oct
+    assert.deepEqual([endOfMonth.getMonth(), endOfMonth.getDate()], [10, 3]);
+
+    const endOfYear = getNextSunday(new Date(2025, 11, 29)); // Monday 29 Dec
+    assert.deepEqual([endOfYear.getFullYear(), endOfYear.getMonth(), endOfYear.getDate()], [2026, 0, 4]);
+  });
+
+  test('does not modify the date passed in', () => {
+    const today = new Date(2024, 10, 6, 9, 30);
+    getNextSunday(today);
+    assert.equal(today.getDate(), 6);
+    assert.equal(today.getHours(), 9);
+  });
+});
+
+describe('formatWeatherData', () => {
+  test('capitalises the description and rounds the temperature', () => {
+    const { summary } = formatWeatherData(forecast({ temp: 11.6, description: 'light rain' }));
+    assert.equal(summary, 'Light rain, 12°C');
+  });
+
+  test('mentions feels-like only when it differs by more than 3°C', () => {
+    assert.equal(formatWeatherData(forecast({ temp: 10, feelsLike: 7 })).summary, 'Scattered clouds, 10°C');
+    assert.equal(formatWeatherData(forecast({ temp: 10, feelsLike: 6 })).summary, 'Scattered clouds, 10°C (feels like 6°C)');
+  });
+
+  test('includes a tip', () => {
+    const { tip } = formatWeatherData(forecast({ temp: 5 }));
+    assert.equal(tip, 'Pack plenty of layers.');
+  });
+
+  test('converts wind from m/s to mph for the tip', () => {
+    // 9 m/s is ~20 mph: not quite blustery
+    assert.doesNotMatch(formatWeatherData(forecast({ windMs: 9 })).tip, /blustery/);
+    assert.match(formatWeatherData(forecast({ windMs: 9.5 })).tip, /blustery/);
+  });
+});
+
+describe('getTipForConditions', () => {
+  test('gives temperature tips by band', () => {
+    assert.equal(getTipForConditions('clouds', 7, 5, 0), 'Pack plenty of layers.');
+    assert.equal(getTipForConditions('clouds', 12, 5, 0), 'Bring a warm layer.');
+    assert.equal(getTipForConditions('clouds', 22, 5, 0), 'Sun cream and a hat recommended.');
+  });
+
+  test('gives rain tips by probability', () => {
+    assert.match(getTipForConditions('clouds', 15, 5, 0.7), /waterproofs essential/i);
+    assert.match(getTipForConditions('clouds', 15, 5, 0.4), /pack a waterproof just in case/i);
+    assert.doesNotMatch(getTipForConditions('clouds', 15, 5, 0.3), /waterproof/i);
+  });
+
+  test('combines tips into one sentence', () => {
+    assert.equal(
+      getTipForConditions('rain', 6, 25, 0.8),
+      'Pack plenty of layers, waterproofs essential, expect it blustery across open areas, boots might be wise.'
+    );
+  });
+
+  test('calls out snow and perfect weather', () => {
+    assert.match(getTipForConditions('snow', 1, 5, 0), /check path conditions/);
+    assert.equal(getTipForConditions('clear', 17, 5, 0), 'Perfect walking weather.');
+  });
+
+  test('falls back to a generic tip', () => {
+    assert.equal(getTipForConditions('clouds', 15, 5, 0), 'Check conditions on the day and dress accordingly.');
+  });
+});
+
+/**
+ * A day of 3-hourly slots (UTC hours 0-21), with overrides by UTC hour
+ */
+function sundaySlots(date, overrides = {}, base = {}) {
+  return [0, 3, 6, 9, 12, 15, 18, 21].map(hour => ({
+    dt: Date.parse(`${date}T${String(hour).padStart(2, '0')}:00:00Z`) / 1000,
+    ...forecast({ ...base, ...overrides[hour] })
+  }));
+}
+
+const WEDNESDAY = new Date(2024, 10, 6, 9);
+const HAMPSTEAD = { lat: 51.56, lng: -0.166 };
+
+describe('getSunsetTime', () => {
+  test('matches published London sunset times to within a few minutes', () => {
+    const winter = getSunsetTime('2024-11-10', 51.5074, -0.1278);
+    const summer = getSunsetTime('2024-06-21', 51.5074, -0.1278);
+
+    // 16:19 GMT and 21:21 BST (20:21 UTC)
+    assert.ok(Math.abs(winter - Date.parse('2024-11-10T16:19:00Z')) < 5 * 60 * 1000);
+    assert.ok(Math.abs(summer - Date.parse('2024-06-21T20:21:00Z')) < 5 * 60 * 1000);
+  });
+});
+
+describe('analyseSundayForecast', () => {
+  test('returns null when the forecast does not reach Sunday', () => {
+    assert.equal(analyseSundayForecast(sundaySlots('2024-11-08'), { ...HAMPSTEAD, today: WEDNESDAY }), null);
+  });
+
+  test('recommends setting off after a wet morning clears', () => {
+    const slots = sundaySlots('2024-11-10', {
+      6: { main: 'Rain', description: 'moderate rain', pop: 0.9 },
+      9: { main: 'Rain', description: 'light rain', pop: 0.8 }
+    });
+    const weather = analyseSundayForecast(slots, { ...HAMPSTEAD, durationMinutes: 90, today: WEDNESDAY });
+
+    assert.ok(weather.bestWindow.start >= '12:00', weather.bestWindow.start);
+    assert.equal(weather.rainChance, 0);
+    assert.doesNotMatch(weather.tip, /waterproof/i);
+  });
+
+  test('finishes the walk before sunset', () => {
+    const slots = sundaySlots('2024-11-10', {}, { temp: 16 });
+    const weather = analyseSundayForecast(slots, { ...HAMPSTEAD, durationMinutes: 180, today: WEDNESDAY });
+
+    assert.equal(weather.sunset, '16:19');
+    // Setting off after 13:00 would finish in the dark
+    assert.ok(weather.bestWindow.end <= '13:00', weather.bestWindow.end);
+  });
+
+  test('keeps the window to two hours', () => {
+    const weather = analyseSundayForecast(sundaySlots('2024-11-10', {}, { temp: 16 }), { ...HAMPSTEAD, durationMinutes: 60, today: WEDNESDAY });
+    const [startHour, endHour] = [weather.bestWindow.start, weather.bestWindow.end].map(time => Number(time.slice(0, 2)));
+
+    assert.ok(endHour - startHour <= 2);
+  });
+
+  test('exposes temperature range, rain, wind and every Sunday slot', () => {
+    const slots = sundaySlots('2024-11-10', {
+      0: { temp: 2 },
+      9: { temp: 9, windMs: 10 },
+      12: { temp: 13, pop: 0.4, windMs: 10 },
+      15: { temp: 11, windMs: 10 }
+    }, { temp: 6 });
+    const weather = analyseSundayForecast(slots, { ...HAMPSTEAD, durationMinutes: 120, today: WEDNESDAY });
+
+    assert.equal(weather.date, '2024-11-10');
+    assert.equal(weather.tempMin, 6);
+    assert.equal(weather.tempMax, 13);
+    assert.equal(weather.windMph, 22);
+    assert.equal(weather.slots.length, 8);
+    assert.deepEqual(Object.keys(weather.slots[0]), ['time', 'temp', 'rainChance', 'windMph', 'condition', 'description', 'score']);
+    assert.match(weather.summary, /°C/);
+  });
+
+  test('gives the condition of the slot the summary describes', () => {
+    const slots = sundaySlots('2024-11-10', {
+      9: { main: 'Clouds', description: 'few clouds', pop: 0.3 },
+      12: { main: 'Clear', description: 'clear sky' },
+      15: { main: 'Clear', description: 'clear sky' }
+    });
+    const weather = analyseSundayForecast(slots, { ...HAMPSTEAD, durationMinutes: 90, today: WEDNESDAY });
+
+    assert.match(weather.summary, /^Clear sky/);
+    assert.equal(weather.condition, 'clear');
+  });
+
+  test('uses London time in summer', () => {
+    const weather = analyseSundayForecast(sundaySlots('2024-06-23', {}, { temp: 18 }), { ...HAMPSTEAD, durationMinutes: 90, today: new Date(2024, 5, 19, 9) });
+
+    assert.equal(weather.slots[4].time, '13:00');
+    assert.match(weather.sunset, /^21:2\d$/);
+  });
+});
+
+describe('weather fallbacks', () => {
+  const tmpDir = path.join(os.tmpdir(), `weather-test-${process.pid}`);
+  const cacheFile = path.join(tmpDir, 'weather-cache.json');
+  const apiKey = process.env.OPENWEATHER_API_KEY;
+
+  beforeEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    process.env.WEATHER_CACHE_FILE = cacheFile;
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    delete process.env.WEATHER_CACHE_FILE;
+    if (apiKey !== undefined) process.env.OPENWEATHER_API_KEY = apiKey;
+  });
+
+  test('uses the most recent cached forecast nearby that reaches Sunday', async () => {
+    await writeJsonFile(cacheFile, {
+      forecasts: [
+        { key: '51.6,-0.2', ...HAMPSTEAD, fetchedAt: '2024-11-08T14:00:00Z', list: sundaySlots('2024-11-10', {}, { temp: 9 }) },
+        { key: '51.5,-0.1', lat: 51.5, lng: -0.12, fetchedAt: '2024-11-07T09:00:00Z', list: sundaySlots('2024-11-10', {}, { temp: 14 }) },
+        { key: '51.6,-0.2', ...HAMPSTEAD, fetchedAt: '2024-11-09T09:00:00Z', list: sundaySlots('2024-11-08') },
+        { key: '51.4,0.1', lat: 51.45, lng: 0.1, fetchedAt: '2024-11-09T10:00:00Z', list: sundaySlots('2024-11-10', {}, { temp: 20 }) }
+      ]
+    });
+
+    const weather = await findCachedForecast(HAMPSTEAD, { today: WEDNESDAY });
+
+    assert.equal(weather.source, 'cached');
+    assert.equal(weather.fetchedAt, '2024-11-08T14:00:00Z');
+    assert.equal(weather.tempMax, 9);
+  });
+
+  test('finds nothing when the cache is empty or too far away', async () => {
+    assert.equal(await findCachedForecast(HAMPSTEAD, { today: WEDNESDAY }), null);
+
+    await writeJsonFile(cacheFile, {
+      forecasts: [{ key: '51.3,-0.5', lat: 51.3, lng: -0.5, fetchedAt: '2024-11-09T10:00:00Z', list: sundaySlots('2024-11-10') }]
+    });
+    assert.equal(await findCachedForecast(HAMPSTEAD, { today: WEDNESDAY }), null);
+  });
+
+  test('climatology is typical weather for the month, not a forecast', async () => {
+    const weather = await getClimatologyWeather(WEDNESDAY);
+
+    assert.equal(weather.source, 'climatology');
+    assert.equal(weather.summary, 'Usually 5–11°C in November, with rain on about 1 day in 3');
+    assert.match(weather.tip, /check the forecast/i);
+    assert.equal(weather.date, '2024-11-10');
+    assert.equal(weather.bestWindow, null);
+    assert.equal(weather.sunset, null);
+  });
+
+  test('never makes weather up without an API key', async () => {
+    delete process.env.OPENWEATHER_API_KEY;
+
+    const weather = await fetchWeatherSummary({ location_coords: HAMPSTEAD, duration_minutes: 120 });
+
+    assert.equal(weather.source, 'climatology');
+    assert.match(weather.summary, /^Usually /);
+  });
+});
+
+describe('describeWeatherSource', () => {
+  test('labels live, cached and typical weather differently', () => {
+    assert.equal(describeWeatherSource({ source: 'live' }), 'Sunday forecast');
+    assert.equal(describeWeatherSource({ source: 'cached', fetchedAt: '2024-11-08T14:00:00Z' }), 'Sunday forecast (as of Fri 14:00)');
+    assert.equal(describeWeatherSource({ source: 'climatology', month: 'November' }), 'Typical November weather (not a forecast)');
+    assert.equal(describeWeatherSource({ source: 'recorded' }), 'Recorded forecast (offline test)');
+  });
+
+  test('treats weather without a source as live', () => {
+    assert.equal(describeWeatherSource({ summary: 'Sunny, 15°C' }), 'Sunday forecast');
+  });
+});
+
+describe('describeWalkingConditions', () => {
+  test('spots wet and windy Sundays as bad for walking', () => {
+    const slots = sundaySlots('2024-11-10', {}, { main: 'Rain', description: 'moderate rain', pop: 0.8, windMs: 13 });
+    const outlook = describeWalkingConditions({ ...analyseSundayForecast(slots, { ...HAMPSTEAD, today: WEDNESDAY }), source: 'live' });
+
+    assert.deepEqual(outlook.conditions, ['wet', 'windy']);
+    assert.equal(outlook.bad, true);
+    assert.equal(outlook.source, 'live');
+  });
+
+  test('spots warm, clear, dry Sundays as sunny', () => {
+    const slots = sundaySlots('2024-06-23', {}, { temp: 20, main: 'Clear', description: 'clear sky' });
+    const outlook = describeWalkingConditions(analyseSundayForecast(slots, { ...HAMPSTEAD, today: new Date(2024, 5, 19, 9) }));
+
+    assert.deepEqual(outlook.conditions, ['sunny']);
+    assert.equal(outlook.bad, false);
+  });
+
+  test('never reads conditions into typical weather for the month', async () => {
+    const outlook = describeWalkingConditions(await getClimatologyWeather(WEDNESDAY));
+    assert.deepEqual(outlook.conditions, []);
+    assert.equal(outlook.source, 'climatology');
+  });
+});
+
+describe('getPublishableWeatherSources', () => {
+  test('only allows the recorded forecast in offline mode', () => {
+    const offline = process.env.OFFLINE_MODE;
+    try {
+      delete process.env.OFFLINE_MODE;
+      assert.ok(!getPublishableWeatherSources().includes('recorded'));
+
+      process.env.OFFLINE_MODE = 'true';
+      assert.deepEqual(getPublishableWeatherSources(), ['live', 'cached', 'climatology', 'recorded']);
+    } finally {
+      if (offline === undefined) delete process.env.OFFLINE_MODE;
+      else process.env.OFFLINE_MODE = offline;
+    }
+  });
+});